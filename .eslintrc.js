@@ -15,6 +15,8 @@ module.exports = {
   globals: {
     Atomics: "readonly",
     SharedArrayBuffer: "readonly",
+    BigInt: "readonly",
+    BigUint64Array: "readonly",
   },
   parserOptions: {
     ecmaFeatures: {
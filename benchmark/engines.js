@@ -0,0 +1,100 @@
+/*
+ * Compares the legacy `objectMin`-based engine of `bitwiseOR` and `bitwiseAND` (see `./legacy`)
+ * with the current heap-based engine of `withBitmapStateMap`, on two workloads:
+ *
+ * - `random`: overlapping bitmaps with random runs of 1 to 16 bits;
+ * - `facet`: the disjoint bitmaps of the values of a facet (each row has exactly one value).
+ *
+ * The legacy engine scans all the bitmap states at each step (`O(k)`) but consumes the longest run of ones (OR)
+ * or zeros (AND) at once, whereas the heap-based engine visits every run boundary in `O(log k)` time
+ * and skips to the end of the longest run of ones (OR) or zeros (AND) as well, so it is never behind
+ * (e.g. for a bitwise AND of many bitmaps with long runs of zeros) and far ahead whenever the result has many runs
+ * (e.g. OR-ing a facet).
+ *
+ * Usage: `npm run benchmark [-- <runsPerBitmap>]`
+ */
+
+/* eslint-disable no-console */
+
+import { bitwiseOR, bitwiseAND, fromPositions } from "../src/index";
+import legacyBitwiseOR from "./legacy/bitwiseOR";
+import legacyBitwiseAND from "./legacy/bitwiseAND";
+
+const NUMBERS_OF_BITMAPS = [2, 32, 1024];
+const RUNS_PER_BITMAP = Number(process.argv[2]) || 64;
+const MIN_BENCHMARK_TIME_MS = 500;
+
+/**
+ * Mulberry32 seeded PRNG, so that every run of the benchmark uses the same bitmaps.
+ *
+ * @param {number} seed The seed.
+ * @return {Function} A function returning a pseudo-random number in the interval `[0, 1)`.
+ */
+const createRandom = seed => () => {
+  seed = (seed + 0x6d2b79f5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const random = createRandom(42);
+
+/**
+ * Creates bitmaps with random runs of 1 to 16 bits, overlapping each other.
+ */
+const createRandomBitmaps = (numberOfBitmaps, runsPerBitmap) =>
+  Array.from({ length: numberOfBitmaps }, () =>
+    Array.from({ length: runsPerBitmap }, () => 1 + Math.floor(random() * 16))
+  );
+
+/**
+ * Creates the bitmaps of the values of a facet, i.e. disjoint bitmaps where each row has exactly one value.
+ */
+const createFacetBitmaps = (numberOfBitmaps, runsPerBitmap) => {
+  const numberOfRows = (numberOfBitmaps * runsPerBitmap) / 2;
+  const positionsByValue = Array.from({ length: numberOfBitmaps }, () => []);
+  for (let row = 0; row < numberOfRows; row++) {
+    positionsByValue[Math.floor(random() * numberOfBitmaps)].push(row);
+  }
+  return positionsByValue.map(positions => fromPositions(positions));
+};
+
+const measure = (operator, bitmaps) => {
+  let iterations = 0;
+  const start = Date.now();
+  let elapsed = 0;
+  do {
+    operator(...bitmaps);
+    iterations++;
+    elapsed = Date.now() - start;
+  } while (elapsed < MIN_BENCHMARK_TIME_MS);
+  return elapsed / iterations;
+};
+
+const rows = [];
+for (const [workload, createBitmaps] of [
+  ["random", createRandomBitmaps],
+  ["facet", createFacetBitmaps],
+]) {
+  for (const numberOfBitmaps of NUMBERS_OF_BITMAPS) {
+    const bitmaps = createBitmaps(numberOfBitmaps, RUNS_PER_BITMAP);
+    for (const [name, legacyOperator, operator] of [
+      ["bitwiseOR", legacyBitwiseOR, bitwiseOR],
+      ["bitwiseAND", legacyBitwiseAND, bitwiseAND],
+    ]) {
+      const legacyMs = measure(legacyOperator, bitmaps);
+      const ms = measure(operator, bitmaps);
+      rows.push({
+        workload,
+        operator: name,
+        k: numberOfBitmaps,
+        "legacy (ms/op)": Number(legacyMs.toFixed(3)),
+        "heap (ms/op)": Number(ms.toFixed(3)),
+        speedup: `${(legacyMs / ms).toFixed(1)}x`,
+      });
+    }
+  }
+}
+
+console.log(`Runs per bitmap: ${RUNS_PER_BITMAP}`);
+console.table(rows);
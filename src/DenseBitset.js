@@ -0,0 +1,39 @@
+import { wordSizeOf, assertBitOrder } from "./utils/denseBits";
+
+/**
+ * A dense bitset, i.e. an array of words where each bit of a word represents a bit of the bitmap,
+ * which can be passed to {@link bitwiseOR} and {@link bitwiseAND} along with run-length encoded bitmaps.
+ */
+class DenseBitset {
+  /**
+   * @param {Uint32Array|Uint8Array} words The words of the bitset, the first word holding the first bits of the bitmap.
+   * @param {number} [length] The number of bits of the bitset. Defaults to all the bits of the words.
+   * @param {Object} [options] Options.
+   * @param {string} [options.bitOrder] The order of the bits within a word, `lsb` (the first bit of a word is its least significant bit)
+   *                                    or `msb` (the first bit of a word is its most significant bit). Defaults to `lsb`.
+   *
+   * @throws {TypeError} If the words are neither a `Uint32Array` nor a `Uint8Array`.
+   * @throws {RangeError} If the length is not an integer between `0` and the number of bits of the words,
+   *                      or if the bit order is not valid.
+   */
+  constructor(words, length, { bitOrder = "lsb" } = {}) {
+    const wordSize = wordSizeOf(words);
+    const numberOfBits = words.length * wordSize;
+    if (typeof length === "undefined") {
+      length = numberOfBits;
+    } else if (
+      !Number.isInteger(length) ||
+      length < 0 ||
+      length > numberOfBits
+    ) {
+      throw new RangeError(
+        `Invalid dense bitset length ${length}, expected an integer between 0 and the number of bits of the words (${numberOfBits}).`
+      );
+    }
+    assertBitOrder(bitOrder);
+    this.words = words;
+    this.length = length;
+    this.bitOrder = bitOrder;
+  }
+}
+export default DenseBitset;
@@ -0,0 +1,157 @@
+import { MAX_SAFE_INT } from "./constants";
+
+/**
+ * The types of the storage of the runs of a run buffer.
+ *
+ * @type {Function[]}
+ */
+const RUN_BUFFER_TYPES = [Float64Array, Uint32Array];
+
+/**
+ * A growable buffer of the runs of a run-length encoded bitmap, stored in a typed array (8 bytes per run with a `Float64Array`,
+ * 4 bytes per run with a `Uint32Array`, whose runs cannot exceed `2^32 - 1` bits), which the operators returned by
+ * {@link withRunBuffer} reuse for their results.
+ *
+ * Example:
+ *
+ * ```
+ * const buffer = new RunBuffer({ type: Uint32Array, capacity: 1024 });
+ * buffer.append(false, 2);
+ * buffer.append(true, 3);
+ * buffer.toTypedArray();
+ * ```
+ *
+ * Would return `Uint32Array [2, 3]`.
+ */
+class RunBuffer {
+  /**
+   * @param {Object} [options] Options.
+   * @param {Function} [options.type] The type of the storage, `Float64Array` (the default) or `Uint32Array`.
+   * @param {number} [options.capacity] The initial number of runs of the storage, which doubles whenever it is full. Defaults to `16`.
+   *
+   * @throws {TypeError} If the type is neither `Float64Array` nor `Uint32Array`.
+   * @throws {RangeError} If the capacity is not a positive integer.
+   */
+  constructor({ type = Float64Array, capacity = 16 } = {}) {
+    if (!RUN_BUFFER_TYPES.includes(type)) {
+      throw new TypeError(
+        "Invalid run buffer type, expected Float64Array or Uint32Array."
+      );
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new RangeError(
+        `Invalid run buffer capacity ${capacity}, expected a positive integer.`
+      );
+    }
+    this.runs = new type(capacity);
+    this.length = 0;
+    this.maxRunLength = type === Uint32Array ? 0xffffffff : MAX_SAFE_INT;
+  }
+
+  /**
+   * Appends a sequence of bits, merging it with the last run if the last run represents bits of the same kind,
+   * as {@link appendBits} does for the arrays.
+   *
+   * @param {boolean} areOnes Whether the bits to append are ones (`true`) or zeros (`false`).
+   * @param {number} numberOfBits The number of bits to append.
+   * @return {RunBuffer} This buffer.
+   *
+   * @throws {TypeError} If the number of bits is a `bigint`.
+   * @throws {RangeError} If a run would exceed the maximum run length of the type of the storage.
+   */
+  append(areOnes, numberOfBits) {
+    if (numberOfBits <= 0) {
+      return this;
+    }
+    if (!this.length) {
+      if (areOnes) {
+        this.push(0); // This allows starting with ones.
+      }
+      this.push(this.checkRunLength(numberOfBits));
+      return this;
+    }
+    const lastIndex = this.length - 1;
+    if (lastIndex % 2 === (areOnes ? 1 : 0)) {
+      this.runs[lastIndex] = this.checkRunLength(
+        this.runs[lastIndex] + numberOfBits
+      ); // Add ones (or zeros) to the last run.
+    } else {
+      this.push(this.checkRunLength(numberOfBits)); // Add ones (or zeros).
+    }
+    return this;
+  }
+
+  /**
+   * Checks that a run fits the storage.
+   *
+   * @param {number} runLength The number of bits of the run.
+   * @return {number} The number of bits of the run.
+   *
+   * @throws {TypeError} If the run is a `bigint`, which cannot be stored in a typed array of numbers.
+   * @throws {RangeError} If the run exceeds the maximum run length of the type of the storage.
+   */
+  checkRunLength(runLength) {
+    if (typeof runLength === "bigint") {
+      throw new TypeError(
+        "A run buffer cannot store bigint runs, the operators of a run buffer only support bitmaps whose runs are numbers."
+      );
+    }
+    if (runLength > this.maxRunLength) {
+      throw new RangeError(
+        `A run of ${runLength} bits exceeds the maximum run length of a ${this.runs.constructor.name} run buffer (${this.maxRunLength}).`
+      );
+    }
+    return runLength;
+  }
+
+  /**
+   * Appends a run, growing the storage if it is full.
+   *
+   * @param {number} runLength The number of bits of the run.
+   * @return {number} The new number of runs.
+   */
+  push(runLength) {
+    if (this.length === this.runs.length) {
+      const runs = new this.runs.constructor(this.runs.length * 2);
+      runs.set(this.runs);
+      this.runs = runs;
+    }
+    this.runs[this.length++] = runLength;
+    return this.length;
+  }
+
+  /**
+   * Removes the last run.
+   *
+   * @return {number|undefined} The number of bits of the removed run, `undefined` if the buffer is empty.
+   */
+  pop() {
+    return this.length ? this.runs[--this.length] : undefined;
+  }
+
+  /**
+   * Empties the buffer, keeping its storage.
+   *
+   * @return {RunBuffer} This buffer.
+   */
+  clear() {
+    this.length = 0;
+    return this;
+  }
+
+  /**
+   * @return {Float64Array|Uint32Array} A view of the runs of the buffer, sharing its storage: it is overwritten
+   *                                    when the buffer is reused and it is detached from the buffer when the buffer grows.
+   */
+  toTypedArray() {
+    return this.runs.subarray(0, this.length);
+  }
+
+  /**
+   * @return {number[]} A new run-length encoded bitmap array with the runs of the buffer.
+   */
+  toArray() {
+    return Array.from(this.toTypedArray());
+  }
+}
+export default RunBuffer;
@@ -0,0 +1,197 @@
+import bitwiseOR from "./bitwiseOR";
+import bitwiseAND from "./bitwiseAND";
+import bitwiseXOR from "./bitwiseXOR";
+import bitwiseNOT from "./bitwiseNOT";
+import bitwiseANDNOT from "./bitwiseANDNOT";
+import normalize from "./normalize";
+import cardinality from "./cardinality";
+import getBit from "./getBit";
+import positions from "./positions";
+import equals from "./equals";
+import fromPositions from "./fromPositions";
+import DenseBitset from "./DenseBitset";
+import resolveDenseBitsets from "./utils/resolveDenseBitsets";
+import isRunArray from "./utils/isRunArray";
+
+/**
+ * Returns the run-length encoded bitmap array of a value accepted by the methods of {@link RunLengthBitmap}.
+ *
+ * @param {RunLengthBitmap|number[]|Float64Array|Uint32Array|DenseBitset} value A bitmap, a run-length encoded bitmap array
+ *                                                                             (or typed array) or a dense bitset.
+ * @return {number[]} The run-length encoded bitmap array (the frozen array of a bitmap).
+ */
+const runsOf = value => {
+  if (value instanceof RunLengthBitmap) {
+    return value.runs;
+  }
+  return resolveDenseBitsets([value])[0];
+};
+
+/**
+ * An immutable run-length encoded bitmap, wrapping a frozen canonical run-length encoded bitmap array (see {@link bitwiseOR})
+ * with chainable operators delegating to the functions of the same name.
+ *
+ * Example:
+ *
+ * ```
+ * RunLengthBitmap.from([10, 2])
+ *   .or([15, 1], [0, 4, 12, 2])
+ *   .andNot([0, 2])
+ *   .toJSON();
+ * ```
+ *
+ * Would return `[2, 2, 6, 2, 3, 3]` (`001100000011000111`).
+ */
+class RunLengthBitmap {
+  /**
+   * @param {number[]|Float64Array|Uint32Array} [runs] A run-length encoded bitmap array, see {@link bitwiseOR},
+   *                                                  or a typed array of runs (e.g. the result of an operator of {@link withRunBuffer}).
+   *                                                  It is copied in canonical form (see {@link normalize}). Defaults to an empty bitmap.
+   *
+   * @throws {InvalidBitmapError} If the bitmap is not valid.
+   */
+  constructor(runs = []) {
+    this.runs = Object.freeze(normalize(runs));
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates a bitmap.
+   *
+   * @param {RunLengthBitmap|number[]|Float64Array|Uint32Array|DenseBitset|Iterable<number>} value A bitmap (returned as-is, as it is immutable),
+   *                                                                                             a run-length encoded bitmap array, a `Float64Array`
+   *                                                                                             or a `Uint32Array` of runs (see {@link withRunBuffer}),
+   *                                                                                             a dense bitset (see {@link DenseBitset}) or an iterable
+   *                                                                                             of the positions of the bits set to one which is not
+   *                                                                                             an array (e.g. a `Set`).
+   * @return {RunLengthBitmap} The bitmap.
+   *
+   * @throws {InvalidBitmapError} If the run-length encoded bitmap array is not valid.
+   * @throws {RangeError} If a position is not a non-negative integer.
+   * @throws {TypeError} If the value is none of the above.
+   */
+  static from(value) {
+    if (value instanceof RunLengthBitmap) {
+      return value;
+    }
+    if (isRunArray(value) || value instanceof DenseBitset) {
+      return new RunLengthBitmap(runsOf(value));
+    }
+    if (
+      value !== null &&
+      typeof value === "object" &&
+      Symbol.iterator in value
+    ) {
+      return new RunLengthBitmap(fromPositions([...value]));
+    }
+    throw new TypeError(
+      "Expected a RunLengthBitmap, a run-length encoded bitmap array (or typed array), a DenseBitset or an iterable of positions."
+    );
+  }
+
+  /**
+   * @return {number} The number of bits set to one, see {@link cardinality}.
+   */
+  get cardinality() {
+    return cardinality(this.runs);
+  }
+
+  /**
+   * Tests whether a bit is set to one, see {@link getBit}.
+   *
+   * @param {number} position The zero-based position of the bit.
+   * @return {boolean} `true` if the bit is set to one, `false` otherwise.
+   */
+  has(position) {
+    return getBit(this.runs, position);
+  }
+
+  /**
+   * Tests whether this bitmap has the same bits set to one as another one, see {@link equals}.
+   *
+   * @param {RunLengthBitmap|number[]|DenseBitset} other The other bitmap.
+   * @return {boolean} `true` if the bitmaps are equal, `false` otherwise.
+   */
+  equals(other) {
+    return equals(this.runs, runsOf(other));
+  }
+
+  /**
+   * Computes the bitwise OR of this bitmap and other ones, see {@link bitwiseOR}.
+   *
+   * @param {...(RunLengthBitmap|number[]|DenseBitset)} others The other bitmaps.
+   * @return {RunLengthBitmap} A new bitmap.
+   */
+  or(...others) {
+    return new RunLengthBitmap(bitwiseOR(this.runs, ...others.map(runsOf)));
+  }
+
+  /**
+   * Computes the bitwise AND of this bitmap and other ones, see {@link bitwiseAND}.
+   *
+   * @param {...(RunLengthBitmap|number[]|DenseBitset)} others The other bitmaps.
+   * @return {RunLengthBitmap} A new bitmap.
+   */
+  and(...others) {
+    return new RunLengthBitmap(bitwiseAND(this.runs, ...others.map(runsOf)));
+  }
+
+  /**
+   * Computes the bitwise XOR of this bitmap and other ones, see {@link bitwiseXOR}.
+   *
+   * @param {...(RunLengthBitmap|number[]|DenseBitset)} others The other bitmaps.
+   * @return {RunLengthBitmap} A new bitmap.
+   */
+  xor(...others) {
+    return new RunLengthBitmap(bitwiseXOR(this.runs, ...others.map(runsOf)));
+  }
+
+  /**
+   * Computes the bitwise AND NOT of this bitmap and other ones, i.e. subtracts the other bitmaps from this one,
+   * see {@link bitwiseANDNOT}.
+   *
+   * @param {...(RunLengthBitmap|number[]|DenseBitset)} others The other bitmaps.
+   * @return {RunLengthBitmap} A new bitmap.
+   */
+  andNot(...others) {
+    return new RunLengthBitmap(bitwiseANDNOT(this.runs, ...others.map(runsOf)));
+  }
+
+  /**
+   * Computes the bitwise NOT of this bitmap, see {@link bitwiseNOT}.
+   *
+   * @param {number} [universeSize] The number of bits of the universe, up to which the complement is padded with ones.
+   *                                Defaults to `MAX_SAFE_INT`.
+   * @return {RunLengthBitmap} A new bitmap.
+   *
+   * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+   */
+  not(universeSize) {
+    return new RunLengthBitmap(bitwiseNOT(this.runs, universeSize));
+  }
+
+  /**
+   * Iterates over the positions of the bits set to one, see {@link positions}.
+   *
+   * @return {Generator<number, void, undefined>} A generator yielding the zero-based positions of the set bits, in ascending order.
+   */
+  [Symbol.iterator]() {
+    return positions(this.runs);
+  }
+
+  /**
+   * @return {number[]} A new mutable copy of the run-length encoded bitmap array.
+   */
+  toArray() {
+    return this.runs.slice();
+  }
+
+  /**
+   * @return {number[]} A new mutable copy of the run-length encoded bitmap array, so that `JSON.stringify`
+   *                    serializes a bitmap as its array and `RunLengthBitmap.from(JSON.parse(json))` restores it.
+   */
+  toJSON() {
+    return this.toArray();
+  }
+}
+export default RunLengthBitmap;
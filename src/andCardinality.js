@@ -0,0 +1,40 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import validateBitmaps from "./utils/validateBitmaps";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Counts the bits set to one of the bitwise AND of two run-length encoded bitmaps without computing it,
+ * walking their runs only until one of them is exhausted.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {number} The number of bits set to one in both bitmaps.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  andCardinality([0, 4, 2, 3], [2, 5]);
+ *                  ```
+ *
+ *                  Would return `3` (`111100111` and `0011111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const andCardinality = (a, b) => {
+  assertNumberRuns([a, b]);
+  validateBitmaps([a, b]);
+  let numberOfOnes = 0;
+  withBitmapStateMap({ bitmaps: [a, b] })(
+    ({ numberOfBits, numberOfBitmapsOnOnes, numberOfExhaustedBitmaps }) => {
+      if (numberOfExhaustedBitmaps > 0) {
+        // An exhausted bitmap is an indefinite sequence of zeros, there are no more common ones.
+        return true;
+      }
+      if (numberOfBitmapsOnOnes === 2) {
+        numberOfOnes += numberOfBits;
+      }
+    }
+  );
+  return numberOfOnes;
+};
+export default andCardinality;
@@ -0,0 +1,29 @@
+import findInvalidRun from "./utils/findInvalidRun";
+import InvalidBitmapError from "./errors/InvalidBitmapError";
+
+/**
+ * Asserts that the given value is a valid run-length encoded bitmap, see {@link isValidBitmap}.
+ *
+ * @param {*} bitmap The value to test.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.canonical] Whether the bitmap must also be in canonical form, i.e. without trailing zeros.
+ *                                      Defaults to `false`.
+ * @param {number} [options.bitmapIndex] The index of the bitmap within a list of bitmaps, reported by the error if given.
+ * @return {undefined}
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid. The message of the error tells which run is wrong and why,
+ *                              e.g. `Invalid run-length encoded bitmap: the run at index 2 is negative (-1).`
+ */
+const assertValidBitmap = (bitmap, { canonical = false, bitmapIndex } = {}) => {
+  const invalidRun = findInvalidRun(bitmap, { canonical });
+  if (invalidRun !== null) {
+    const { index, reason } = invalidRun;
+    const bitmapLabel =
+      typeof bitmapIndex !== "undefined" ? ` at index ${bitmapIndex}` : "";
+    throw new InvalidBitmapError(
+      `Invalid run-length encoded bitmap${bitmapLabel}: ${reason}.`,
+      { index, bitmapIndex }
+    );
+  }
+};
+export default assertValidBitmap;
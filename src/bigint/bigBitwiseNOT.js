@@ -0,0 +1,54 @@
+import appendBits from "../utils/appendBits";
+import popTrailingZeros from "../utils/popTrailingZeros";
+import validateBitmaps from "../utils/validateBitmaps";
+import { BIGINT_UNIVERSE_SIZE } from "../constants";
+
+/**
+ * Computes the bitwise NOT of a run-length encoded bitmap whose runs are `bigint`s.
+ *
+ * The bitmaps whose runs are `bigint`s address 64-bit positions exactly (e.g. 64-bit ids), and are also accepted
+ * by {@link bitwiseOR}, {@link bitwiseAND}, {@link bitwiseXOR} and {@link bitwiseANDNOT}, as long as all the bitmaps
+ * given to an operator have runs of the same type. See also {@link toBigIntBitmap} and {@link fromBigIntBitmap}.
+ *
+ * @param {bigint[]} bitmap A run-length encoded bitmap array whose runs are `bigint`s, see {@link bitwiseOR}.
+ * @param {bigint} [universeSize] The number of bits of the universe, up to which the complement is padded with ones.
+ *                                Defaults to `2^64`.
+ * @return {bigint[]} A new bitmap array whose runs are `bigint`s, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    bigBitwiseNOT([BigInt(2), BigInt(3)]);
+ *                    ```
+ *
+ *                    Would return `[0n, 2n, 3n, 18446744073709551611n]`.
+ *
+ * @throws {RangeError} If the size of the universe is not a `bigint` between `0` and `2^64`.
+ * @throws {InvalidBitmapError} If the strict mode is enabled and the bitmap is not valid, see {@link setStrictMode}.
+ */
+const bigBitwiseNOT = (bitmap, universeSize = BIGINT_UNIVERSE_SIZE) => {
+  if (
+    typeof universeSize !== "bigint" ||
+    universeSize < 0 ||
+    universeSize > BIGINT_UNIVERSE_SIZE
+  ) {
+    throw new RangeError(
+      `Invalid universe size ${String(
+        universeSize
+      )}, the size of the universe of a bitmap whose runs are bigints must be a bigint between 0 and 2^64.`
+    );
+  }
+  validateBitmaps([bitmap]);
+  const resultBitmap = [];
+  let totalNumberOfBits = BigInt(0);
+  for (let i = 0; i < bitmap.length && totalNumberOfBits < universeSize; i++) {
+    const remainingNumberOfBits = universeSize - totalNumberOfBits;
+    const numberOfBits =
+      bitmap[i] < remainingNumberOfBits ? bitmap[i] : remainingNumberOfBits;
+    totalNumberOfBits += numberOfBits;
+    appendBits(resultBitmap, i % 2 === 0, numberOfBits); // Zeros become ones and vice versa.
+  }
+  appendBits(resultBitmap, true, universeSize - totalNumberOfBits); // All ones, up to `universeSize`.
+  return popTrailingZeros(resultBitmap);
+};
+export default bigBitwiseNOT;
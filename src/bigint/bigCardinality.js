@@ -0,0 +1,22 @@
+/**
+ * Counts the bits set to one of a run-length encoded bitmap whose runs are `bigint`s (see {@link bigBitwiseNOT}).
+ *
+ * @param {bigint[]} bitmap A run-length encoded bitmap array whose runs are `bigint`s, see {@link bitwiseOR}.
+ * @return {bigint} The number of bits set to one.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  bigCardinality([BigInt(0), BigInt(3), BigInt(2), BigInt(4)]);
+ *                  ```
+ *
+ *                  Would return `7n`.
+ */
+const bigCardinality = bitmap => {
+  let numberOfOnes = BigInt(0);
+  for (let i = 1; i < bitmap.length; i += 2) {
+    numberOfOnes += bitmap[i];
+  }
+  return numberOfOnes;
+};
+export default bigCardinality;
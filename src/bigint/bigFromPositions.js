@@ -0,0 +1,65 @@
+import appendBits from "../utils/appendBits";
+import { BIGINT_UNIVERSE_SIZE } from "../constants";
+
+/**
+ * Compares two `bigint`s, for sorting them in ascending order.
+ *
+ * @param {bigint} a A bigint.
+ * @param {bigint} b Another bigint.
+ * @return {number} A negative number if `a` is lower than `b`, a positive number if it is greater, `0` otherwise.
+ */
+const compareBigInts = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+};
+
+/**
+ * Encodes a list of 64-bit positions of set bits as a run-length encoded bitmap whose runs are `bigint`s
+ * (see {@link bigBitwiseNOT}).
+ *
+ * @param {Iterable<bigint>} positions The zero-based positions of the bits set to one, as `bigint`s lower than `2^64`.
+ *                                     The positions can be given in any order and may contain duplicates.
+ * @return {bigint[]} A new run-length encoded bitmap array whose runs are `bigint`s, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    bigFromPositions([BigInt("18446744073709551615"), BigInt(3)]);
+ *                    ```
+ *
+ *                    Would return `[3n, 1n, 18446744073709551611n, 1n]`.
+ *
+ * @throws {RangeError} If a position is not a `bigint` between `0` and `2^64 - 1`.
+ */
+const bigFromPositions = positions => {
+  const sortedPositions = [...positions];
+  sortedPositions.forEach(position => {
+    if (
+      typeof position !== "bigint" ||
+      position < 0 ||
+      position >= BIGINT_UNIVERSE_SIZE
+    ) {
+      throw new RangeError(
+        `Invalid position ${String(
+          position
+        )}, positions must be bigints between 0 and 2^64 - 1.`
+      );
+    }
+  });
+  sortedPositions.sort(compareBigInts);
+  const resultBitmap = [];
+  let nextPosition = BigInt(0);
+  for (const position of sortedPositions) {
+    if (position < nextPosition) {
+      // Duplicate position.
+      continue;
+    }
+    appendBits(resultBitmap, false, position - nextPosition);
+    appendBits(resultBitmap, true, BigInt(1));
+    nextPosition = position + BigInt(1);
+  }
+  return resultBitmap;
+};
+export default bigFromPositions;
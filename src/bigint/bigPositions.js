@@ -0,0 +1,29 @@
+/**
+ * Lazily iterates over the positions of the bits set to one of a run-length encoded bitmap whose runs are `bigint`s
+ * (see {@link bigBitwiseNOT}).
+ *
+ * @param {bigint[]} bitmap A run-length encoded bitmap array whose runs are `bigint`s, see {@link bitwiseOR}.
+ * @return {Generator<bigint, void, undefined>} A generator yielding the zero-based positions of the set bits, in ascending order.
+ *
+ *                                              Example:
+ *
+ *                                              ```
+ *                                              [...bigPositions([BigInt(3), BigInt(2)])];
+ *                                              ```
+ *
+ *                                              Would return `[3n, 4n]`.
+ */
+function* bigPositions(bitmap) {
+  let position = BigInt(0);
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    if (i % 2 === 1) {
+      // Ones.
+      for (let j = BigInt(0); j < numberOfBits; j++) {
+        yield position + j;
+      }
+    }
+    position += numberOfBits;
+  }
+}
+export default bigPositions;
@@ -0,0 +1,34 @@
+import validateBitmaps from "../utils/validateBitmaps";
+import { MAX_SAFE_INT } from "../constants";
+
+/**
+ * Converts a run-length encoded bitmap whose runs are `bigint`s (see {@link bigBitwiseNOT}) to a bitmap whose runs are `number`s.
+ *
+ * @param {bigint[]} bitmap A run-length encoded bitmap array whose runs are `bigint`s, see {@link bitwiseOR}.
+ * @return {number[]} A new bitmap array with the same runs, as `number`s.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromBigIntBitmap([BigInt(0), BigInt(3), BigInt(2)]);
+ *                    ```
+ *
+ *                    Would return `[0, 3, 2]`.
+ *
+ * @throws {RangeError} If the total number of bits of the bitmap exceeds `MAX_SAFE_INT`.
+ * @throws {InvalidBitmapError} If the strict mode is enabled and the bitmap is not valid, see {@link setStrictMode}.
+ */
+const fromBigIntBitmap = bitmap => {
+  validateBitmaps([bitmap]);
+  const totalNumberOfBits = bitmap.reduce(
+    (sum, numberOfBits) => sum + numberOfBits,
+    BigInt(0)
+  );
+  if (totalNumberOfBits > MAX_SAFE_INT) {
+    throw new RangeError(
+      `The bitmap has ${totalNumberOfBits} bits, which exceeds MAX_SAFE_INT (${MAX_SAFE_INT}).`
+    );
+  }
+  return bitmap.map(numberOfBits => Number(numberOfBits));
+};
+export default fromBigIntBitmap;
@@ -0,0 +1,23 @@
+import validateBitmaps from "../utils/validateBitmaps";
+
+/**
+ * Converts a run-length encoded bitmap whose runs are `number`s to a bitmap whose runs are `bigint`s (see {@link bigBitwiseNOT}).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {bigint[]} A new bitmap array with the same runs, as `bigint`s.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    toBigIntBitmap([0, 3, 2]);
+ *                    ```
+ *
+ *                    Would return `[0n, 3n, 2n]`.
+ *
+ * @throws {InvalidBitmapError} If the strict mode is enabled and the bitmap is not valid, see {@link setStrictMode}.
+ */
+const toBigIntBitmap = bitmap => {
+  validateBitmaps([bitmap]);
+  return bitmap.map(numberOfBits => BigInt(numberOfBits));
+};
+export default toBigIntBitmap;
@@ -0,0 +1,211 @@
+import bitwiseOR from "../bitwiseOR";
+import bitwiseAND from "../bitwiseAND";
+import bitwiseANDNOT from "../bitwiseANDNOT";
+import cardinality from "../cardinality";
+import { MAX_SAFE_INT } from "../constants";
+import NumericIndex from "./NumericIndex";
+import readNumericColumn from "./readNumericColumn";
+import setRowBit from "./setRowBit";
+
+/**
+ * Returns the bit of a non-negative integer.
+ *
+ * @param {number} value The integer (up to `MAX_SAFE_INT`).
+ * @param {number} bitIndex The zero-based index of the bit, `0` being the least significant bit.
+ * @return {boolean} Whether the bit is set.
+ */
+const isBitSet = (value, bitIndex) =>
+  Math.floor(value / 2 ** bitIndex) % 2 === 1;
+
+/**
+ * A bit-sliced bitmap index of an integer column of records (rows).
+ *
+ * The values are stored as offsets from the minimum value of the column, and for each bit of the offsets the index
+ * keeps a run-length encoded bitmap (a bit slice) of the ids of the rows whose offset has that bit set
+ * (the row id of a record being its zero-based position), along with the bitmap of the rows whose value is not null.
+ * Therefore each range query combines a number of bitmaps proportional to the number of bit slices,
+ * i.e. to the logarithm of the difference between the maximum and the minimum value of the column, see {@link NumericIndex}.
+ * The sums and the averages of the values are computed from the bit slices as well.
+ */
+class BitSlicedIndex extends NumericIndex {
+  /**
+   * @param {Iterable<Object>} records The records (e.g. an array of objects).
+   * @param {string} column The integer column to index, i.e. the name of a property of the records.
+   *
+   * @throws {TypeError} If a value of the column is neither a finite number nor null.
+   * @throws {RangeError} If a value of the column is not an integer, or if the difference between the maximum
+   *                      and the minimum value of the column is greater than `MAX_SAFE_INT`.
+   */
+  constructor(records, column) {
+    super();
+    const values = readNumericColumn(records, column);
+    this.column = column;
+    this.numberOfRows = values.length;
+    this.min = Infinity;
+    let max = -Infinity;
+    values.forEach((value, rowId) => {
+      if (value === null) {
+        return;
+      }
+      if (!Number.isInteger(value)) {
+        throw new RangeError(
+          `Invalid value ${value} of the column ${JSON.stringify(
+            column
+          )} at row ${rowId}, a bit-sliced index only supports integers.`
+        );
+      }
+      this.min = Math.min(this.min, value);
+      max = Math.max(max, value);
+    });
+    if (max - this.min > MAX_SAFE_INT) {
+      throw new RangeError(
+        `The values of the column ${JSON.stringify(column)} range from ${
+          this.min
+        } to ${max}, the difference between the maximum and the minimum value of a bit-sliced index cannot be greater than MAX_SAFE_INT (${MAX_SAFE_INT}).`
+      );
+    }
+
+    const existence = { bitmap: [], numberOfBits: 0 };
+    const slices = [];
+    let range = max - this.min;
+    while (range >= 1) {
+      slices.push({ bitmap: [], numberOfBits: 0 });
+      range = Math.floor(range / 2);
+    }
+    values.forEach((value, rowId) => {
+      if (value === null) {
+        return;
+      }
+      setRowBit(existence, rowId);
+      const offset = value - this.min;
+      slices.forEach((slice, bitIndex) => {
+        if (isBitSet(offset, bitIndex)) {
+          setRowBit(slice, rowId);
+        }
+      });
+    });
+    this.existenceBitmap = existence.bitmap;
+    this.slices = slices.map(({ bitmap }) => bitmap);
+  }
+
+  /**
+   * @return {number} The number of bit slices of the index.
+   */
+  get numberOfSlices() {
+    return this.slices.length;
+  }
+
+  /**
+   * Compares the values of the rows with an integer, walking the bit slices from the most significant one
+   * (see "Bit-Sliced Index Arithmetic", O'Neil and Quass).
+   *
+   * @param {number} integer The integer.
+   * @return {{lt: number[], eq: number[], gt: number[]}} The bitmaps of the rows whose value is respectively lower than,
+   *                                                      equal to and greater than the integer.
+   */
+  compare(integer) {
+    const offset = integer - this.min;
+    if (!(offset >= 0)) {
+      // Also true if the index has no values (the minimum being `Infinity`).
+      return { lt: [], eq: [], gt: this.existenceBitmap };
+    }
+    if (offset >= 2 ** this.slices.length) {
+      return { lt: this.existenceBitmap, eq: [], gt: [] };
+    }
+    let lt = [];
+    let eq = this.existenceBitmap;
+    let gt = [];
+    for (let bitIndex = this.slices.length - 1; bitIndex >= 0; bitIndex--) {
+      const slice = this.slices[bitIndex];
+      if (isBitSet(offset, bitIndex)) {
+        lt = bitwiseOR(lt, bitwiseANDNOT(eq, slice));
+        eq = bitwiseAND(eq, slice);
+      } else {
+        gt = bitwiseOR(gt, bitwiseAND(eq, slice));
+        eq = bitwiseANDNOT(eq, slice);
+      }
+    }
+    return { lt, eq, gt };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  bitmapBelow(bound, isInclusive) {
+    if (!Number.isInteger(bound)) {
+      // The values are integers, e.g. `value < 2.5` and `value <= 2.5` are both `value <= 2` (also for the infinite bounds).
+      bound = Math.floor(bound);
+      isInclusive = true;
+    }
+    const { lt, eq } = this.compare(bound);
+    return isInclusive ? bitwiseOR(lt, eq) : lt;
+  }
+
+  /**
+   * Returns the rows of a filter whose value is not null.
+   *
+   * @param {number[]|undefined} filter A run-length encoded bitmap of row ids or `undefined` for all the rows.
+   * @return {number[]} The bitmap of the rows.
+   */
+  filterRows(filter) {
+    return filter === undefined
+      ? this.existenceBitmap
+      : bitwiseAND(filter, this.existenceBitmap);
+  }
+
+  /**
+   * Counts the rows of a filter whose value is not null (as the `COUNT` aggregate function of SQL).
+   *
+   * @param {number[]} [filter] A run-length encoded bitmap of row ids (e.g. the result of a query), all the rows if omitted.
+   * @return {number} The number of rows.
+   */
+  count(filter) {
+    return cardinality(this.filterRows(filter));
+  }
+
+  /**
+   * Computes the sum of the values of the rows of a filter (as the `SUM` aggregate function of SQL, but returning `0`
+   * if there are no values), using only the cardinalities of the intersections of the filter with the bit slices.
+   *
+   * @param {number[]} [filter] A run-length encoded bitmap of row ids (e.g. the result of a query), all the rows if omitted.
+   *                            The rows whose value is null are ignored.
+   * @return {number} The sum, which is exact as long as it does not exceed `MAX_SAFE_INT` in absolute value.
+   *
+   *                  Example:
+   *
+   *                  ```
+   *                  const index = new BitSlicedIndex(
+   *                    [{ price: 5 }, { price: 250 }, { price: 10 }, { price: 700 }],
+   *                    "price"
+   *                  );
+   *                  index.sum(index.between(10, 500));
+   *                  ```
+   *
+   *                  Would return `260`.
+   */
+  sum(filter) {
+    const rows = this.filterRows(filter);
+    const numberOfRows = cardinality(rows);
+    if (!numberOfRows) {
+      return 0;
+    }
+    return this.slices.reduce(
+      (sum, slice, bitIndex) =>
+        sum + 2 ** bitIndex * cardinality(bitwiseAND(rows, slice)),
+      this.min * numberOfRows
+    );
+  }
+
+  /**
+   * Computes the average of the values of the rows of a filter (as the `AVG` aggregate function of SQL).
+   *
+   * @param {number[]} [filter] A run-length encoded bitmap of row ids (e.g. the result of a query), all the rows if omitted.
+   *                            The rows whose value is null are ignored.
+   * @return {number|null} The average or `null` if there are no values.
+   */
+  avg(filter) {
+    const numberOfRows = this.count(filter);
+    return numberOfRows ? this.sum(filter) / numberOfRows : null;
+  }
+}
+export default BitSlicedIndex;
@@ -0,0 +1,277 @@
+import bitwiseOR from "../bitwiseOR";
+import bitwiseAND from "../bitwiseAND";
+import bitwiseNOT from "../bitwiseNOT";
+import toPositions from "../toPositions";
+import setRowBit from "./setRowBit";
+
+/**
+ * The names of the predicates of a column, see {@link BitmapIndex#query}.
+ *
+ * @type {string[]}
+ */
+const COLUMN_PREDICATES = ["eq", "in", "notEq", "isNull", "isNotNull"];
+
+/**
+ * A bitmap index of the columns of records (rows), keeping a run-length encoded bitmap for each distinct value of each column,
+ * whose bits set to one are the ids of the rows having that value (the row id of a record being its zero-based position).
+ *
+ * A value equal to `null` or `undefined` (e.g. a missing property) is a null value.
+ * The values are compared using the SameValueZero equality (like the keys of a `Map`), e.g. `1` and `"1"` are different values.
+ */
+class BitmapIndex {
+  /**
+   * @param {Iterable<Object>} records The records (e.g. an array of objects).
+   * @param {string[]} columns The columns to index, i.e. the names of the properties of the records.
+   *
+   * @throws {TypeError} If the columns are not a non-empty array.
+   */
+  constructor(records, columns) {
+    if (!Array.isArray(columns) || !columns.length) {
+      throw new TypeError(
+        "Expected the columns to index to be a non-empty array."
+      );
+    }
+    this.numberOfRows = 0;
+    this.valuesByColumn = new Map(columns.map(column => [column, new Map()]));
+    for (const record of records) {
+      this.add(record);
+    }
+  }
+
+  /**
+   * @return {string[]} The indexed columns.
+   */
+  get columns() {
+    return [...this.valuesByColumn.keys()];
+  }
+
+  /**
+   * Adds a record to the index.
+   *
+   * @param {Object} record The record.
+   * @return {number} The row id of the record.
+   */
+  add(record) {
+    const rowId = this.numberOfRows++;
+    this.valuesByColumn.forEach((entriesByValue, column) => {
+      const value = record[column] === undefined ? null : record[column];
+      let entry = entriesByValue.get(value);
+      if (!entry) {
+        entry = { bitmap: [], numberOfBits: 0 };
+        entriesByValue.set(value, entry);
+      }
+      setRowBit(entry, rowId);
+    });
+    return rowId;
+  }
+
+  /**
+   * Returns the entries of the values of a column.
+   *
+   * @param {string} column The column.
+   * @return {Map<*, {bitmap: number[], numberOfBits: number}>} The entries, by value.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  entriesOf(column) {
+    const entriesByValue = this.valuesByColumn.get(column);
+    if (!entriesByValue) {
+      throw new RangeError(
+        `Unknown column ${JSON.stringify(
+          column
+        )}, the indexed columns are: ${this.columns
+          .map(indexedColumn => JSON.stringify(indexedColumn))
+          .join(", ")}.`
+      );
+    }
+    return entriesByValue;
+  }
+
+  /**
+   * Returns the distinct values of a column.
+   *
+   * @param {string} column The column.
+   * @return {Array<*>} The distinct non-null values, in the order they first appear.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  values(column) {
+    return [...this.entriesOf(column).keys()].filter(value => value !== null);
+  }
+
+  /**
+   * Returns the bitmap of all the rows.
+   *
+   * @return {number[]} A new bitmap with the first `numberOfRows` bits set to one.
+   */
+  all() {
+    return this.numberOfRows ? [0, this.numberOfRows] : [];
+  }
+
+  /**
+   * Returns the rows whose column is equal to a value.
+   *
+   * @param {string} column The column.
+   * @param {*} value The value (`null` or `undefined` match the null values, see {@link BitmapIndex#isNull}).
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  eq(column, value) {
+    const entry = this.entriesOf(column).get(
+      value === undefined ? null : value
+    );
+    return entry ? entry.bitmap.slice() : [];
+  }
+
+  /**
+   * Returns the rows whose column is equal to one of the given values.
+   *
+   * @param {string} column The column.
+   * @param {Iterable<*>} values The values.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  in(column, values) {
+    const entriesByValue = this.entriesOf(column);
+    const bitmaps = [];
+    for (const value of new Set(values)) {
+      const entry = entriesByValue.get(value === undefined ? null : value);
+      if (entry) {
+        bitmaps.push(entry.bitmap);
+      }
+    }
+    return bitwiseOR(...bitmaps);
+  }
+
+  /**
+   * Returns the rows whose column is not null and is not equal to a value (as the `<>` operator of SQL).
+   *
+   * @param {string} column The column.
+   * @param {*} value The value.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  notEq(column, value) {
+    return bitwiseAND(this.not(this.eq(column, value)), this.isNotNull(column));
+  }
+
+  /**
+   * Returns the rows whose column is null (`null`, `undefined` or missing).
+   *
+   * @param {string} column The column.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  isNull(column) {
+    return this.eq(column, null);
+  }
+
+  /**
+   * Returns the rows whose column is not null.
+   *
+   * @param {string} column The column.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {RangeError} If the column is not indexed.
+   */
+  isNotNull(column) {
+    return this.not(this.isNull(column));
+  }
+
+  /**
+   * Complements a bitmap of rows, i.e. returns the rows which are not in it.
+   *
+   * @param {number[]} bitmap A run-length encoded bitmap of row ids.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the other rows of the index.
+   */
+  not(bitmap) {
+    return bitwiseNOT(bitmap, this.numberOfRows);
+  }
+
+  /**
+   * Evaluates a combined predicate.
+   *
+   * @param {Object|number[]} predicate The predicate, one of:
+   *
+   *                                    - `{ eq: [column, value] }`, `{ in: [column, values] }`, `{ notEq: [column, value] }`,
+   *                                      `{ isNull: column }` or `{ isNotNull: column }`, see the methods with the same name;
+   *                                    - `{ and: predicates }`, `{ or: predicates }` or `{ not: predicate }`;
+   *                                    - a run-length encoded bitmap of row ids (e.g. the result of another query).
+   *
+   *                                    Example:
+   *
+   *                                    ```
+   *                                    index.query({
+   *                                      and: [
+   *                                        { in: ["color", ["red", "blue"]] },
+   *                                        { not: { eq: ["discontinued", true] } },
+   *                                        { isNotNull: "price" },
+   *                                      ],
+   *                                    });
+   *                                    ```
+   *
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {TypeError} If the predicate is not valid.
+   * @throws {RangeError} If the predicate references a column which is not indexed.
+   */
+  query(predicate) {
+    if (Array.isArray(predicate)) {
+      return bitwiseAND(predicate, this.all());
+    }
+    const keys =
+      predicate !== null && typeof predicate === "object"
+        ? Object.keys(predicate)
+        : [];
+    if (keys.length !== 1) {
+      throw new TypeError(
+        `Invalid predicate ${JSON.stringify(
+          predicate
+        )}, expected an object with a single property or a bitmap.`
+      );
+    }
+    const [name] = keys;
+    const operand = predicate[name];
+    if (name === "and" || name === "or") {
+      if (!Array.isArray(operand) || !operand.length) {
+        throw new TypeError(
+          `Invalid "${name}" predicate, expected a non-empty array of predicates.`
+        );
+      }
+      const bitmaps = operand.map(childPredicate => this.query(childPredicate));
+      return name === "and" ? bitwiseAND(...bitmaps) : bitwiseOR(...bitmaps);
+    } else if (name === "not") {
+      return this.not(this.query(operand));
+    } else if (COLUMN_PREDICATES.includes(name)) {
+      return this[name](...(Array.isArray(operand) ? operand : [operand]));
+    }
+    throw new TypeError(
+      `Unknown predicate "${name}", expected one of ${[
+        ...COLUMN_PREDICATES,
+        "and",
+        "or",
+        "not",
+      ]
+        .map(predicateName => `"${predicateName}"`)
+        .join(", ")}.`
+    );
+  }
+
+  /**
+   * Evaluates a combined predicate and returns the ids of the matching rows.
+   *
+   * @param {Object|number[]} predicate The predicate, see {@link BitmapIndex#query}.
+   * @return {number[]} The ids of the matching rows, in ascending order.
+   *
+   * @throws {TypeError} If the predicate is not valid.
+   * @throws {RangeError} If the predicate references a column which is not indexed.
+   */
+  rowIds(predicate) {
+    return toPositions(this.query(predicate));
+  }
+}
+export default BitmapIndex;
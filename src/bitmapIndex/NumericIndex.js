@@ -0,0 +1,118 @@
+import bitwiseANDNOT from "../bitwiseANDNOT";
+import assertBound from "./assertBound";
+
+/**
+ * The base class of the bitmap indexes of a numeric column answering range queries (see {@link RangeEncodedIndex}
+ * and {@link BitSlicedIndex}), which implement `bitmapBelow(bound, isInclusive)` returning the run-length encoded bitmap
+ * of the rows whose value is lower than (or equal to) a number which is not NaN, possibly a bitmap of the index.
+ *
+ * The null values (`null`, `undefined` or a missing property) do not match any range.
+ */
+class NumericIndex {
+  /**
+   * Returns the bitmap of the rows whose value is lower than (or equal to) a bound.
+   *
+   * @param {number} bound The bound.
+   * @param {boolean} isInclusive Whether the rows whose value is equal to the bound match.
+   * @return {number[]} The bitmap, which must not be mutated.
+   *
+   * @throws {TypeError} If the bound is not a number.
+   */
+  rowsBelow(bound, isInclusive) {
+    assertBound(bound);
+    return this.bitmapBelow(bound, isInclusive);
+  }
+
+  /**
+   * Returns the rows whose value is not null.
+   *
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   */
+  isNotNull() {
+    return this.rowsBelow(Infinity, true).slice();
+  }
+
+  /**
+   * Returns the rows whose value is lower than a bound.
+   *
+   * @param {number} bound The bound.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {TypeError} If the bound is not a number.
+   */
+  lt(bound) {
+    return this.rowsBelow(bound, false).slice();
+  }
+
+  /**
+   * Returns the rows whose value is lower than or equal to a bound.
+   *
+   * @param {number} bound The bound.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {TypeError} If the bound is not a number.
+   */
+  lte(bound) {
+    return this.rowsBelow(bound, true).slice();
+  }
+
+  /**
+   * Returns the rows whose value is greater than a bound.
+   *
+   * @param {number} bound The bound.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {TypeError} If the bound is not a number.
+   */
+  gt(bound) {
+    return bitwiseANDNOT(
+      this.rowsBelow(Infinity, true),
+      this.rowsBelow(bound, true)
+    );
+  }
+
+  /**
+   * Returns the rows whose value is greater than or equal to a bound.
+   *
+   * @param {number} bound The bound.
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *
+   * @throws {TypeError} If the bound is not a number.
+   */
+  gte(bound) {
+    return bitwiseANDNOT(
+      this.rowsBelow(Infinity, true),
+      this.rowsBelow(bound, false)
+    );
+  }
+
+  /**
+   * Returns the rows whose value is between two bounds (as the `BETWEEN` operator of SQL).
+   *
+   * @param {number} low The lower bound (inclusive).
+   * @param {number} high The upper bound (inclusive).
+   * @return {number[]} A new run-length encoded bitmap of the ids of the matching rows.
+   *                    The bitmap is empty if the lower bound is greater than the upper bound.
+   *
+   *                    Example:
+   *
+   *                    ```
+   *                    const index = new RangeEncodedIndex(
+   *                      [{ price: 5 }, { price: 250 }, { price: 10 }, { price: 700 }],
+   *                      "price"
+   *                    );
+   *                    index.between(10, 500);
+   *                    ```
+   *
+   *                    Would return `[1, 2]` (`0110`).
+   *
+   * @throws {TypeError} If a bound is not a number.
+   */
+  between(low, high) {
+    return bitwiseANDNOT(
+      this.rowsBelow(high, true),
+      this.rowsBelow(low, false)
+    );
+  }
+}
+export default NumericIndex;
@@ -0,0 +1,86 @@
+import bitwiseOR from "../bitwiseOR";
+import NumericIndex from "./NumericIndex";
+import readNumericColumn from "./readNumericColumn";
+import setRowBit from "./setRowBit";
+
+/**
+ * Returns the number of sorted values which are lower than (or equal to) a bound.
+ *
+ * @param {number[]} sortedValues The distinct values, in ascending order.
+ * @param {number} bound The bound.
+ * @param {boolean} isInclusive Whether to count the values equal to the bound.
+ * @return {number} The number of values.
+ */
+const countValuesBelow = (sortedValues, bound, isInclusive) => {
+  let low = 0;
+  let high = sortedValues.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    const value = sortedValues[middle];
+    if (value < bound || (isInclusive && value === bound)) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+};
+
+/**
+ * A range-encoded bitmap index of a numeric column of records (rows).
+ *
+ * For each distinct value `v` of the column, the index keeps a run-length encoded bitmap of the ids of the rows
+ * whose value is lower than or equal to `v` (the row id of a record being its zero-based position),
+ * therefore each range query combines at most 2 bitmaps, see {@link NumericIndex}.
+ */
+class RangeEncodedIndex extends NumericIndex {
+  /**
+   * @param {Iterable<Object>} records The records (e.g. an array of objects).
+   * @param {string} column The numeric column to index, i.e. the name of a property of the records.
+   *
+   * @throws {TypeError} If a value of the column is neither a finite number nor null.
+   */
+  constructor(records, column) {
+    super();
+    const values = readNumericColumn(records, column);
+    this.column = column;
+    this.numberOfRows = values.length;
+    this.sortedValues = [
+      ...new Set(
+        values.filter(value => value !== null).map(value => value + 0)
+      ), // Normalizes -0.
+    ].sort((a, b) => a - b);
+
+    const entryIndexByValue = new Map(
+      this.sortedValues.map((value, i) => [value, i])
+    );
+    const entries = this.sortedValues.map(() => ({
+      bitmap: [],
+      numberOfBits: 0,
+    }));
+    values.forEach((value, rowId) => {
+      if (value !== null) {
+        setRowBit(entries[entryIndexByValue.get(value)], rowId);
+      }
+    });
+
+    // The bitmap of a value is the OR of its equality bitmap with the bitmap of the previous value.
+    this.bitmaps = [];
+    entries.forEach(({ bitmap }, i) => {
+      this.bitmaps.push(i ? bitwiseOR(this.bitmaps[i - 1], bitmap) : bitmap);
+    });
+  }
+
+  /**
+   * @inheritdoc
+   */
+  bitmapBelow(bound, isInclusive) {
+    const numberOfValues = countValuesBelow(
+      this.sortedValues,
+      bound,
+      isInclusive
+    );
+    return numberOfValues ? this.bitmaps[numberOfValues - 1] : [];
+  }
+}
+export default RangeEncodedIndex;
@@ -0,0 +1,16 @@
+/**
+ * Asserts that a bound of a range query is a number.
+ *
+ * @param {*} bound The bound.
+ * @return {undefined}
+ *
+ * @throws {TypeError} If the bound is not a number or is `NaN` (infinite bounds are allowed).
+ */
+const assertBound = bound => {
+  if (typeof bound !== "number" || Number.isNaN(bound)) {
+    throw new TypeError(
+      `Invalid bound ${String(bound)}, expected a number which is not NaN.`
+    );
+  }
+};
+export default assertBound;
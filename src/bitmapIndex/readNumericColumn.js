@@ -0,0 +1,25 @@
+/**
+ * Reads the numeric values of a column of records (rows).
+ *
+ * @param {Iterable<Object>} records The records (e.g. an array of objects).
+ * @param {string} column The name of the property of the records holding the values.
+ * @return {Array<number|null>} The value of each row, `null` for the null values (`null`, `undefined` or missing).
+ *
+ * @throws {TypeError} If a value is neither a finite number nor null.
+ */
+const readNumericColumn = (records, column) => {
+  const values = [];
+  for (const record of records) {
+    const value = record[column] === undefined ? null : record[column];
+    if (value !== null && !Number.isFinite(value)) {
+      throw new TypeError(
+        `Invalid value ${String(value)} of the column ${JSON.stringify(
+          column
+        )} at row ${values.length}, expected a finite number or null.`
+      );
+    }
+    values.push(value);
+  }
+  return values;
+};
+export default readNumericColumn;
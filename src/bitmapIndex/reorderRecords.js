@@ -0,0 +1,41 @@
+import BitmapIndex from "./BitmapIndex";
+import reorderRows from "./reorderRows";
+
+/**
+ * Computes a permutation of records (rows) that lengthens the runs of the bitmaps of a bitmap index of their columns
+ * (see {@link BitmapIndex}), and reorders the records under that permutation.
+ *
+ * @param {Iterable<Object>} records The records (e.g. an array of objects).
+ * @param {string[]} columns The columns of the records, i.e. the names of their properties.
+ * @param {Object} [options] The options.
+ * @param {string} [options.order] The order of the rows, either `"lexicographic"` (the default) or `"gray"`, see {@link reorderRows}.
+ * @return {{records: Object[], index: BitmapIndex, permutation: number[], inversePermutation: number[], runsBefore: number, runsAfter: number}}
+ *                              An object with the following properties:
+ *
+ *                              - `records`: a new array of the reordered records;
+ *                              - `index`: the bitmap index of the columns of the reordered records;
+ *                              - `permutation`, `inversePermutation`, `runsBefore` and `runsAfter`: see {@link reorderRows},
+ *                                the bitmaps being the bitmaps of the values (null values included) of the columns of the records.
+ *
+ * @throws {TypeError} If the columns are not a non-empty array.
+ * @throws {RangeError} If the order is not valid.
+ */
+const reorderRecords = (records, columns, { order } = {}) => {
+  records = [...records];
+  const index = new BitmapIndex(records, columns);
+  const bitmaps = columns.flatMap(column =>
+    [...index.values(column), null].map(value => index.eq(column, value))
+  );
+  const { permutation, inversePermutation, runsBefore, runsAfter } =
+    reorderRows(bitmaps, { order, numberOfRows: index.numberOfRows });
+  const reorderedRecords = permutation.map(rowId => records[rowId]);
+  return {
+    records: reorderedRecords,
+    index: new BitmapIndex(reorderedRecords, columns),
+    permutation,
+    inversePermutation,
+    runsBefore,
+    runsAfter,
+  };
+};
+export default reorderRecords;
@@ -0,0 +1,157 @@
+import positions from "../positions";
+import cardinality from "../cardinality";
+import assertUniverseSize from "../utils/assertUniverseSize";
+import validateBitmaps from "../utils/validateBitmaps";
+import setRowBit from "./setRowBit";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * The orders of the rows, see {@link reorderRows}.
+ *
+ * @type {string[]}
+ */
+const ROW_ORDERS = ["lexicographic", "gray"];
+
+/**
+ * Counts the runs of run-length encoded bitmaps, i.e. their non-empty sequences of zeros or ones.
+ *
+ * @param {number[][]} bitmaps The run-length encoded bitmap arrays, see {@link bitwiseOR}.
+ * @return {number} The total number of runs.
+ */
+const countRuns = bitmaps =>
+  bitmaps.reduce(
+    (numberOfRuns, bitmap) =>
+      numberOfRuns + bitmap.filter(numberOfBits => numberOfBits > 0).length,
+    0
+  );
+
+/**
+ * Compares two rows, each row being given as the ascending indices of the columns of its bits set to one,
+ * the first column being the most significant one.
+ *
+ * @param {number[]} a The columns of the first row.
+ * @param {number[]} b The columns of the second row.
+ * @param {boolean} isGray Whether to compare the rows in Gray-code order instead of the lexicographic order.
+ * @return {number} A negative number if the first row comes first, a positive number if the second row comes first, `0` otherwise.
+ */
+const compareRows = (a, b, isGray) => {
+  let i = 0;
+  while (i < a.length && i < b.length && a[i] === b[i]) {
+    i++;
+  }
+  if (i === a.length && i === b.length) {
+    return 0;
+  }
+  // At the first different bit, the row having a zero comes first lexicographically. In the reflected Gray code,
+  // the order is reversed after an odd number of ones.
+  const isFirstRowOnZero = i === a.length || (i < b.length && b[i] < a[i]);
+  const comparison = isFirstRowOnZero ? -1 : 1;
+  return isGray && i % 2 === 1 ? -comparison : comparison;
+};
+
+/**
+ * Computes a permutation of the rows of a set of column bitmaps (e.g. the bitmaps of the values of a bitmap index)
+ * that lengthens their runs, and rewrites the bitmaps under that permutation.
+ *
+ * The columns are ranked by decreasing cardinality, and the rows are then sorted (stably) by their bits,
+ * the bit of the column with the highest cardinality being the most significant one.
+ *
+ * @param {number[][]} bitmaps The run-length encoded bitmap arrays of the columns (see {@link bitwiseOR}),
+ *                             the positions of their bits being the row ids.
+ * @param {Object} [options] The options.
+ * @param {string} [options.order] The order of the rows, either `"lexicographic"` (the default)
+ *                                 or `"gray"` (the order of the reflected Gray code, where consecutive rows
+ *                                 tend to differ by a single bit).
+ * @param {number} [options.numberOfRows] The number of rows, by default the number of bits of the longest bitmap.
+ *                                        The rows are materialized, therefore it should be the actual number of rows.
+ * @return {{bitmaps: number[][], permutation: number[], inversePermutation: number[], runsBefore: number, runsAfter: number}}
+ *                                        An object with the following properties:
+ *
+ *                                        - `bitmaps`: the new bitmaps of the columns, in the same order as the given ones;
+ *                                        - `permutation`: the old row id of each new row id, i.e. `permutation[newRowId]`;
+ *                                        - `inversePermutation`: the new row id of each old row id, i.e. `inversePermutation[oldRowId]`;
+ *                                        - `runsBefore` and `runsAfter`: the total number of runs of the bitmaps
+ *                                          before and after the reordering.
+ *
+ *                                        Example:
+ *
+ *                                        ```
+ *                                        reorderRows([[0, 1, 1, 1], [1, 1, 1, 1]]);
+ *                                        ```
+ *
+ *                                        Would return:
+ *
+ *                                        ```
+ *                                        {
+ *                                          bitmaps: [[2, 2], [0, 2]],
+ *                                          permutation: [1, 3, 0, 2],
+ *                                          inversePermutation: [2, 0, 3, 1],
+ *                                          runsBefore: 7,
+ *                                          runsAfter: 3,
+ *                                        }
+ *                                        ```
+ *
+ * @throws {RangeError} If the order is not valid, or if the number of rows is not valid or is lower than the number of bits of a bitmap.
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const reorderRows = (
+  bitmaps,
+  { order = "lexicographic", numberOfRows } = {}
+) => {
+  assertNumberRuns(bitmaps);
+  if (typeof numberOfRows === "undefined") {
+    numberOfRows = Math.max(
+      0,
+      ...bitmaps.map(bitmap => bitmap.reduce((sum, bits) => sum + bits, 0))
+    );
+  }
+  if (!ROW_ORDERS.includes(order)) {
+    throw new RangeError(
+      `Invalid row order ${JSON.stringify(
+        order
+      )}, expected one of ${ROW_ORDERS.map(rowOrder => `"${rowOrder}"`).join(
+        ", "
+      )}.`
+    );
+  }
+  assertUniverseSize(numberOfRows);
+  validateBitmaps(bitmaps);
+
+  const columnByRank = bitmaps
+    .map((bitmap, column) => ({ column, cardinality: cardinality(bitmap) }))
+    .sort((a, b) => b.cardinality - a.cardinality)
+    .map(({ column }) => column);
+  const columnsByRow = Array.from({ length: numberOfRows }, () => []);
+  columnByRank.forEach((column, rank) => {
+    for (const rowId of positions(bitmaps[column])) {
+      if (rowId >= numberOfRows) {
+        throw new RangeError(
+          `The bitmap at index ${column} has a bit set at position ${rowId}, which is not lower than the number of rows ${numberOfRows}.`
+        );
+      }
+      columnsByRow[rowId].push(rank);
+    }
+  });
+
+  const isGray = order === "gray";
+  const permutation = columnsByRow
+    .map((ranks, rowId) => rowId)
+    .sort((a, b) => compareRows(columnsByRow[a], columnsByRow[b], isGray));
+  const inversePermutation = new Array(numberOfRows);
+  const entries = bitmaps.map(() => ({ bitmap: [], numberOfBits: 0 }));
+  permutation.forEach((oldRowId, newRowId) => {
+    inversePermutation[oldRowId] = newRowId;
+    columnsByRow[oldRowId].forEach(rank =>
+      setRowBit(entries[columnByRank[rank]], newRowId)
+    );
+  });
+  const reorderedBitmaps = entries.map(({ bitmap }) => bitmap);
+  return {
+    bitmaps: reorderedBitmaps,
+    permutation,
+    inversePermutation,
+    runsBefore: countRuns(bitmaps),
+    runsAfter: countRuns(reorderedBitmaps),
+  };
+};
+export default reorderRows;
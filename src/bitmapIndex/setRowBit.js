@@ -0,0 +1,15 @@
+import appendBits from "../utils/appendBits";
+
+/**
+ * Sets the bit of a row in a bitmap being built, the rows being added in ascending order.
+ *
+ * @param {{bitmap: number[], numberOfBits: number}} entry The bitmap being built and its number of bits (mutated).
+ * @param {number} rowId The row id, greater than or equal to the number of bits of the bitmap.
+ * @return {undefined}
+ */
+const setRowBit = (entry, rowId) => {
+  appendBits(entry.bitmap, false, rowId - entry.numberOfBits);
+  appendBits(entry.bitmap, true, 1);
+  entry.numberOfBits = rowId + 1;
+};
+export default setRowBit;
@@ -1,10 +1,58 @@
-import { objectMin } from "js-utl";
 import withBitmapStateMap from "./hof/withBitmapStateMap";
+import appendBits from "./utils/appendBits";
+import validateBitmaps from "./utils/validateBitmaps";
+import resolveDenseBitsets from "./utils/resolveDenseBitsets";
+
+/**
+ * Computes a bitwise AND of the given bitmaps (see {@link bitwiseAND}), appending it to the given result bitmap instead of a new array.
+ *
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseAND}.
+ * @return {number[]|RunBuffer} The result bitmap.
+ */
+const bitwiseANDInto = (resultBitmap, ...bitmaps) => {
+  bitmaps = resolveDenseBitsets(bitmaps);
+  validateBitmaps(bitmaps);
+  let isThereABitmapWithoutSequenceOfBits = false;
+
+  const func = withBitmapStateMap({
+    bitmaps,
+    resultBitmap,
+    absorbingBit: false,
+    onBitmapWithoutSequenceOfBits: () =>
+      (isThereABitmapWithoutSequenceOfBits = true),
+  });
+
+  if (isThereABitmapWithoutSequenceOfBits) {
+    return resultBitmap;
+  }
+
+  return func(
+    ({
+      numberOfBits,
+      numberOfBitmapsOnOnes,
+      numberOfExhaustedBitmaps,
+      resultBitmap,
+    }) => {
+      if (numberOfExhaustedBitmaps > 0) {
+        // An exhausted bitmap is an indefinite sequence of zeros, there are no more ones.
+        return true;
+      }
+      // A segment of bits is made of ones if all the bitmaps are on ones.
+      appendBits(
+        resultBitmap,
+        numberOfBitmapsOnOnes === bitmaps.length,
+        numberOfBits
+      );
+    }
+  );
+};
 
 /**
  * Computes a bitwise AND of the given run-length encoded bitmaps.
  *
- * @param {...number[]} bitmaps A list of run-length encoded bitmap arrays, see {@link bitwiseOR}.
+ * @param {...(number[]|DenseBitset)} bitmaps A list of run-length encoded bitmap arrays, see {@link bitwiseOR},
+ *                                            and dense bitsets (see {@link DenseBitset}).
  * @return {number[]} A new bitmap array representing the bitwise AND of the given bitmap arrays.
  *
  *                    Example:
@@ -27,105 +75,9 @@ import withBitmapStateMap from "./hof/withBitmapStateMap";
  *                    -----------------
  *                    01000100001001000
  *
+ * @throws {InvalidBitmapError} If the strict mode is enabled and one of the bitmaps is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
  */
-const bitwiseAND = (...bitmaps) => {
-  let isThereABitmapWithoutSequenceOfBits = false;
-
-  const func = withBitmapStateMap({
-    bitmaps,
-    onBitmapWithoutSequenceOfBits: () =>
-      (isThereABitmapWithoutSequenceOfBits = true),
-  });
-
-  if (isThereABitmapWithoutSequenceOfBits) {
-    return [];
-  }
-
-  const resultBitmap = func(({ map, resultBitmap }) => {
-    // An iteration of the internal while loop of the function returned by `withBitmapStateMap`.
-    const { key: index, value: bitmapState } = objectMin(map, {
-      returnAsKeyVal: true,
-      comparator: (bitmapAState, bitmapBState) => {
-        const areBitmapAStateZeros = bitmapAState.i % 2 === 0;
-        const areBitmapBStateZeros = bitmapBState.i % 2 === 0;
-        if (areBitmapAStateZeros && areBitmapBStateZeros) {
-          // If both bitmap states are on zeros,
-          // return the bitmap state with the highest number of consumable zeros.
-          return bitmapBState.bits - bitmapAState.bits;
-        } else if (areBitmapAStateZeros) {
-          // `bitmapAState` is the current bitmap state with the highest number
-          // of consumable zeros.
-          return -1;
-        } else if (areBitmapBStateZeros) {
-          // Retain `bitmapBState` as it is the current bitmap state with the highest number
-          // of consumable zeros.
-          return 1;
-        } else {
-          // Both bitmap states represent consumable ones.
-          // In this case the bitmap state with the minimum number of bits is used.
-          return bitmapAState.bits - bitmapBState.bits;
-        }
-      },
-    });
-
-    const shouldConsumeZeros = bitmapState.i % 2 === 0;
-    const bitsToConsume = bitmapState.bits;
-    delete map[index];
-    if (shouldConsumeZeros) {
-      // Consume zeros.
-      for (const otherIndex in map) {
-        let bitsToConsumeForCurrentBitmapState = bitsToConsume;
-        do {
-          map[otherIndex].bits -= bitsToConsumeForCurrentBitmapState;
-          if (map[otherIndex].bits < 0) {
-            bitsToConsumeForCurrentBitmapState = Math.abs(map[otherIndex].bits);
-            map[otherIndex].bits = 0;
-          } else {
-            bitsToConsumeForCurrentBitmapState = 0;
-          }
-          if (map[otherIndex].bits <= 0) {
-            // `map[otherIndex].bits` can never be less than 0 at this point
-            // (it's an invariant because `map[otherIndex].bits` is either positive or 0 here).
-            map[otherIndex].i++;
-            if (typeof bitmaps[otherIndex][map[otherIndex].i] !== "undefined") {
-              map[otherIndex].bits = bitmaps[otherIndex][map[otherIndex].i];
-            } else {
-              return resultBitmap;
-            }
-          }
-        } while (bitsToConsumeForCurrentBitmapState > 0);
-      }
-      const lastResultBitmapIndex = resultBitmap.length - 1;
-      if (lastResultBitmapIndex % 2 === 0) {
-        resultBitmap[lastResultBitmapIndex] += bitsToConsume; // Add zeros to previous chunk.
-      } else {
-        resultBitmap.push(bitsToConsume); // Add zeros.
-      }
-    } else {
-      // Consume ones.
-      resultBitmap.push(bitsToConsume); // Add ones.
-      for (const otherIndex in map) {
-        map[otherIndex].bits -= bitsToConsume;
-        if (map[otherIndex].bits <= 0) {
-          // `map[otherIndex].bits` can never be less than 0 at this point
-          // (it's an invariant because the minimum `map[index].bits`, i.e. `bitsToConsume`, was the minimum value).
-          map[otherIndex].i++;
-          if (typeof bitmaps[otherIndex][map[otherIndex].i] !== "undefined") {
-            map[otherIndex].bits = bitmaps[otherIndex][map[otherIndex].i];
-          } else {
-            return resultBitmap;
-          }
-        }
-      }
-    }
-    map[index] = bitmapState;
-    map[index].i++;
-    if (typeof bitmaps[index][map[index].i] !== "undefined") {
-      map[index].bits = bitmaps[index][map[index].i];
-    } else {
-      return resultBitmap;
-    }
-  });
-  return resultBitmap;
-};
+const bitwiseAND = (...bitmaps) => bitwiseANDInto([], ...bitmaps);
+export { bitwiseANDInto };
 export default bitwiseAND;
@@ -0,0 +1,88 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import appendBits from "./utils/appendBits";
+import validateBitmaps from "./utils/validateBitmaps";
+
+/**
+ * Computes a bitwise AND NOT of the given bitmaps (see {@link bitwiseANDNOT}), appending it to the given result bitmap instead of a new array.
+ *
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseANDNOT}.
+ * @return {number[]|RunBuffer} The result bitmap.
+ */
+const bitwiseANDNOTInto = (resultBitmap, bitmap, ...otherBitmaps) => {
+  const bitmaps = [bitmap, ...otherBitmaps];
+  validateBitmaps(bitmaps);
+  let isBitmapWithoutSequenceOfBits = false;
+
+  const func = withBitmapStateMap({
+    bitmaps,
+    resultBitmap,
+    onBitmapWithoutSequenceOfBits: (bitmap, index) =>
+      index === 0 && (isBitmapWithoutSequenceOfBits = true),
+  });
+
+  if (isBitmapWithoutSequenceOfBits) {
+    return resultBitmap;
+  }
+
+  return func(
+    ({
+      numberOfBits,
+      numberOfBitmapsOnOnes,
+      isBitmapOnOnes,
+      isBitmapExhausted,
+      resultBitmap,
+    }) => {
+      // The bitmap at index `0` is the bitmap to subtract from.
+      if (isBitmapExhausted(0)) {
+        // Nothing left to subtract from.
+        return true;
+      }
+      // A segment of bits is made of ones if the bitmap to subtract from is the only bitmap on ones.
+      appendBits(
+        resultBitmap,
+        isBitmapOnOnes(0) && numberOfBitmapsOnOnes === 1,
+        numberOfBits
+      );
+    }
+  );
+};
+
+/**
+ * Computes a bitwise AND NOT (i.e. the set difference) of the given run-length encoded bitmaps.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {...number[]} otherBitmaps A list of run-length encoded bitmap arrays to subtract from `bitmap`.
+ * @return {number[]} A new bitmap array representing the bitwise AND NOT of the given bitmap arrays, i.e. a bitmap
+ *                    having the bits of `bitmap` which are not set in any of the other bitmaps. The result is computed
+ *                    in a single pass, without computing the bitwise NOT of the other bitmaps.
+ *                    An empty array is returned if `bitmap` is empty, and an empty array given as one of the other bitmaps
+ *                    is considered as an indefinite sequence of zeros (it doesn't subtract anything).
+ *
+ *                    Example:
+ *                    `[0, 3, 2, 4, 1, 1, 2, 1]` represents the bitmap `11100111101001`.
+ *                    `[1, 1, 3, 2]` represents the bitmap `0100011`.
+ *                    `[8, 1, 4, 1]` represents the bitmap `00000000100001`.
+ *
+ *                    Then:
+ *
+ *                    ```
+ *                    bitwiseANDNOT([0, 3, 2, 4, 1, 1, 2, 1], [1, 1, 3, 2], [8, 1, 4, 1]);
+ *                    ```
+ *
+ *                    Would return `[0, 1, 1, 1, 4, 1, 2, 1]` (`10100001001`).
+ *                    This bitmap is effectively the result of the bitwise AND NOT of the given bitmaps:
+ *
+ *                    11100111101001
+ *                    0100011
+ *                    00000000100001
+ *                    --------------
+ *                    10100001001000
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
+ */
+const bitwiseANDNOT = (bitmap, ...otherBitmaps) =>
+  bitwiseANDNOTInto([], bitmap, ...otherBitmaps);
+export { bitwiseANDNOTInto };
+export default bitwiseANDNOT;
@@ -0,0 +1,49 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import validateBitmaps from "./utils/validateBitmaps";
+import resolveDenseBitsets from "./utils/resolveDenseBitsets";
+
+/**
+ * Counts, for each position, the number of the given run-length encoded bitmaps having the bit at that position set to one.
+ *
+ * @param {...(number[]|DenseBitset)} bitmaps A list of run-length encoded bitmap arrays, see {@link bitwiseOR}.
+ *                                           Dense bitsets (see {@link DenseBitset}) can be given along with them.
+ * @return {Array<[number, number]>} The run-length encoded counts, i.e. a new array of `[count, length]` runs,
+ *                                   each run being a sequence of `length` positions where `count` bitmaps have their bit set to one.
+ *                                   Consecutive runs have different counts and the bits following the last run
+ *                                   are not set in any bitmap (the last run never has a count of `0`).
+ *
+ *                                   Example:
+ *
+ *                                   ```
+ *                                   bitwiseCount([0, 3], [2, 3], [0, 1, 3, 2]);
+ *                                   ```
+ *
+ *                                   Would return `[[2, 1], [1, 1], [2, 1], [1, 1], [2, 1], [1, 1]]`:
+ *
+ *                                   111
+ *                                   00111
+ *                                   100011
+ *                                   ------
+ *                                   212121
+ *
+ * @throws {InvalidBitmapError} If the strict mode is enabled and one of the bitmaps is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
+ */
+const bitwiseCount = (...bitmaps) => {
+  bitmaps = resolveDenseBitsets(bitmaps);
+  validateBitmaps(bitmaps);
+  const counts = [];
+  withBitmapStateMap({ bitmaps })(({ numberOfBits, numberOfBitmapsOnOnes }) => {
+    const lastRun = counts[counts.length - 1];
+    if (lastRun && lastRun[0] === numberOfBitmapsOnOnes) {
+      lastRun[1] += numberOfBits;
+    } else {
+      counts.push([numberOfBitmapsOnOnes, numberOfBits]);
+    }
+  });
+  if (counts.length && counts[counts.length - 1][0] === 0) {
+    counts.pop();
+  }
+  return counts;
+};
+export default bitwiseCount;
@@ -1,36 +1,53 @@
 import { MAX_SAFE_INT } from "./constants";
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import assertUniverseSize from "./utils/assertUniverseSize";
+import validateBitmaps from "./utils/validateBitmaps";
+import assertNumberRuns from "./utils/assertNumberRuns";
 
 /**
- * Computes a bitwise NOT of the given run-length encoded bitmaps.
+ * Computes a bitwise NOT of the given bitmaps (see {@link bitwiseNOT}), appending it to the given result bitmap instead of a new array.
  *
- * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
- * @return {number[]} A new bitmap array representing the bitwise NOT of the given bitmap array.
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseNOT}.
+ * @return {number[]|RunBuffer} The result bitmap.
  */
-const bitwiseNOT = bitmap => {
-  if (!bitmap.length) {
-    return [0, MAX_SAFE_INT]; // All ones, up to `MAX_SAFE_INT`.
-  }
-  const resultBitmap = [];
+const bitwiseNOTInto = (resultBitmap, bitmap, universeSize = MAX_SAFE_INT) => {
+  assertUniverseSize(universeSize);
+  assertNumberRuns([bitmap]);
+  validateBitmaps([bitmap]);
   let totalNumberOfBits = 0;
-  let i = 0;
-  if (bitmap[0] > 0) {
-    // There are initial leftmost zeros.
-    resultBitmap.push(0); // This allows starting with ones.
-  } else {
-    // There are initial leftmost ones.
-    i = 1; // Start with zeros.
-  }
-  for (; i < bitmap.length; i++) {
-    const numberOfBits = bitmap[i];
+  for (let i = 0; i < bitmap.length && totalNumberOfBits < universeSize; i++) {
+    const numberOfBits = Math.min(bitmap[i], universeSize - totalNumberOfBits);
     totalNumberOfBits += numberOfBits;
-    resultBitmap.push(numberOfBits);
+    appendBits(resultBitmap, i % 2 === 0, numberOfBits); // Zeros become ones and vice versa.
   }
-  const remainingRightmostOnes = MAX_SAFE_INT - totalNumberOfBits;
-  if ((resultBitmap.length - 1) % 2 === 1) {
-    resultBitmap[resultBitmap.length - 1] += remainingRightmostOnes;
-  } else {
-    resultBitmap.push(remainingRightmostOnes);
-  }
-  return resultBitmap;
+  const remainingRightmostOnes = universeSize - totalNumberOfBits;
+  appendBits(resultBitmap, true, remainingRightmostOnes); // All ones, up to `universeSize`.
+  return popTrailingZeros(resultBitmap);
 };
+
+/**
+ * Computes a bitwise NOT of the given run-length encoded bitmaps.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} [universeSize] The number of bits of the universe of the bitmap, defaults to `MAX_SAFE_INT`.
+ *                                The complement is padded with ones up to the size of the universe,
+ *                                and the bits of the given bitmap exceeding the universe are discarded.
+ * @return {number[]} A new bitmap array representing the bitwise NOT of the given bitmap array.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    bitwiseNOT([2, 2], 6);
+ *                    ```
+ *
+ *                    Would return `[0, 2, 2, 2]` (`110011`).
+ *
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset, or if the strict mode is enabled and it is not valid, see {@link setStrictMode}.
+ */
+const bitwiseNOT = (bitmap, universeSize = MAX_SAFE_INT) =>
+  bitwiseNOTInto([], bitmap, universeSize);
+export { bitwiseNOTInto };
 export default bitwiseNOT;
@@ -1,12 +1,48 @@
-import { objectMin } from "js-utl";
 import withBitmapStateMap from "./hof/withBitmapStateMap";
+import appendBits from "./utils/appendBits";
+import validateBitmaps from "./utils/validateBitmaps";
+import resolveDenseBitsets from "./utils/resolveDenseBitsets";
+
+/**
+ * Computes a bitwise OR of the given bitmaps (see {@link bitwiseOR}), appending it to the given result bitmap instead of a new array.
+ *
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseOR}.
+ * @return {number[]|RunBuffer} The result bitmap.
+ */
+const bitwiseORInto = (resultBitmap, ...bitmaps) => {
+  bitmaps = resolveDenseBitsets(bitmaps);
+  validateBitmaps(bitmaps);
+  let areAllBitmapsWithoutSequenceOfBits = false;
+
+  const func = withBitmapStateMap({
+    bitmaps,
+    resultBitmap,
+    absorbingBit: true,
+    onAllBitmapsWithoutSequenceOfBits: () =>
+      (areAllBitmapsWithoutSequenceOfBits = true),
+  });
+
+  if (areAllBitmapsWithoutSequenceOfBits) {
+    return resultBitmap;
+  }
+
+  return func(({ numberOfBits, numberOfBitmapsOnOnes, resultBitmap }) => {
+    // A segment of bits is made of ones if at least one of the bitmaps is on ones.
+    appendBits(resultBitmap, numberOfBitmapsOnOnes > 0, numberOfBits);
+  });
+};
 
 /**
  * Computes a bitwise OR of the given run-length encoded bitmaps.
  *
- * @param {...number[]} bitmaps A list of run-length encoded bitmap arrays, each bitmap being an array of numbers where each number represents the number of zeros and ones
+ * @param {...(number[]|DenseBitset)} bitmaps A list of run-length encoded bitmap arrays, each bitmap being an array of numbers where each number represents the number of zeros and ones
  *                              (in order from left to right, starting from the number of zeros), e.g. `[1, 3, 4]` represents the bitmap `01110000`,
  *                              where the first leftmost 1 bit is zero, followed by 3 ones, followed by 4 zeros.
+ *                              Dense bitsets (see {@link DenseBitset}) can be given along with them.
+ *                              The runs can also be `bigint`s for positions beyond `MAX_SAFE_INT` (see {@link bigBitwiseNOT}),
+ *                              in which case all the given non-empty bitmaps must have `bigint` runs.
+ *                              The runs can also be stored in a `Float64Array` or a `Uint32Array` (see {@link withRunBuffer}).
  *
  * @return {number[]} A new bitmap array representing the bitwise OR of the given bitmaps arrays. The bitwise OR is computed left-to-right.
  *                    An empty array given as a bitmap is considered as an indefinite sequence of zeros, and an empty array is returned
@@ -33,111 +69,9 @@ import withBitmapStateMap from "./hof/withBitmapStateMap";
  *                    ------------------
  *                    111100000011000111
  *
+ * @throws {InvalidBitmapError} If the strict mode is enabled and one of the bitmaps is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
  */
-const bitwiseOR = (...bitmaps) => {
-  let areAllBitmapsWithoutSequenceOfBits = false;
-
-  const func = withBitmapStateMap({
-    bitmaps,
-    onAllBitmapsWithoutSequenceOfBits: () =>
-      (areAllBitmapsWithoutSequenceOfBits = true),
-  });
-
-  if (areAllBitmapsWithoutSequenceOfBits) {
-    return [];
-  }
-
-  const resultBitmap = func(({ map, resultBitmap }) => {
-    // Each execution of this callback corresponds to an iteration of the internal while loop
-    // of the function returned by `withBitmapStateMap` which executes as long as the bitmap state map `map` is not empty
-    // (meaning that it's not an empty object).
-    // `map` and `resultBitmap` are mutable here (they can and need to be mutated).
-    const { key: index, value: bitmapState } = objectMin(map, {
-      returnAsKeyVal: true,
-      comparator: (bitmapAState, bitmapBState) => {
-        const areBitmapAStateOnes = bitmapAState.i % 2 === 1;
-        const areBitmapBStateOnes = bitmapBState.i % 2 === 1;
-        if (areBitmapAStateOnes && areBitmapBStateOnes) {
-          // If both bitmap states are on ones,
-          // return the bitmap state with the highest number of consumable ones.
-          return bitmapBState.bits - bitmapAState.bits;
-        } else if (areBitmapAStateOnes) {
-          // `bitmapAState` is the current bitmap state with the highest number
-          // of consumable ones.
-          return -1;
-        } else if (areBitmapBStateOnes) {
-          // Retain `bitmapBState` as it is the current bitmap state with the highest number
-          // of consumable ones.
-          return 1;
-        } else {
-          // Both bitmap states represent consumable zeros.
-          // In this case the bitmap state with the minimum number of bits is used.
-          return bitmapAState.bits - bitmapBState.bits;
-        }
-      },
-    });
-
-    const shouldConsumeOnes = bitmapState.i % 2 === 1;
-    const bitsToConsume = bitmapState.bits;
-    delete map[index];
-    if (shouldConsumeOnes) {
-      // Consume ones.
-      for (const otherIndex in map) {
-        let bitsToConsumeForCurrentBitmapState = bitsToConsume;
-        do {
-          map[otherIndex].bits -= bitsToConsumeForCurrentBitmapState;
-          if (map[otherIndex].bits < 0) {
-            bitsToConsumeForCurrentBitmapState = Math.abs(map[otherIndex].bits);
-            map[otherIndex].bits = 0;
-          } else {
-            bitsToConsumeForCurrentBitmapState = 0;
-          }
-          if (map[otherIndex].bits <= 0) {
-            // `map[otherIndex].bits` can never be less than 0 at this point
-            // (it's an invariant because `map[otherIndex].bits` is either positive or 0 here).
-            map[otherIndex].i++;
-            if (typeof bitmaps[otherIndex][map[otherIndex].i] !== "undefined") {
-              map[otherIndex].bits = bitmaps[otherIndex][map[otherIndex].i];
-            } else {
-              delete map[otherIndex];
-            }
-          }
-        } while (map[otherIndex] && bitsToConsumeForCurrentBitmapState > 0);
-      }
-    } else {
-      // Consume zeros.
-      for (const otherIndex in map) {
-        map[otherIndex].bits -= bitsToConsume;
-        if (map[otherIndex].bits <= 0) {
-          // `map[otherIndex].bits` can never be less than 0 at this point
-          // (it's an invariant because the minimum `map[index].bits`, i.e. `bitsToConsume`, was the minimum value).
-          map[otherIndex].i++;
-          if (typeof bitmaps[otherIndex][map[otherIndex].i] !== "undefined") {
-            map[otherIndex].bits = bitmaps[otherIndex][map[otherIndex].i];
-          } else {
-            delete map[otherIndex];
-          }
-        }
-      }
-    }
-
-    // Determine which chunk of the result bitmap to update, and whether ones or zeros have to be added or incremented,
-    // depending on the current last index of the `resultBitmap`.
-    const lastResultBitmapIndex = resultBitmap.length - 1;
-    if (lastResultBitmapIndex % 2 === (shouldConsumeOnes ? 1 : 0)) {
-      resultBitmap[lastResultBitmapIndex] += bitsToConsume; // Add ones (or zeros) to previous chunk.
-    } else {
-      resultBitmap.push(bitsToConsume); // Add ones (or zeros).
-    }
-
-    map[index] = bitmapState;
-    map[index].i++;
-    if (typeof bitmaps[index][map[index].i] !== "undefined") {
-      map[index].bits = bitmaps[index][map[index].i];
-    } else {
-      delete map[index];
-    }
-  });
-  return resultBitmap;
-};
+const bitwiseOR = (...bitmaps) => bitwiseORInto([], ...bitmaps);
+export { bitwiseORInto };
 export default bitwiseOR;
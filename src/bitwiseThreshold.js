@@ -0,0 +1,82 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import appendBits from "./utils/appendBits";
+import validateBitmaps from "./utils/validateBitmaps";
+import resolveDenseBitsets from "./utils/resolveDenseBitsets";
+
+/**
+ * Computes a bitwise threshold of the given bitmaps (see {@link bitwiseThreshold}), appending it to the given result bitmap instead of a new array.
+ *
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseThreshold}.
+ * @return {number[]|RunBuffer} The result bitmap.
+ */
+const bitwiseThresholdInto = (resultBitmap, k, ...bitmaps) => {
+  if (!Number.isInteger(k) || k < 1) {
+    throw new RangeError(
+      `Invalid threshold ${k}, expected a positive integer.`
+    );
+  }
+  bitmaps = resolveDenseBitsets(bitmaps);
+  validateBitmaps(bitmaps);
+  let numberOfBitmapsWithSequenceOfBits = bitmaps.length;
+
+  const func = withBitmapStateMap({
+    bitmaps,
+    resultBitmap,
+    onBitmapWithoutSequenceOfBits: () => numberOfBitmapsWithSequenceOfBits--,
+  });
+
+  if (numberOfBitmapsWithSequenceOfBits < k) {
+    return resultBitmap;
+  }
+
+  return func(
+    ({
+      numberOfBits,
+      numberOfBitmapsOnOnes,
+      numberOfExhaustedBitmaps,
+      resultBitmap,
+    }) => {
+      if (bitmaps.length - numberOfExhaustedBitmaps < k) {
+        // Exhausted bitmaps are indefinite sequences of zeros, no more bits can be set in `k` bitmaps.
+        return true;
+      }
+      // A segment of bits is made of ones if at least `k` bitmaps are on ones.
+      appendBits(resultBitmap, numberOfBitmapsOnOnes >= k, numberOfBits);
+    }
+  );
+};
+
+/**
+ * Computes the bits set to one in at least `k` of the given run-length encoded bitmaps.
+ *
+ * @param {number} k The minimum number of bitmaps in which a bit must be set to one, a positive integer.
+ *                   `1` computes the bitwise OR of the bitmaps and the number of bitmaps computes their bitwise AND.
+ * @param {...(number[]|DenseBitset)} bitmaps A list of run-length encoded bitmap arrays, see {@link bitwiseOR}.
+ *                                           Dense bitsets (see {@link DenseBitset}) can be given along with them.
+ * @return {number[]} A new bitmap array whose bits set to one are the bits set to one in at least `k` bitmaps.
+ *                    An empty array is returned if `k` is greater than the number of bitmaps.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    bitwiseThreshold(2, [0, 3], [2, 3], [0, 1, 3, 2]);
+ *                    ```
+ *
+ *                    Would return `[0, 1, 1, 1, 1, 1]` (`10101`), i.e. a bitmap where the bits set to one are set
+ *                    in at least 2 of the given bitmaps:
+ *
+ *                    111
+ *                    00111
+ *                    100011
+ *                    ------
+ *                    10101
+ *
+ * @throws {RangeError} If `k` is not a positive integer.
+ * @throws {InvalidBitmapError} If the strict mode is enabled and one of the bitmaps is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
+ */
+const bitwiseThreshold = (k, ...bitmaps) =>
+  bitwiseThresholdInto([], k, ...bitmaps);
+export { bitwiseThresholdInto };
+export default bitwiseThreshold;
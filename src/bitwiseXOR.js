@@ -1,21 +1,42 @@
-import bitwiseAND from "./bitwiseAND";
-import bitwiseOR from "./bitwiseOR";
-import bitwiseNOT from "./bitwiseNOT";
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import appendBits from "./utils/appendBits";
+import validateBitmaps from "./utils/validateBitmaps";
 
 /**
- * @type {Function}
+ * Computes a bitwise XOR of the given bitmaps (see {@link bitwiseXOR}), appending it to the given result bitmap instead of a new array.
+ *
+ * @param {number[]|RunBuffer} resultBitmap The empty bitmap to which the result is appended (e.g. a {@link RunBuffer}, see {@link withRunBuffer}).
+ * @param {...*} args The arguments of {@link bitwiseXOR}.
+ * @return {number[]|RunBuffer} The result bitmap.
  */
-const XOR = (bitmapA, bitmapB) =>
-  bitwiseAND(
-    bitwiseOR(bitmapA, bitmapB),
-    bitwiseOR(bitwiseNOT(bitmapA), bitwiseNOT(bitmapB))
-  );
+const bitwiseXORInto = (resultBitmap, ...bitmaps) => {
+  validateBitmaps(bitmaps);
+  let areAllBitmapsWithoutSequenceOfBits = false;
+
+  const func = withBitmapStateMap({
+    bitmaps,
+    resultBitmap,
+    onAllBitmapsWithoutSequenceOfBits: () =>
+      (areAllBitmapsWithoutSequenceOfBits = true),
+  });
+
+  if (areAllBitmapsWithoutSequenceOfBits) {
+    return resultBitmap;
+  }
+
+  return func(({ numberOfBits, numberOfBitmapsOnOnes, resultBitmap }) => {
+    // A segment of bits is made of ones if an odd number of bitmaps is on ones.
+    appendBits(resultBitmap, numberOfBitmapsOnOnes % 2 === 1, numberOfBits);
+  });
+};
 
 /**
  * Computes a bitwise XOR of the given run-length encoded bitmaps.
  *
  * @param {...number[]} bitmaps A list of run-length encoded bitmap arrays, see {@link bitwiseOR}.
  * @return {number[]} A new bitmap array representing the bitwise XOR of the given bitmap arrays.
+ *                    A bit of the result is set to one if it is set to one in an odd number of the given bitmaps.
+ *                    The result is computed in a single pass over the chunks of all the given bitmaps.
  *
  *                    Example:
  *                    `[0, 1, 2, 2]` represents the bitmap `10011`.
@@ -35,26 +56,9 @@ const XOR = (bitmapA, bitmapB) =>
  *                    -----
  *                    10101
  *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ *                              Also thrown if some of the bitmaps have `number` runs and others have `bigint` runs, regardless of the strict mode.
  */
-const bitwiseXOR = (...bitmaps) => {
-  let resultBitmap;
-  if (bitmaps.length <= 0) {
-    return [];
-  } else if (bitmaps.length === 1) {
-    resultBitmap = bitmaps[0];
-  } else {
-    // There are at least two bitmaps.
-    const firstBitmap = bitmaps[0];
-    const secondBitmap = bitmaps[1];
-    resultBitmap = XOR(firstBitmap, secondBitmap);
-    for (let i = 2; i < bitmaps.length; i++) {
-      const bitmap = bitmaps[i];
-      resultBitmap = XOR(resultBitmap, bitmap);
-    }
-  }
-  if ((resultBitmap.length - 1) % 2 === 0) {
-    resultBitmap.pop(); // Pop trailing zeros.
-  }
-  return resultBitmap;
-};
+const bitwiseXOR = (...bitmaps) => bitwiseXORInto([], ...bitmaps);
+export { bitwiseXORInto };
 export default bitwiseXOR;
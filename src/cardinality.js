@@ -0,0 +1,28 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Computes the cardinality of a run-length encoded bitmap, i.e. the number of its bits set to one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {number} The number of set bits. The cardinality is computed directly on the runs of the bitmap,
+ *                  therefore it can also be computed for bitmaps spanning up to `MAX_SAFE_INT` bits (e.g. the result of {@link bitwiseNOT}).
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  cardinality([0, 3, 2, 4, 1, 1, 2, 1]);
+ *                  ```
+ *
+ *                  Would return `9` (`11100111101001`).
+ *
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const cardinality = bitmap => {
+  assertNumberRuns([bitmap]);
+  let numberOfOnes = 0;
+  for (let i = 1; i < bitmap.length; i += 2) {
+    numberOfOnes += bitmap[i];
+  }
+  return numberOfOnes;
+};
+export default cardinality;
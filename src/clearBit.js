@@ -0,0 +1,22 @@
+import clearRange from "./clearRange";
+
+/**
+ * Clears a bit of a run-length encoded bitmap (i.e. sets it to zero).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} position The zero-based position of the bit.
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    clearBit([0, 5], 4);
+ *                    ```
+ *
+ *                    Would return `[0, 4]` (`1111`).
+ *
+ * @throws {RangeError} If the position is not a non-negative integer.
+ */
+const clearBit = (bitmap, position) =>
+  clearRange(bitmap, position, position + 1);
+export default clearBit;
@@ -0,0 +1,24 @@
+import updateRange from "./utils/updateRange";
+
+/**
+ * Clears the bits of a range of a run-length encoded bitmap (i.e. sets them to zero).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} start The zero-based position of the first bit to clear.
+ * @param {number} end The zero-based position following the last bit to clear (i.e. the range is `[start, end)`).
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    clearRange([0, 8], 2, 4);
+ *                    ```
+ *
+ *                    Would return `[0, 2, 2, 4]` (`11001111`).
+ *
+ * @throws {RangeError} If the bounds of the range are not non-negative integers or if `end` precedes `start`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const clearRange = (bitmap, start, end) =>
+  updateRange(bitmap, start, end, () => false);
+export default clearRange;
@@ -0,0 +1,27 @@
+import appendBits from "../utils/appendBits";
+
+/**
+ * Appends bits of a word of a word-aligned compressed bitmap to a run-length encoded bitmap,
+ * the first bit being the least significant one.
+ *
+ * @param {number[]} bitmap The run-length encoded bitmap array to append the bits to.
+ * @param {Object} ops The operations on the words, see {@link wordOps}.
+ * @param {number|bigint} word The word.
+ * @param {number} numberOfBits The number of bits to append, starting from the least significant one.
+ * @return {number[]} The given bitmap.
+ */
+const appendWordBits = (bitmap, ops, word, numberOfBits) => {
+  for (let shift = 0; shift < numberOfBits; shift += 32) {
+    const chunkSize = Math.min(32, numberOfBits - shift);
+    const chunk = ops.field(word, shift, chunkSize);
+    if (chunk === 0 || chunk === 2 ** chunkSize - 1) {
+      appendBits(bitmap, chunk !== 0, chunkSize);
+      continue;
+    }
+    for (let i = 0; i < chunkSize; i++) {
+      appendBits(bitmap, Math.floor(chunk / 2 ** i) % 2 === 1, 1);
+    }
+  }
+  return bitmap;
+};
+export default appendWordBits;
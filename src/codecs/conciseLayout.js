@@ -0,0 +1,22 @@
+/**
+ * The layout of the fill words of Concise compressed bitmaps, by number of bits of the words
+ * (the counter of the groups is in the least significant bits, followed by the position of the flipped bit,
+ * the type of the fill and the literal flag, which is the most significant bit).
+ * The 64-bit layout extends the original 32-bit one with a wider position and counter.
+ *
+ * @type {Object<number, {positionBits: number, counterBits: number}>}
+ */
+const CONCISE_LAYOUTS = {
+  32: { positionBits: 5, counterBits: 25 },
+  64: { positionBits: 6, counterBits: 56 },
+};
+
+/**
+ * Returns the layout of the fill words of Concise compressed bitmaps made of words of the given size.
+ *
+ * @param {number} wordSize The number of bits of the words, `32` or `64`.
+ * @return {{positionBits: number, counterBits: number}} The number of bits of the position of the flipped bit
+ *                                                       and of the counter of a fill word.
+ */
+const conciseLayout = wordSize => CONCISE_LAYOUTS[wordSize];
+export default conciseLayout;
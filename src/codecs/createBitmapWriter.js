@@ -0,0 +1,55 @@
+import { MAX_SAFE_INT } from "../constants";
+import appendBits from "../utils/appendBits";
+import popTrailingZeros from "../utils/popTrailingZeros";
+import appendWordBits from "./appendWordBits";
+import DeserializationError from "../errors/DeserializationError";
+
+/**
+ * Creates a writer of the run-length encoded bitmap decoded from the words of a word-aligned compressed bitmap.
+ *
+ * @param {Object} ops The operations on the words, see {@link wordOps}.
+ * @param {string} format The name of the format, for the error messages.
+ * @return {{fill: Function, literal: Function, bitmap: Function}} The writer: `fill(isOnes, numberOfBits, wordIndex)` appends a fill,
+ *                                                                  `literal(word, numberOfBits, wordIndex)` appends the least significant bits of a literal word
+ *                                                                  and `bitmap()` returns the decoded bitmap, without trailing zeros.
+ *
+ * @throws {DeserializationError} From `fill` and `literal`, if a one is beyond the first `MAX_SAFE_INT` bits.
+ */
+const createBitmapWriter = (ops, format) => {
+  const resultBitmap = [];
+  let totalNumberOfBits = 0;
+  const overflow = wordIndex =>
+    new DeserializationError(
+      `Invalid ${format} bitmap: the word at index ${wordIndex} makes the total number of bits exceed MAX_SAFE_INT (${MAX_SAFE_INT}).`,
+      { offset: wordIndex }
+    );
+  return {
+    fill: (isOnes, numberOfBits, wordIndex) => {
+      const maxNumberOfBits = MAX_SAFE_INT - totalNumberOfBits;
+      if (numberOfBits > maxNumberOfBits) {
+        if (isOnes) {
+          throw overflow(wordIndex);
+        }
+        // The zeros beyond `MAX_SAFE_INT` (e.g. the padding of the last group) are trailing zeros anyway.
+        numberOfBits = maxNumberOfBits;
+      }
+      totalNumberOfBits += numberOfBits;
+      appendBits(resultBitmap, isOnes, numberOfBits);
+    },
+    literal: (word, numberOfBits, wordIndex) => {
+      const maxNumberOfBits = MAX_SAFE_INT - totalNumberOfBits;
+      if (numberOfBits > maxNumberOfBits) {
+        for (let shift = maxNumberOfBits; shift < numberOfBits; shift += 32) {
+          if (ops.field(word, shift, Math.min(32, numberOfBits - shift))) {
+            throw overflow(wordIndex);
+          }
+        }
+        numberOfBits = maxNumberOfBits;
+      }
+      totalNumberOfBits += numberOfBits;
+      appendWordBits(resultBitmap, ops, word, numberOfBits);
+    },
+    bitmap: () => popTrailingZeros(resultBitmap),
+  };
+};
+export default createBitmapWriter;
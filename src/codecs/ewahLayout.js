@@ -0,0 +1,20 @@
+/**
+ * The layout of the marker words of EWAH compressed bitmaps, by number of bits of the words
+ * (the running bit is the least significant bit, followed by the running length and by the number of literal words).
+ *
+ * @type {Object<number, {runningLengthBits: number, numberOfLiteralsBits: number}>}
+ */
+const EWAH_LAYOUTS = {
+  32: { runningLengthBits: 16, numberOfLiteralsBits: 15 },
+  64: { runningLengthBits: 32, numberOfLiteralsBits: 31 },
+};
+
+/**
+ * Returns the layout of the marker words of EWAH compressed bitmaps made of words of the given size.
+ *
+ * @param {number} wordSize The number of bits of the words, `32` or `64`.
+ * @return {{runningLengthBits: number, numberOfLiteralsBits: number}} The number of bits of the running length
+ *                                                                    and of the number of literal words of a marker word.
+ */
+const ewahLayout = wordSize => EWAH_LAYOUTS[wordSize];
+export default ewahLayout;
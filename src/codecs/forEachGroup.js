@@ -0,0 +1,58 @@
+/**
+ * Splits a run-length encoded bitmap into groups of bits of the same size, as word-aligned compressed formats do.
+ *
+ * The groups made only of zeros or only of ones are reported as fills, the other ones as literals.
+ * The bits following the last one of the bitmap are not reported, and the last group is padded with zeros.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} groupSize The number of bits of a group.
+ * @param {Function} onFill A function called with whether a fill is made of ones and its number of consecutive groups (at least 1).
+ * @param {Function} onLiteral A function called with the bits of a literal group, as an array of 32-bit chunks
+ *                             (the first chunk holding the first 32 bits of the group, the first bit of a chunk being its least significant bit).
+ * @return {undefined}
+ */
+const forEachGroup = (bitmap, groupSize, onFill, onLiteral) => {
+  let numberOfBits = 0;
+  let lastOneEnd = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    numberOfBits += bitmap[i];
+    if (i % 2 === 1 && bitmap[i] > 0) {
+      lastOneEnd = numberOfBits;
+    }
+  }
+
+  let runIndex = 0;
+  let runStart = 0;
+  let position = 0;
+  while (position < lastOneEnd) {
+    while (runStart + bitmap[runIndex] <= position) {
+      runStart += bitmap[runIndex++];
+    }
+    const runEnd = runStart + bitmap[runIndex];
+    const numberOfGroups = Math.floor((runEnd - position) / groupSize);
+    if (numberOfGroups > 0) {
+      onFill(runIndex % 2 === 1, numberOfGroups);
+      position += numberOfGroups * groupSize;
+      continue;
+    }
+
+    const chunks = new Array(Math.ceil(groupSize / 32)).fill(0);
+    const groupEnd = position + groupSize;
+    for (
+      let i = runIndex, start = runStart;
+      i < bitmap.length && start < groupEnd;
+      start += bitmap[i++]
+    ) {
+      if (i % 2 === 1) {
+        const end = Math.min(start + bitmap[i], groupEnd);
+        for (let bit = Math.max(start, position); bit < end; bit++) {
+          const offset = bit - position;
+          chunks[Math.floor(offset / 32)] += 2 ** (offset % 32);
+        }
+      }
+    }
+    onLiteral(chunks);
+    position = groupEnd;
+  }
+};
+export default forEachGroup;
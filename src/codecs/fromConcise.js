@@ -0,0 +1,48 @@
+import { wordOpsOf } from "./wordOps";
+import createBitmapWriter from "./createBitmapWriter";
+import conciseLayout from "./conciseLayout";
+
+/**
+ * Decodes a Concise (Compressed 'n' Composable Integer Set) compressed bitmap, see {@link toConcise}.
+ *
+ * @param {Uint32Array|BigUint64Array} words The words of the Concise bitmap, 32-bit words in a `Uint32Array`
+ *                                           or 64-bit words in a `BigUint64Array`.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromConcise(new Uint32Array([0x0c000002, 0x40000000, 0x800001ff]));
+ *                    ```
+ *
+ *                    Would return `[5, 1, 87, 40]`.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `BigUint64Array`.
+ * @throws {DeserializationError} If the bitmap has a one beyond the first `MAX_SAFE_INT` bits.
+ */
+const fromConcise = words => {
+  const ops = wordOpsOf(words);
+  const { wordSize } = ops;
+  const groupSize = wordSize - 1;
+  const { positionBits, counterBits } = conciseLayout(wordSize);
+  const writer = createBitmapWriter(ops, "Concise");
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (ops.field(word, wordSize - 1, 1) === 1) {
+      writer.literal(word, groupSize, i);
+      continue;
+    }
+    const isOnes = ops.field(word, wordSize - 2, 1) === 1;
+    const position = ops.field(word, counterBits, positionBits);
+    let numberOfBits = (ops.field(word, 0, counterBits) + 1) * groupSize;
+    if (position > 0) {
+      // The first group of the fill has its bit at `position - 1` flipped.
+      writer.fill(isOnes, position - 1, i);
+      writer.fill(!isOnes, 1, i);
+      numberOfBits -= position;
+    }
+    writer.fill(isOnes, numberOfBits, i);
+  }
+  return writer.bitmap();
+};
+export default fromConcise;
@@ -0,0 +1,56 @@
+import { wordOpsOf } from "./wordOps";
+import createBitmapWriter from "./createBitmapWriter";
+import ewahLayout from "./ewahLayout";
+import DeserializationError from "../errors/DeserializationError";
+
+/**
+ * Decodes an EWAH (Enhanced Word-Aligned Hybrid) compressed bitmap, see {@link toEWAH}.
+ *
+ * @param {Uint32Array|BigUint64Array} words The words of the EWAH bitmap, 32-bit words in a `Uint32Array`
+ *                                           or 64-bit words in a `BigUint64Array`.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromEWAH(new Uint32Array([0x00020000, 0x00000007, 0x00000004, 0x00020003, 0x000000ff]));
+ *                    ```
+ *
+ *                    Would return `[0, 3, 93, 40]`.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `BigUint64Array`.
+ * @throws {DeserializationError} If a marker word declares more literal words than the ones following it,
+ *                                or if the bitmap has a one beyond the first `MAX_SAFE_INT` bits.
+ */
+const fromEWAH = words => {
+  const ops = wordOpsOf(words);
+  const { wordSize } = ops;
+  const { runningLengthBits, numberOfLiteralsBits } = ewahLayout(wordSize);
+  const writer = createBitmapWriter(ops, "EWAH");
+  let i = 0;
+  while (i < words.length) {
+    const markerIndex = i;
+    const marker = words[i++];
+    const isOnes = ops.field(marker, 0, 1) === 1;
+    const runningLength = ops.field(marker, 1, runningLengthBits);
+    const numberOfLiterals = ops.field(
+      marker,
+      1 + runningLengthBits,
+      numberOfLiteralsBits
+    );
+    if (numberOfLiterals > words.length - i) {
+      throw new DeserializationError(
+        `Invalid EWAH bitmap: the marker word at index ${markerIndex} declares ${numberOfLiterals} literal words but only ${
+          words.length - i
+        } words follow it.`,
+        { offset: markerIndex }
+      );
+    }
+    writer.fill(isOnes, runningLength * wordSize, markerIndex);
+    for (let j = 0; j < numberOfLiterals; j++, i++) {
+      writer.literal(words[i], wordSize, i);
+    }
+  }
+  return writer.bitmap();
+};
+export default fromEWAH;
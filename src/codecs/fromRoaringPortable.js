@@ -0,0 +1,170 @@
+import appendBits from "../utils/appendBits";
+import popTrailingZeros from "../utils/popTrailingZeros";
+import fromDenseBitset from "../fromDenseBitset";
+import DeserializationError from "../errors/DeserializationError";
+import {
+  SERIAL_COOKIE,
+  SERIAL_COOKIE_NO_RUNCONTAINER,
+  NO_OFFSET_THRESHOLD,
+  CONTAINER_SIZE,
+  MAX_ARRAY_CONTAINER_CARDINALITY,
+  BITMAP_CONTAINER_BYTES,
+} from "./roaringFormat";
+
+/**
+ * Deserializes a Roaring bitmap serialized using the portable serialization format of Roaring bitmaps,
+ * see {@link toRoaringPortable}.
+ *
+ * @param {Uint8Array|ArrayBuffer} buffer The serialized Roaring bitmap (a Node.js `Buffer` is a `Uint8Array`).
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromRoaringPortable(new Uint8Array([0x3b, 0x30, 0, 0, 1, 0, 0, 99, 0, 1, 0, 0, 0, 99, 0]));
+ *                    ```
+ *
+ *                    Would return `[0, 100]`.
+ *
+ * @throws {TypeError} If the buffer is neither a `Uint8Array` nor an `ArrayBuffer`.
+ * @throws {DeserializationError} If the buffer is not a valid Roaring bitmap (e.g. it is truncated, its cookie is unknown
+ *                                or its containers are not sorted).
+ */
+const fromRoaringPortable = buffer => {
+  if (buffer instanceof ArrayBuffer) {
+    buffer = new Uint8Array(buffer);
+  } else if (!(buffer instanceof Uint8Array)) {
+    throw new TypeError(
+      `Expected a Uint8Array or an ArrayBuffer, got ${
+        buffer === null ? "null" : typeof buffer
+      }.`
+    );
+  }
+  const view = new DataView(
+    buffer.buffer,
+    buffer.byteOffset,
+    buffer.byteLength
+  );
+  let offset = 0;
+  const ensureBytes = (numberOfBytes, what) => {
+    if (offset + numberOfBytes > buffer.length) {
+      throw new DeserializationError(
+        `Unexpected end of data while reading the ${what} at byte ${offset}.`,
+        { offset }
+      );
+    }
+  };
+  const readUint16 = what => {
+    ensureBytes(2, what);
+    const value = view.getUint16(offset, true);
+    offset += 2;
+    return value;
+  };
+
+  ensureBytes(4, "cookie");
+  const cookie = view.getUint32(0, true);
+  let numberOfContainers;
+  let runContainerFlags = null;
+  if (cookie % 65_536 === SERIAL_COOKIE) {
+    numberOfContainers = Math.floor(cookie / 65_536) + 1;
+    offset = 4;
+    const numberOfFlagBytes = Math.ceil(numberOfContainers / 8);
+    ensureBytes(numberOfFlagBytes, "run container flags");
+    runContainerFlags = buffer.subarray(offset, offset + numberOfFlagBytes);
+    offset += numberOfFlagBytes;
+  } else if (cookie === SERIAL_COOKIE_NO_RUNCONTAINER) {
+    offset = 4;
+    ensureBytes(4, "number of containers");
+    numberOfContainers = view.getUint32(offset, true);
+    offset += 4;
+  } else {
+    throw new DeserializationError(
+      `Unknown Roaring cookie ${cookie}, expected ${SERIAL_COOKIE} (with run containers) or ${SERIAL_COOKIE_NO_RUNCONTAINER}.`,
+      { offset: 0 }
+    );
+  }
+
+  ensureBytes(4 * numberOfContainers, "descriptive header");
+  const containers = [];
+  for (let i = 0; i < numberOfContainers; i++) {
+    containers.push({
+      key: view.getUint16(offset, true),
+      cardinality: view.getUint16(offset + 2, true) + 1,
+      isRun:
+        runContainerFlags !== null &&
+        (runContainerFlags[Math.floor(i / 8)] & (1 << i % 8)) !== 0,
+    });
+    offset += 4;
+  }
+  if (!runContainerFlags || numberOfContainers >= NO_OFFSET_THRESHOLD) {
+    // The offsets of the containers are not needed, as the containers are read in order.
+    ensureBytes(4 * numberOfContainers, "offset header");
+    offset += 4 * numberOfContainers;
+  }
+
+  const resultBitmap = [];
+  let numberOfBits = 0;
+  const appendInterval = (start, end, intervalOffset) => {
+    if (start < numberOfBits || end <= start) {
+      throw new DeserializationError(
+        `Invalid Roaring bitmap: the positions at byte ${intervalOffset} are not sorted.`,
+        { offset: intervalOffset }
+      );
+    }
+    appendBits(resultBitmap, false, start - numberOfBits);
+    appendBits(resultBitmap, true, end - start);
+    numberOfBits = end;
+  };
+  containers.forEach(({ key, cardinality, isRun }) => {
+    const containerStart = key * CONTAINER_SIZE;
+    if (isRun) {
+      const numberOfRuns = readUint16("number of runs of a run container");
+      for (let i = 0; i < numberOfRuns; i++) {
+        const runOffset = offset;
+        const start = readUint16("run of a run container");
+        const length = readUint16("run of a run container") + 1;
+        if (start + length > CONTAINER_SIZE) {
+          throw new DeserializationError(
+            `Invalid Roaring bitmap: the run at byte ${runOffset} overflows its container.`,
+            { offset: runOffset }
+          );
+        }
+        appendInterval(
+          containerStart + start,
+          containerStart + start + length,
+          runOffset
+        );
+      }
+    } else if (cardinality <= MAX_ARRAY_CONTAINER_CARDINALITY) {
+      for (let i = 0; i < cardinality; i++) {
+        const positionOffset = offset;
+        const position = containerStart + readUint16("array container");
+        appendInterval(position, position + 1, positionOffset);
+      }
+    } else {
+      ensureBytes(BITMAP_CONTAINER_BYTES, "bitmap container");
+      const containerOffset = offset;
+      const containerBitmap = fromDenseBitset(
+        buffer.subarray(offset, offset + BITMAP_CONTAINER_BYTES)
+      );
+      offset += BITMAP_CONTAINER_BYTES;
+      let start = containerStart;
+      containerBitmap.forEach((bits, i) => {
+        if (i % 2 === 1) {
+          appendInterval(start, start + bits, containerOffset);
+        }
+        start += bits;
+      });
+    }
+  });
+  if (offset !== buffer.length) {
+    throw new DeserializationError(
+      `Unexpected ${
+        buffer.length - offset
+      } trailing bytes at byte ${offset}, after the last container.`,
+      { offset }
+    );
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default fromRoaringPortable;
@@ -0,0 +1,39 @@
+import { wordOpsOf } from "./wordOps";
+import createBitmapWriter from "./createBitmapWriter";
+
+/**
+ * Decodes a WAH (Word-Aligned Hybrid) compressed bitmap, see {@link toWAH}.
+ *
+ * @param {Uint32Array|BigUint64Array} words The words of the WAH bitmap, 32-bit words in a `Uint32Array`
+ *                                           or 64-bit words in a `BigUint64Array`.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromWAH(new Uint32Array([0x00000007, 0x80000002, 0xc0000001, 0x000001ff]));
+ *                    ```
+ *
+ *                    Would return `[0, 3, 90, 40]`.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `BigUint64Array`.
+ * @throws {DeserializationError} If the bitmap has a one beyond the first `MAX_SAFE_INT` bits.
+ */
+const fromWAH = words => {
+  const ops = wordOpsOf(words);
+  const { wordSize } = ops;
+  const groupSize = wordSize - 1;
+  const writer = createBitmapWriter(ops, "WAH");
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (ops.field(word, wordSize - 1, 1) === 1) {
+      const isOnes = ops.field(word, wordSize - 2, 1) === 1;
+      const numberOfGroups = ops.field(word, 0, wordSize - 2);
+      writer.fill(isOnes, numberOfGroups * groupSize, i);
+    } else {
+      writer.literal(word, groupSize, i);
+    }
+  }
+  return writer.bitmap();
+};
+export default fromWAH;
@@ -0,0 +1,59 @@
+/**
+ * The cookie of the Roaring portable format when the bitmap has run containers
+ * (its two most significant bytes hold the number of containers minus one).
+ *
+ * @type {number}
+ */
+const SERIAL_COOKIE = 12347;
+
+/**
+ * The cookie of the Roaring portable format when the bitmap has no run containers (followed by the number of containers).
+ *
+ * @type {number}
+ */
+const SERIAL_COOKIE_NO_RUNCONTAINER = 12346;
+
+/**
+ * The number of containers from which the offsets of the containers are written even if the bitmap has run containers.
+ *
+ * @type {number}
+ */
+const NO_OFFSET_THRESHOLD = 4;
+
+/**
+ * The number of bits of a container, i.e. the number of positions sharing the same 16 most significant bits (the key of the container).
+ *
+ * @type {number}
+ */
+const CONTAINER_SIZE = 65_536;
+
+/**
+ * The maximum cardinality of an array container, beyond which a bitmap container is used instead.
+ *
+ * @type {number}
+ */
+const MAX_ARRAY_CONTAINER_CARDINALITY = 4096;
+
+/**
+ * The number of bytes of a bitmap container.
+ *
+ * @type {number}
+ */
+const BITMAP_CONTAINER_BYTES = CONTAINER_SIZE / 8;
+
+/**
+ * The number of positions of a Roaring bitmap, which holds 32-bit unsigned integers.
+ *
+ * @type {number}
+ */
+const MAX_ROARING_POSITIONS = 2 ** 32;
+
+export {
+  SERIAL_COOKIE,
+  SERIAL_COOKIE_NO_RUNCONTAINER,
+  NO_OFFSET_THRESHOLD,
+  CONTAINER_SIZE,
+  MAX_ARRAY_CONTAINER_CARDINALITY,
+  BITMAP_CONTAINER_BYTES,
+  MAX_ROARING_POSITIONS,
+};
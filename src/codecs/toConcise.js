@@ -0,0 +1,115 @@
+import assertValidBitmap from "../assertValidBitmap";
+import { wordOps } from "./wordOps";
+import forEachGroup from "./forEachGroup";
+import conciseLayout from "./conciseLayout";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * Finds the only bit of a literal group which differs from the others.
+ *
+ * @param {number[]} chunks The bits of the group, as 32-bit chunks, see {@link forEachGroup}.
+ * @param {number} groupSize The number of bits of the group.
+ * @param {boolean} isOnes Whether the other bits have to be ones.
+ * @return {number} The zero-based position of the bit within the group, or `-1` if the group has more (or less) than one such bit.
+ */
+const findFlippedBit = (chunks, groupSize, isOnes) => {
+  let flippedBit = -1;
+  for (let bit = 0; bit < groupSize; bit++) {
+    const isOne =
+      Math.floor(chunks[Math.floor(bit / 32)] / 2 ** (bit % 32)) % 2 === 1;
+    if (isOne !== isOnes) {
+      if (flippedBit !== -1) {
+        return -1;
+      }
+      flippedBit = bit;
+    }
+  }
+  return flippedBit;
+};
+
+/**
+ * Encodes a run-length encoded bitmap as a Concise (Compressed 'n' Composable Integer Set) compressed bitmap.
+ *
+ * The bitmap is split into groups of `wordSize - 1` bits, each word being either:
+ *
+ * - a literal word (most significant bit set to `1`), whose other bits are the bits of a group,
+ *   the first bit of the group being the least significant bit of the word;
+ * - a fill word (most significant bit set to `0`), whose second most significant bit is the type of the fill
+ *   (`0` for zeros, `1` for ones), followed by the position of a flipped bit within the first group of the fill
+ *   (5 bits for 32-bit words, 6 bits for 64-bit words, `0` meaning that no bit is flipped, `n` that the `n`-th bit is flipped)
+ *   and by the number of groups of the fill minus one (the remaining 25 bits for 32-bit words, 56 bits for 64-bit words).
+ *
+ * A literal with a single bit differing from the fill following it is merged into the fill, as the flipped bit of its first group.
+ * The last group is padded with zeros and the trailing zeros of the bitmap are not encoded.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {Object} [options] Options.
+ * @param {number} [options.wordSize] The number of bits of the words, `32` or `64`. Defaults to `32`.
+ * @return {Uint32Array|BigUint64Array} The words of the Concise bitmap (the inverse of {@link fromConcise}).
+ *
+ *                                      Example:
+ *
+ *                                      ```
+ *                                      toConcise([5, 1, 87, 40]);
+ *                                      ```
+ *
+ *                                      Would return `Uint32Array [0x0c000002, 0x40000000, 0x800001ff]`,
+ *                                      i.e. a fill of 3 groups of zeros whose first group has its 6th bit flipped,
+ *                                      a fill of 1 group of ones and a literal with the remaining 9 ones.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), has `bigint` runs or is a dense bitset, regardless of the strict mode.
+ * @throws {RangeError} If the word size is not valid.
+ */
+const toConcise = (bitmap, { wordSize = 32 } = {}) => {
+  const ops = wordOps(wordSize);
+  assertNumberRuns([bitmap]);
+  assertValidBitmap(bitmap);
+  const groupSize = wordSize - 1;
+  const { counterBits } = conciseLayout(wordSize);
+  const maxNumberOfGroups = 2 ** counterBits;
+
+  const words = [];
+  let lastLiteralChunks = null;
+  const pushFill = (isOnes, position, numberOfGroups) => {
+    words.push(
+      ops.word([
+        [isOnes ? 1 : 0, wordSize - 2],
+        [position, counterBits],
+        [numberOfGroups - 1, 0],
+      ])
+    );
+  };
+  forEachGroup(
+    bitmap,
+    groupSize,
+    (isOnes, numberOfGroups) => {
+      let position = 0;
+      if (lastLiteralChunks) {
+        const flippedBit = findFlippedBit(lastLiteralChunks, groupSize, isOnes);
+        if (flippedBit !== -1) {
+          words.pop();
+          position = flippedBit + 1;
+          numberOfGroups++;
+        }
+        lastLiteralChunks = null;
+      }
+      while (numberOfGroups > 0) {
+        const count = Math.min(numberOfGroups, maxNumberOfGroups);
+        pushFill(isOnes, position, count);
+        position = 0;
+        numberOfGroups -= count;
+      }
+    },
+    chunks => {
+      lastLiteralChunks = chunks;
+      words.push(
+        ops.word([
+          [1, wordSize - 1],
+          ...chunks.map((chunk, i) => [chunk, i * 32]),
+        ])
+      );
+    }
+  );
+  return ops.toWords(words);
+};
+export default toConcise;
@@ -0,0 +1,101 @@
+import assertValidBitmap from "../assertValidBitmap";
+import { wordOps } from "./wordOps";
+import forEachGroup from "./forEachGroup";
+import ewahLayout from "./ewahLayout";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * Encodes a run-length encoded bitmap as an EWAH (Enhanced Word-Aligned Hybrid) compressed bitmap.
+ *
+ * The bitmap is split into groups of `wordSize` bits, and the words are a sequence of marker words, each one followed by literal words.
+ * A marker word holds:
+ *
+ * - the running bit (least significant bit);
+ * - the running length, i.e. the number of consecutive groups made only of the running bit
+ *   (the next 16 bits for 32-bit words, the next 32 bits for 64-bit words);
+ * - the number of literal words following the marker word (the remaining 15 bits for 32-bit words, 31 bits for 64-bit words).
+ *
+ * A literal word holds the bits of a group, the first bit of the group being the least significant bit of the word.
+ * The last group is padded with zeros and the trailing zeros of the bitmap are not encoded.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {Object} [options] Options.
+ * @param {number} [options.wordSize] The number of bits of the words, `32` or `64`. Defaults to `32`.
+ * @return {Uint32Array|BigUint64Array} The words of the EWAH bitmap (the inverse of {@link fromEWAH}).
+ *
+ *                                      Example:
+ *
+ *                                      ```
+ *                                      toEWAH([0, 3, 93, 40]);
+ *                                      ```
+ *
+ *                                      Would return `Uint32Array [0x00020000, 0x00000007, 0x00000004, 0x00020003, 0x000000ff]`,
+ *                                      i.e. a marker word followed by 1 literal word (the first 3 ones, followed by 29 zeros),
+ *                                      a marker word with a running length of 2 groups of zeros,
+ *                                      and a marker word with a running length of 1 group of ones followed by 1 literal word (the remaining 8 ones).
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), has `bigint` runs or is a dense bitset, regardless of the strict mode.
+ * @throws {RangeError} If the word size is not valid.
+ */
+const toEWAH = (bitmap, { wordSize = 32 } = {}) => {
+  const ops = wordOps(wordSize);
+  assertNumberRuns([bitmap]);
+  assertValidBitmap(bitmap);
+  const { runningLengthBits, numberOfLiteralsBits } = ewahLayout(wordSize);
+  const maxRunningLength = 2 ** runningLengthBits - 1;
+  const maxNumberOfLiterals = 2 ** numberOfLiteralsBits - 1;
+
+  const words = [];
+  const markers = [];
+  let marker = null;
+  const pushMarker = runningBit => {
+    marker = {
+      index: words.length,
+      runningBit,
+      runningLength: 0,
+      numberOfLiterals: 0,
+    };
+    markers.push(marker);
+    words.push(null); // Written once all the words are known.
+  };
+  forEachGroup(
+    bitmap,
+    wordSize,
+    (isOnes, numberOfGroups) => {
+      const runningBit = isOnes ? 1 : 0;
+      while (numberOfGroups > 0) {
+        if (
+          !marker ||
+          marker.numberOfLiterals > 0 ||
+          marker.runningLength === maxRunningLength ||
+          (marker.runningLength > 0 && marker.runningBit !== runningBit)
+        ) {
+          pushMarker(runningBit);
+        }
+        marker.runningBit = runningBit;
+        const runningLength = Math.min(
+          numberOfGroups,
+          maxRunningLength - marker.runningLength
+        );
+        marker.runningLength += runningLength;
+        numberOfGroups -= runningLength;
+      }
+    },
+    chunks => {
+      if (!marker || marker.numberOfLiterals === maxNumberOfLiterals) {
+        pushMarker(0);
+      }
+      marker.numberOfLiterals++;
+      words.push(ops.word(chunks.map((chunk, i) => [chunk, i * 32])));
+    }
+  );
+  markers.forEach(({ index, runningBit, runningLength, numberOfLiterals }) => {
+    words[index] = ops.word([
+      [runningBit, 0],
+      [runningLength, 1],
+      [numberOfLiterals, 1 + runningLengthBits],
+    ]);
+  });
+  return ops.toWords(words);
+};
+export default toEWAH;
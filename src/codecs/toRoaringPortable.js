@@ -0,0 +1,186 @@
+import assertValidBitmap from "../assertValidBitmap";
+import toDenseBitset from "../toDenseBitset";
+import {
+  SERIAL_COOKIE,
+  SERIAL_COOKIE_NO_RUNCONTAINER,
+  NO_OFFSET_THRESHOLD,
+  CONTAINER_SIZE,
+  MAX_ARRAY_CONTAINER_CARDINALITY,
+  BITMAP_CONTAINER_BYTES,
+  MAX_ROARING_POSITIONS,
+} from "./roaringFormat";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * Splits the ones of a run-length encoded bitmap into Roaring containers, choosing the smallest representation for each one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {Array<{key: number, intervals: Array<number[]>, cardinality: number, type: string, numberOfBytes: number}>} The containers,
+ *         by ascending key, each one with the `[start, end)` intervals of its ones (relative to the container)
+ *         and its type (`run`, `array` or `bitmap`).
+ *
+ * @throws {RangeError} If the bitmap has a one at a position greater than `2^32 - 1`.
+ */
+const toContainers = bitmap => {
+  const containers = [];
+  let start = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    const end = start + bitmap[i];
+    if (i % 2 === 1 && end > start) {
+      if (end > MAX_ROARING_POSITIONS) {
+        throw new RangeError(
+          `The bitmap has a one at position ${
+            end - 1
+          }, but a Roaring bitmap only holds positions up to 2^32 - 1.`
+        );
+      }
+      for (let position = start; position < end; ) {
+        const key = Math.floor(position / CONTAINER_SIZE);
+        const containerStart = key * CONTAINER_SIZE;
+        const intervalEnd = Math.min(end, containerStart + CONTAINER_SIZE);
+        let container = containers[containers.length - 1];
+        if (!container || container.key !== key) {
+          container = { key, intervals: [], cardinality: 0 };
+          containers.push(container);
+        }
+        container.intervals.push([
+          position - containerStart,
+          intervalEnd - containerStart,
+        ]);
+        container.cardinality += intervalEnd - position;
+        position = intervalEnd;
+      }
+    }
+    start = end;
+  }
+  containers.forEach(container => {
+    const runBytes = 2 + 4 * container.intervals.length;
+    const arrayOrBitmapBytes =
+      container.cardinality <= MAX_ARRAY_CONTAINER_CARDINALITY
+        ? 2 * container.cardinality
+        : BITMAP_CONTAINER_BYTES;
+    if (runBytes < arrayOrBitmapBytes) {
+      container.type = "run";
+      container.numberOfBytes = runBytes;
+    } else {
+      container.type =
+        container.cardinality <= MAX_ARRAY_CONTAINER_CARDINALITY
+          ? "array"
+          : "bitmap";
+      container.numberOfBytes = arrayOrBitmapBytes;
+    }
+  });
+  return containers;
+};
+
+/**
+ * Serializes a run-length encoded bitmap using the portable serialization format of Roaring bitmaps
+ * (https://github.com/RoaringBitmap/RoaringFormatSpec), which can be read by the Roaring implementations
+ * of other languages (e.g. Java, Go, C).
+ *
+ * Each container (the positions sharing the same 16 most significant bits) is written as a run container,
+ * an array container or a bitmap container, whichever is the smallest.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}, having ones only at positions up to `2^32 - 1`.
+ * @return {Uint8Array} The serialized Roaring bitmap (the inverse of {@link fromRoaringPortable}).
+ *
+ *                      Example:
+ *
+ *                      ```
+ *                      toRoaringPortable([0, 100]);
+ *                      ```
+ *
+ *                      Would return `Uint8Array [0x3b, 0x30, 0, 0, 1, 0, 0, 99, 0, 1, 0, 0, 0, 99, 0]`,
+ *                      i.e. the cookie of a bitmap with run containers and 1 container, the flags telling that the container is a run container,
+ *                      the key of the container (`0`) and its cardinality minus one (`99`), and the run container with 1 run
+ *                      starting at `0` and having a length minus one of `99`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), has `bigint` runs or is a dense bitset, regardless of the strict mode.
+ * @throws {RangeError} If the bitmap has a one at a position greater than `2^32 - 1`.
+ */
+const toRoaringPortable = bitmap => {
+  assertNumberRuns([bitmap]);
+  assertValidBitmap(bitmap);
+  const containers = toContainers(bitmap);
+  const numberOfContainers = containers.length;
+  const hasRunContainers = containers.some(({ type }) => type === "run");
+  const hasOffsets =
+    !hasRunContainers || numberOfContainers >= NO_OFFSET_THRESHOLD;
+
+  let numberOfBytes = hasRunContainers
+    ? 4 + Math.ceil(numberOfContainers / 8)
+    : 8;
+  numberOfBytes += 4 * numberOfContainers;
+  if (hasOffsets) {
+    numberOfBytes += 4 * numberOfContainers;
+  }
+  const containersOffset = numberOfBytes;
+  containers.forEach(container => {
+    numberOfBytes += container.numberOfBytes;
+  });
+
+  const bytes = new Uint8Array(numberOfBytes);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  if (hasRunContainers) {
+    view.setUint16(0, SERIAL_COOKIE, true);
+    view.setUint16(2, numberOfContainers - 1, true);
+    offset = 4;
+    containers.forEach(({ type }, i) => {
+      if (type === "run") {
+        bytes[offset + Math.floor(i / 8)] |= 1 << i % 8;
+      }
+    });
+    offset += Math.ceil(numberOfContainers / 8);
+  } else {
+    view.setUint32(0, SERIAL_COOKIE_NO_RUNCONTAINER, true);
+    view.setUint32(4, numberOfContainers, true);
+    offset = 8;
+  }
+  containers.forEach(({ key, cardinality }) => {
+    view.setUint16(offset, key, true);
+    view.setUint16(offset + 2, cardinality - 1, true);
+    offset += 4;
+  });
+  if (hasOffsets) {
+    let containerOffset = containersOffset;
+    containers.forEach(container => {
+      view.setUint32(offset, containerOffset, true);
+      offset += 4;
+      containerOffset += container.numberOfBytes;
+    });
+  }
+
+  containers.forEach(({ type, intervals }) => {
+    if (type === "run") {
+      view.setUint16(offset, intervals.length, true);
+      offset += 2;
+      intervals.forEach(([start, end]) => {
+        view.setUint16(offset, start, true);
+        view.setUint16(offset + 2, end - start - 1, true);
+        offset += 4;
+      });
+    } else if (type === "array") {
+      intervals.forEach(([start, end]) => {
+        for (let position = start; position < end; position++) {
+          view.setUint16(offset, position, true);
+          offset += 2;
+        }
+      });
+    } else {
+      const containerBitmap = [];
+      let previousEnd = 0;
+      intervals.forEach(([start, end]) => {
+        containerBitmap.push(start - previousEnd, end - start);
+        previousEnd = end;
+      });
+      bytes.set(
+        toDenseBitset(containerBitmap, CONTAINER_SIZE, { wordSize: 8 }),
+        offset
+      );
+      offset += BITMAP_CONTAINER_BYTES;
+    }
+  });
+  return bytes;
+};
+export default toRoaringPortable;
@@ -0,0 +1,64 @@
+import { MAX_SAFE_INT } from "../constants";
+import assertValidBitmap from "../assertValidBitmap";
+import { wordOps } from "./wordOps";
+import forEachGroup from "./forEachGroup";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * Encodes a run-length encoded bitmap as a WAH (Word-Aligned Hybrid) compressed bitmap.
+ *
+ * The bitmap is split into groups of `wordSize - 1` bits, each word being either:
+ *
+ * - a literal word (most significant bit set to `0`), whose other bits are the bits of a group,
+ *   the first bit of the group being the least significant bit of the word;
+ * - a fill word (most significant bit set to `1`), whose second most significant bit is the bit of the fill
+ *   and whose other bits count the consecutive groups made only of that bit.
+ *
+ * The last group is padded with zeros and the trailing zeros of the bitmap are not encoded.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {Object} [options] Options.
+ * @param {number} [options.wordSize] The number of bits of the words, `32` or `64`. Defaults to `32`.
+ * @return {Uint32Array|BigUint64Array} The words of the WAH bitmap (the inverse of {@link fromWAH}).
+ *
+ *                                      Example:
+ *
+ *                                      ```
+ *                                      toWAH([0, 3, 90, 40]);
+ *                                      ```
+ *
+ *                                      Would return `Uint32Array [0x00000007, 0x80000002, 0xc0000001, 0x000001ff]`,
+ *                                      i.e. a literal with the first 3 ones (followed by 28 zeros), a fill of 2 groups of zeros,
+ *                                      a fill of 1 group of ones and a last literal with the remaining 9 ones.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), has `bigint` runs or is a dense bitset, regardless of the strict mode.
+ * @throws {RangeError} If the word size is not valid.
+ */
+const toWAH = (bitmap, { wordSize = 32 } = {}) => {
+  const ops = wordOps(wordSize);
+  assertNumberRuns([bitmap]);
+  assertValidBitmap(bitmap);
+  const groupSize = wordSize - 1;
+  const maxNumberOfGroups = Math.min(2 ** (wordSize - 2) - 1, MAX_SAFE_INT);
+  const words = [];
+  forEachGroup(
+    bitmap,
+    groupSize,
+    (isOnes, numberOfGroups) => {
+      while (numberOfGroups > 0) {
+        const count = Math.min(numberOfGroups, maxNumberOfGroups);
+        words.push(
+          ops.word([
+            [1, wordSize - 1],
+            [isOnes ? 1 : 0, wordSize - 2],
+            [count, 0],
+          ])
+        );
+        numberOfGroups -= count;
+      }
+    },
+    chunks => words.push(ops.word(chunks.map((chunk, i) => [chunk, i * 32])))
+  );
+  return ops.toWords(words);
+};
+export default toWAH;
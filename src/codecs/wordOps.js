@@ -0,0 +1,79 @@
+/**
+ * The operations on the words of a word-aligned compressed bitmap, by number of bits of the words.
+ * 32-bit words are numbers (stored in a `Uint32Array`), 64-bit words are BigInts (stored in a `BigUint64Array`).
+ * The fields of a word are read and written as numbers, a field being at most 32 bits wide unless it is a counter.
+ *
+ * @type {Object<number, {
+ *   wordSize: number,
+ *   field: Function,
+ *   word: Function,
+ *   toWords: Function,
+ * }>}
+ */
+const WORD_OPS = {
+  32: {
+    wordSize: 32,
+    field: (word, shift, numberOfBits) =>
+      Math.floor(word / 2 ** shift) % 2 ** numberOfBits,
+    word: fields =>
+      fields.reduce((word, [value, shift]) => word + value * 2 ** shift, 0),
+    toWords: words => Uint32Array.from(words),
+  },
+  64: {
+    wordSize: 64,
+    field: (word, shift, numberOfBits) =>
+      Number(
+        (word >> BigInt(shift)) &
+          ((BigInt(1) << BigInt(numberOfBits)) - BigInt(1))
+      ),
+    word: fields =>
+      fields.reduce(
+        (word, [value, shift]) => word | (BigInt(value) << BigInt(shift)),
+        BigInt(0)
+      ),
+    toWords: words => BigUint64Array.from(words),
+  },
+};
+
+/**
+ * Returns the operations on words of the given size.
+ *
+ * @param {number} wordSize The number of bits of the words, `32` or `64`.
+ * @return {Object} The operations: `field(word, shift, numberOfBits)` reads a field of a word as a number,
+ *                  `word(fields)` creates a word from `[value, shift]` fields and `toWords(words)` creates the typed array of the words.
+ *
+ * @throws {RangeError} If the word size is neither `32` nor `64`.
+ */
+const wordOps = wordSize => {
+  const ops = WORD_OPS[wordSize];
+  if (!ops) {
+    throw new RangeError(`Invalid word size ${wordSize}, expected 32 or 64.`);
+  }
+  return ops;
+};
+
+/**
+ * Returns the operations on the words of a word-aligned compressed bitmap, according to the type of its array.
+ *
+ * @param {Uint32Array|BigUint64Array} words The words.
+ * @return {Object} The operations, see {@link wordOps}.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `BigUint64Array`.
+ */
+const wordOpsOf = words => {
+  if (words instanceof Uint32Array) {
+    return WORD_OPS[32];
+  } else if (
+    typeof BigUint64Array !== "undefined" &&
+    words instanceof BigUint64Array
+  ) {
+    return WORD_OPS[64];
+  }
+  throw new TypeError(
+    `Expected the words to be a Uint32Array (32-bit words) or a BigUint64Array (64-bit words), got ${
+      words === null ? "null" : typeof words
+    }.`
+  );
+};
+
+export { wordOps, wordOpsOf };
@@ -0,0 +1,62 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import validateBitmaps from "./utils/validateBitmaps";
+import endOfOnes from "./utils/endOfOnes";
+import { MAX_SAFE_INT } from "./constants";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Concatenates two run-length encoded bitmaps, placing the second one after the first `aLength` bits of the first one
+ * (e.g. to stitch the bitmaps of two consecutive shards of a table), merging the runs of ones meeting at the junction.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} aLength The number of bits of `a`, i.e. the position of the first bit of `b` in the new bitmap.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {number[]} A new bitmap array, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    concat([1, 2], 4, [0, 1, 1, 1]);
+ *                    ```
+ *
+ *                    Would return `[1, 2, 1, 1, 1, 1]` (`0110|101`).
+ *
+ * @throws {RangeError} If `aLength` is not an integer between `0` and `MAX_SAFE_INT`, if `a` has a bit set to one
+ *                      at a position greater than or equal to `aLength`, or if a bit set to one of `b` would be beyond `MAX_SAFE_INT`.
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const concat = (a, aLength, b) => {
+  if (!Number.isInteger(aLength) || aLength < 0 || aLength > MAX_SAFE_INT) {
+    throw new RangeError(
+      `Invalid length ${aLength}, the length of a bitmap must be an integer between 0 and ${MAX_SAFE_INT}.`
+    );
+  }
+  assertNumberRuns([a, b]);
+  validateBitmaps([a, b]);
+  const aEnd = endOfOnes(a);
+  if (aEnd > aLength) {
+    throw new RangeError(
+      `The first bitmap has a bit set to one at position ${
+        aEnd - 1
+      }, which is not lower than its length ${aLength}.`
+    );
+  }
+  if (endOfOnes(b) > MAX_SAFE_INT - aLength) {
+    throw new RangeError(
+      `Cannot concatenate the bitmaps, a bit set to one of the second bitmap would be beyond MAX_SAFE_INT (${MAX_SAFE_INT}).`
+    );
+  }
+  const resultBitmap = [];
+  let position = 0;
+  for (let i = 0; i < a.length && position < aEnd; i++) {
+    appendBits(resultBitmap, i % 2 === 1, a[i]);
+    position += a[i];
+  }
+  appendBits(resultBitmap, false, aLength - position);
+  b.forEach((numberOfBits, i) =>
+    appendBits(resultBitmap, i % 2 === 1, numberOfBits)
+  );
+  return popTrailingZeros(resultBitmap);
+};
+export default concat;
@@ -3,4 +3,18 @@
  */
 const MAX_SAFE_INT = 9_007_199_254_740_991; // (2**53) - 1 (i.e. `Number.MAX_SAFE_INTEGER`)
 
-export { MAX_SAFE_INT };
+/**
+ * The number of bits of the universe of the bitmaps whose runs are `bigint`s (2^64, i.e. 64-bit positions).
+ *
+ * @type {bigint}
+ */
+const BIGINT_UNIVERSE_SIZE = BigInt("18446744073709551616");
+
+/**
+ * The version of the binary format written by `serialize`.
+ *
+ * @type {number}
+ */
+const SERIALIZATION_FORMAT_VERSION = 1;
+
+export { MAX_SAFE_INT, BIGINT_UNIVERSE_SIZE, SERIALIZATION_FORMAT_VERSION };
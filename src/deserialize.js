@@ -0,0 +1,98 @@
+import { SERIALIZATION_FORMAT_VERSION } from "./constants";
+import findInvalidRun from "./utils/findInvalidRun";
+import { readVarint } from "./utils/varint";
+import DeserializationError from "./errors/DeserializationError";
+
+/**
+ * Deserializes a run-length encoded bitmap serialized with {@link serialize}.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes The serialized bitmap.
+ * @return {number[]} A new run-length encoded bitmap array, equal to the serialized one.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    deserialize(new Uint8Array([1, 4, 204, 1, 0, 3, 200, 1, 1]));
+ *                    ```
+ *
+ *                    Would return `[0, 3, 200, 1]`.
+ *
+ * @throws {TypeError} If the bytes are neither a `Uint8Array` nor an `ArrayBuffer`.
+ * @throws {DeserializationError} If the bytes are not a valid serialized bitmap (e.g. they are truncated,
+ *                                their version is not supported or their header does not match their runs).
+ */
+const deserialize = bytes => {
+  if (bytes instanceof ArrayBuffer) {
+    bytes = new Uint8Array(bytes);
+  } else if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError(
+      `Expected a Uint8Array or an ArrayBuffer, got ${
+        bytes === null ? "null" : typeof bytes
+      }.`
+    );
+  }
+  if (!bytes.length) {
+    throw new DeserializationError(
+      "Unexpected end of data while reading the version at byte 0.",
+      { offset: 0 }
+    );
+  }
+  if (bytes[0] !== SERIALIZATION_FORMAT_VERSION) {
+    throw new DeserializationError(
+      `Unsupported serialization format version ${bytes[0]}, expected ${SERIALIZATION_FORMAT_VERSION}.`,
+      { offset: 0 }
+    );
+  }
+  const [numberOfRuns, headerOffset] = readVarint(bytes, 1, "number of runs");
+  const [expectedTotalNumberOfBits, runsOffset] = readVarint(
+    bytes,
+    headerOffset,
+    "total number of bits"
+  );
+  let offset = runsOffset;
+  // Each run takes at least one byte.
+  if (numberOfRuns > bytes.length - offset) {
+    throw new DeserializationError(
+      `Unexpected end of data: the header declares ${numberOfRuns} runs but only ${
+        bytes.length - offset
+      } bytes follow it.`,
+      { offset }
+    );
+  }
+
+  const bitmap = new Array(numberOfRuns);
+  let totalNumberOfBits = 0;
+  for (let i = 0; i < numberOfRuns; i++) {
+    const runOffset = offset;
+    [bitmap[i], offset] = readVarint(bytes, offset, `run at index ${i}`);
+    totalNumberOfBits += bitmap[i];
+    if (totalNumberOfBits > expectedTotalNumberOfBits) {
+      throw new DeserializationError(
+        `The run at index ${i} at byte ${runOffset} makes the total number of bits exceed the one declared by the header (${expectedTotalNumberOfBits}).`,
+        { offset: runOffset }
+      );
+    }
+  }
+  if (totalNumberOfBits !== expectedTotalNumberOfBits) {
+    throw new DeserializationError(
+      `The runs have ${totalNumberOfBits} bits in total, but the header declares ${expectedTotalNumberOfBits}.`,
+      { offset }
+    );
+  }
+  if (offset !== bytes.length) {
+    throw new DeserializationError(
+      `Unexpected ${
+        bytes.length - offset
+      } trailing bytes at byte ${offset}, after the last run.`,
+      { offset }
+    );
+  }
+  const invalidRun = findInvalidRun(bitmap);
+  if (invalidRun !== null) {
+    throw new DeserializationError(
+      `The deserialized bitmap is not valid: ${invalidRun.reason}.`
+    );
+  }
+  return bitmap;
+};
+export default deserialize;
@@ -0,0 +1,34 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import validateBitmaps from "./utils/validateBitmaps";
+
+/**
+ * Tests whether two run-length encoded bitmaps have the same bits, walking their runs only until they differ.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {boolean} `true` if the bitmaps have the same bits set to one, `false` otherwise.
+ *                   Trailing zeros and empty chunks are not significant.
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   equals([0, 2, 0, 1, 3], [0, 3]);
+ *                   ```
+ *
+ *                   Would return `true` (`111000` and `111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const equals = (a, b) => {
+  validateBitmaps([a, b]);
+  let areEqual = true;
+  withBitmapStateMap({ bitmaps: [a, b] })(({ numberOfBitmapsOnOnes }) => {
+    if (numberOfBitmapsOnOnes === 1) {
+      // One bitmap is on ones and the other one is on zeros.
+      areEqual = false;
+      return true;
+    }
+  });
+  return areEqual;
+};
+export default equals;
@@ -0,0 +1,16 @@
+/**
+ * Error thrown when bytes cannot be deserialized into a run-length encoded bitmap.
+ */
+class DeserializationError extends Error {
+  /**
+   * @param {string} message The message of the error.
+   * @param {Object} [details] The details of the error.
+   * @param {number} [details.offset] The zero-based offset of the byte (or of the base64 character) where the data is not valid, if known.
+   */
+  constructor(message, { offset } = {}) {
+    super(message);
+    this.name = "DeserializationError";
+    this.offset = offset;
+  }
+}
+export default DeserializationError;
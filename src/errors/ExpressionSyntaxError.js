@@ -0,0 +1,20 @@
+/**
+ * Error thrown when a boolean query expression cannot be parsed.
+ */
+class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message The message of the error.
+   * @param {Object} location The location of the error within the expression.
+   * @param {number} location.position The zero-based offset of the error.
+   * @param {number} location.line The one-based line of the error.
+   * @param {number} location.column The one-based column of the error.
+   */
+  constructor(message, { position, line, column }) {
+    super(message);
+    this.name = "ExpressionSyntaxError";
+    this.position = position;
+    this.line = line;
+    this.column = column;
+  }
+}
+export default ExpressionSyntaxError;
@@ -0,0 +1,19 @@
+/**
+ * Error thrown when a run-length encoded bitmap array is not valid.
+ */
+class InvalidBitmapError extends Error {
+  /**
+   * @param {string} message The message of the error.
+   * @param {Object} [details] The details of the error.
+   * @param {number} [details.index] The index of the invalid run of the bitmap array, if any.
+   * @param {number} [details.bitmapIndex] The index of the invalid bitmap within a list of bitmaps, if any
+   *                                       (e.g. the position of the bitmap among the arguments of an operator).
+   */
+  constructor(message, { index, bitmapIndex } = {}) {
+    super(message);
+    this.name = "InvalidBitmapError";
+    this.index = index;
+    this.bitmapIndex = bitmapIndex;
+  }
+}
+export default InvalidBitmapError;
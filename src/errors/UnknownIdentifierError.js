@@ -0,0 +1,18 @@
+/**
+ * Error thrown when a boolean query expression references a bitmap which does not exist.
+ */
+class UnknownIdentifierError extends Error {
+  /**
+   * @param {string} message The message of the error.
+   * @param {Object} details The details of the error.
+   * @param {string} details.identifier The unknown identifier.
+   * @param {number} [details.position] The zero-based offset of the identifier within the expression, if known.
+   */
+  constructor(message, { identifier, position }) {
+    super(message);
+    this.name = "UnknownIdentifierError";
+    this.identifier = identifier;
+    this.position = position;
+  }
+}
+export default UnknownIdentifierError;
@@ -0,0 +1,21 @@
+import flipRange from "./flipRange";
+
+/**
+ * Flips a bit of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} position The zero-based position of the bit.
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    flipBit([0, 5], 2);
+ *                    ```
+ *
+ *                    Would return `[0, 2, 1, 2]` (`11011`).
+ *
+ * @throws {RangeError} If the position is not a non-negative integer.
+ */
+const flipBit = (bitmap, position) => flipRange(bitmap, position, position + 1);
+export default flipBit;
@@ -0,0 +1,24 @@
+import updateRange from "./utils/updateRange";
+
+/**
+ * Flips the bits of a range of a run-length encoded bitmap (ones become zeros and zeros become ones).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} start The zero-based position of the first bit to flip.
+ * @param {number} end The zero-based position following the last bit to flip (i.e. the range is `[start, end)`).
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    flipRange([0, 4], 2, 6);
+ *                    ```
+ *
+ *                    Would return `[0, 2, 2, 2]` (`110011`).
+ *
+ * @throws {RangeError} If the bounds of the range are not non-negative integers or if `end` precedes `start`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const flipRange = (bitmap, start, end) =>
+  updateRange(bitmap, start, end, bit => !bit);
+export default flipRange;
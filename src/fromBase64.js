@@ -0,0 +1,24 @@
+import deserialize from "./deserialize";
+import { decodeBase64 } from "./utils/base64";
+
+/**
+ * Deserializes a run-length encoded bitmap from a base64 or base64url string
+ * returned by {@link toBase64} or {@link toBase64Url}.
+ *
+ * @param {string} string The base64 or base64url string, with or without padding.
+ * @return {number[]} A new run-length encoded bitmap array.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromBase64("AQTMAQADyAEB");
+ *                    ```
+ *
+ *                    Would return `[0, 3, 200, 1]`.
+ *
+ * @throws {TypeError} If the given value is not a string.
+ * @throws {DeserializationError} If the string is not valid base64 or does not represent a valid serialized bitmap,
+ *                                see {@link deserialize}.
+ */
+const fromBase64 = string => deserialize(decodeBase64(string));
+export default fromBase64;
@@ -0,0 +1,38 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+
+/**
+ * Encodes a bit string as a run-length encoded bitmap.
+ *
+ * @param {string} bitString A string of `0` and `1` characters, the leftmost character being the first bit of the bitmap.
+ *                           A `.` character is treated as a zero, so that the bitmaps of the ASCII diagrams used throughout
+ *                           the documentation (e.g. `0011..`) can be encoded as-is.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromBitString("0111000");
+ *                    ```
+ *
+ *                    Would return `[1, 3]`.
+ *
+ * @throws {Error} If the bit string contains a character other than `0`, `1` or `.`.
+ */
+const fromBitString = bitString => {
+  const resultBitmap = [];
+  for (let i = 0; i < bitString.length; i++) {
+    const char = bitString[i];
+    if (char === "1") {
+      appendBits(resultBitmap, true, 1);
+    } else if (char === "0" || char === ".") {
+      appendBits(resultBitmap, false, 1);
+    } else {
+      throw new Error(
+        `Invalid character "${char}" at index ${i} of the bit string, only "0", "1" and "." are allowed.`
+      );
+    }
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default fromBitString;
@@ -0,0 +1,26 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+
+/**
+ * Encodes an array of booleans as a run-length encoded bitmap.
+ *
+ * @param {boolean[]} booleans An array of booleans (or truthy/falsy values), each one representing a bit of the bitmap,
+ *                             the first item being the first bit of the bitmap.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromBooleans([false, true, true, true, false, false, false]);
+ *                    ```
+ *
+ *                    Would return `[1, 3]`.
+ */
+const fromBooleans = booleans => {
+  const resultBitmap = [];
+  for (const boolean of booleans) {
+    appendBits(resultBitmap, !!boolean, 1);
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default fromBooleans;
@@ -0,0 +1,61 @@
+import DenseBitset from "./DenseBitset";
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import { wordSizeOf, bitShift } from "./utils/denseBits";
+
+/**
+ * Encodes a dense bitset as a run-length encoded bitmap.
+ *
+ * @param {Uint32Array|Uint8Array|DenseBitset} words The words of the dense bitset, the first word holding the first bits of the bitmap,
+ *                                                 or a dense bitset (see {@link DenseBitset}), in which case the length and the options are ignored.
+ * @param {number} [length] The number of bits of the bitset. Defaults to all the bits of the words.
+ * @param {Object} [options] Options.
+ * @param {string} [options.bitOrder] The order of the bits within a word, `lsb` (the first bit of a word is its least significant bit)
+ *                                    or `msb` (the first bit of a word is its most significant bit). Defaults to `lsb`.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros
+ *                    (the inverse of {@link toDenseBitset}).
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromDenseBitset(new Uint8Array([0b00111010, 0b00000001]), 12);
+ *                    fromDenseBitset(new Uint8Array([0b01011100, 0b10000000]), 12, { bitOrder: "msb" });
+ *                    ```
+ *
+ *                    Would both return `[1, 1, 1, 3, 2, 1]` (`010111001000`).
+ *                    `fromDenseBitset(toDenseBitset(bitmap))` returns a bitmap equal to `bitmap` without trailing zeros.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `Uint8Array`.
+ * @throws {RangeError} If the length is not an integer between `0` and the number of bits of the words,
+ *                      or if the bit order is not valid.
+ */
+const fromDenseBitset = (words, length, options) => {
+  const denseBitset =
+    words instanceof DenseBitset
+      ? words
+      : new DenseBitset(words, length, options);
+  const { bitOrder } = denseBitset;
+  words = denseBitset.words;
+  const wordSize = wordSizeOf(words);
+  const fullWord = 2 ** wordSize - 1;
+  const resultBitmap = [];
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const start = i * wordSize;
+    const numberOfBits = Math.min(wordSize, denseBitset.length - start);
+    if (numberOfBits <= 0) {
+      break;
+    }
+    if (numberOfBits === wordSize && (word === 0 || word === fullWord)) {
+      // Whole words of zeros or ones do not need to be read bit by bit.
+      appendBits(resultBitmap, word !== 0, wordSize);
+      continue;
+    }
+    for (let j = 0; j < numberOfBits; j++) {
+      const isOne = ((word >>> bitShift(j, wordSize, bitOrder)) & 1) === 1;
+      appendBits(resultBitmap, isOne, 1);
+    }
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default fromDenseBitset;
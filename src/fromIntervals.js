@@ -0,0 +1,47 @@
+import appendBits from "./utils/appendBits";
+
+/**
+ * Encodes a list of intervals of set bits as a run-length encoded bitmap.
+ *
+ * @param {Array<[number, number]>} intervals A list of half-open intervals `[start, end)` of zero-based positions of the bits set to one.
+ *                                            The intervals can be given in any order and may overlap or be adjacent, in which case they are merged.
+ *                                            Empty intervals (`start === end`) are ignored.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromIntervals([[10, 12], [0, 4], [4, 6]]);
+ *                    ```
+ *
+ *                    Would return `[0, 6, 4, 2]` (`111111000011`).
+ *
+ * @throws {RangeError} If an interval has a negative or non-integer bound or if its end precedes its start.
+ */
+const fromIntervals = intervals => {
+  const sortedIntervals = [...intervals].sort((a, b) => a[0] - b[0]);
+  const resultBitmap = [];
+  let nextPosition = 0;
+  for (const [start, end] of sortedIntervals) {
+    if (
+      !Number.isInteger(start) ||
+      !Number.isInteger(end) ||
+      start < 0 ||
+      end < start
+    ) {
+      throw new RangeError(
+        `Invalid interval [${start}, ${end}), intervals must be pairs of non-negative integers where the end is not lower than the start.`
+      );
+    }
+    if (start === end || end <= nextPosition) {
+      // Empty interval or interval already covered by the previous ones.
+      continue;
+    }
+    const from = Math.max(start, nextPosition);
+    appendBits(resultBitmap, false, from - nextPosition);
+    appendBits(resultBitmap, true, end - from);
+    nextPosition = end;
+  }
+  return resultBitmap;
+};
+export default fromIntervals;
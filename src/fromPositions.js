@@ -0,0 +1,40 @@
+import appendBits from "./utils/appendBits";
+
+/**
+ * Encodes a list of positions of set bits as a run-length encoded bitmap.
+ *
+ * @param {number[]} positions A list of zero-based positions of the bits set to one. The positions can be given in any order
+ *                             and may contain duplicates.
+ * @return {number[]} A new run-length encoded bitmap array, see {@link bitwiseOR}, without trailing zeros.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    fromPositions([90, 3, 4, 5, 4]);
+ *                    ```
+ *
+ *                    Would return `[3, 3, 84, 1]`.
+ *
+ * @throws {RangeError} If a position is not a non-negative integer.
+ */
+const fromPositions = positions => {
+  const sortedPositions = [...positions].sort((a, b) => a - b);
+  const resultBitmap = [];
+  let nextPosition = 0;
+  for (const position of sortedPositions) {
+    if (!Number.isInteger(position) || position < 0) {
+      throw new RangeError(
+        `Invalid position ${position}, positions must be non-negative integers.`
+      );
+    }
+    if (position < nextPosition) {
+      // Duplicate position.
+      continue;
+    }
+    appendBits(resultBitmap, false, position - nextPosition);
+    appendBits(resultBitmap, true, 1);
+    nextPosition = position + 1;
+  }
+  return resultBitmap;
+};
+export default fromPositions;
@@ -0,0 +1,31 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Gets a bit of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} position The zero-based position of the bit.
+ * @return {boolean} `true` if the bit is set to one, `false` otherwise (a position exceeding the bitmap is a zero).
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   getBit([2, 2], 3);
+ *                   ```
+ *
+ *                   Would return `true` (`0011`).
+ *
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const getBit = (bitmap, position) => {
+  assertNumberRuns([bitmap]);
+  let runEnd = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    runEnd += bitmap[i];
+    if (position < runEnd) {
+      return i % 2 === 1;
+    }
+  }
+  return false;
+};
+export default getBit;
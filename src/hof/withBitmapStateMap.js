@@ -1,45 +1,178 @@
-import { isObjectEmpty, noOpFn } from "js-utl";
+import { noOpFn } from "js-utl";
+import MinHeap from "../utils/MinHeap";
+import popTrailingZeros from "../utils/popTrailingZeros";
+import assertNoDenseBitsets from "../utils/assertNoDenseBitsets";
+import assertSameRunType from "../utils/assertSameRunType";
 
 /**
+ * Creates a sweep over the chunks of bits of the given bitmaps.
+ *
+ * The state of each bitmap (the index `i` of its current chunk and the position `end` where that chunk ends)
+ * is kept in a bitmap state map and in a min-heap ordered by `end`, so that the next run boundary among all the bitmaps
+ * is found in `O(log k)` time, `k` being the number of bitmaps.
+ * The bits between two consecutive run boundaries form a segment where every bitmap is either on ones or on zeros.
+ * The runs of the bitmaps can be either all `number`s or all `bigint`s, an `InvalidBitmapError` being thrown otherwise.
+ *
+ * The result is appended to the given `resultBitmap` (a new array by default, or e.g. a {@link RunBuffer}).
+ *
+ * If an `absorbingBit` is given (`false` for a bitwise AND, `true` for a bitwise OR), a bitmap on a chunk of that bit
+ * determines the result until the end of that chunk, regardless of the other bitmaps.
+ * The segment is then extended to the end of the longest such chunk, and the other bitmaps are moved past it
+ * without visiting their run boundaries one by one (the states passed to the callback are the ones at the start of the segment).
+ *
+ * Dense bitsets must be resolved beforehand (see {@link resolveDenseBitsets}), an `InvalidBitmapError` being thrown otherwise.
+ *
  * @type {Function}
  */
 const withBitmapStateMap = ({
   bitmaps,
+  resultBitmap = [],
+  absorbingBit = void 0,
   onBitmapWithoutSequenceOfBits = noOpFn,
   onAllBitmapsWithoutSequenceOfBits = noOpFn,
 }) => {
-  let resultBitmap = [];
+  assertNoDenseBitsets(bitmaps);
+  const isBigIntBitmap = assertSameRunType(bitmaps);
+  // A zero of the type of the runs of the bitmaps.
+  const zero = isBigIntBitmap ? BigInt(0) : 0;
   const map = {};
+  const heap = new MinHeap(
+    (bitmapAState, bitmapBState) => bitmapAState.end - bitmapBState.end
+  );
+  let numberOfBitmapsOnOnes = 0;
+  let numberOfExhaustedBitmaps = 0;
+  // The end of the longest chunk of the absorbing bit entered so far.
+  let absorbedEnd = zero;
+
+  /**
+   * Keeps track of the end of the longest chunk of the absorbing bit.
+   *
+   * @param {Object} bitmapState The state of a bitmap which has just moved to a new chunk.
+   * @return {undefined}
+   */
+  const trackAbsorbingChunk = bitmapState => {
+    if (
+      (bitmapState.i % 2 === 1) === absorbingBit &&
+      bitmapState.end > absorbedEnd
+    ) {
+      absorbedEnd = bitmapState.end;
+    }
+  };
 
   let areAllBitmapsWithoutSequenceOfBits = true;
   bitmaps.map((bitmap, index) => {
     const hasAtLeastOneSequenceOfBits = bitmap.length > 1;
     if (!hasAtLeastOneSequenceOfBits) {
+      // A bitmap without a sequence of bits is an indefinite sequence of zeros,
+      // i.e. a bitmap which is exhausted from the start.
+      numberOfExhaustedBitmaps++;
       onBitmapWithoutSequenceOfBits(bitmap, index);
     } else {
       areAllBitmapsWithoutSequenceOfBits = false;
       map[index] = {
+        index,
         i: 0,
-        bits: bitmap[0],
+        end: bitmap[0],
       };
+      heap.push(map[index]);
+      trackAbsorbingChunk(map[index]);
     }
   });
   if (areAllBitmapsWithoutSequenceOfBits) {
     onAllBitmapsWithoutSequenceOfBits();
   }
 
-  return callback => {
-    while (!isObjectEmpty(map)) {
-      const result = callback({ map, resultBitmap });
-      if (result) {
-        resultBitmap = result;
-        break;
+  const isBitmapOnOnes = index => !!map[index] && map[index].i % 2 === 1;
+  const isBitmapExhausted = index => !map[index];
+
+  /**
+   * Moves the state of a bitmap to the chunk of bits containing the given position, i.e. to its first chunk ending after it.
+   * The chunks in between are skipped without being tracked, as they end before that position.
+   *
+   * @param {Object} bitmapState The state of the bitmap, whose current chunk ends at or before the position.
+   * @param {number|bigint} position The position.
+   * @return {boolean} `true` if the bitmap has such a chunk, `false` if it is exhausted.
+   */
+  const moveToChunkContaining = (bitmapState, position) => {
+    if (bitmapState.i % 2 === 1) {
+      numberOfBitmapsOnOnes--;
+    }
+    const bitmap = bitmaps[bitmapState.index];
+    let { i, end } = bitmapState;
+    do {
+      i++;
+      if (i >= bitmap.length) {
+        delete map[bitmapState.index];
+        numberOfExhaustedBitmaps++;
+        return false;
       }
+      // A bitmap state moving to an empty chunk keeps the same `end`, and is therefore moved again.
+      end += bitmap[i];
+    } while (end <= position);
+    bitmapState.i = i;
+    bitmapState.end = end;
+    if (i % 2 === 1) {
+      numberOfBitmapsOnOnes++;
     }
-    if ((resultBitmap.length - 1) % 2 === 0) {
-      resultBitmap.pop(); // Pop trailing zeros.
+    trackAbsorbingChunk(bitmapState);
+    return true;
+  };
+
+  // The segment passed to the callback is reused across iterations to avoid an allocation per segment.
+  const segment = {
+    numberOfBits: 0,
+    numberOfBitmapsOnOnes: 0,
+    numberOfExhaustedBitmaps: 0,
+    isBitmapOnOnes,
+    isBitmapExhausted,
+    resultBitmap,
+  };
+
+  return callback => {
+    let position = zero;
+    let segmentEnd = position;
+    // Moves a bitmap state whose current chunk ends within the segment past the end of the segment.
+    const moveState = bitmapState =>
+      bitmapState.end > segmentEnd ||
+      moveToChunkContaining(bitmapState, segmentEnd);
+    while (heap.size) {
+      segmentEnd = heap.peek().end;
+      let isSegmentExtended = false;
+      if (absorbedEnd > segmentEnd) {
+        // The bits up to the end of the longest chunk of the absorbing bit are all determined by that chunk.
+        segmentEnd = absorbedEnd;
+        isSegmentExtended = true;
+      }
+      const numberOfBits = segmentEnd - position;
+      if (numberOfBits > 0) {
+        // Each execution of this callback corresponds to a segment of bits where each bitmap is either on ones or on zeros.
+        // `resultBitmap` is mutable here (it can and needs to be mutated, e.g. through `appendBits`).
+        // Returning `true` stops the sweep.
+        segment.numberOfBits = numberOfBits;
+        segment.numberOfBitmapsOnOnes = numberOfBitmapsOnOnes;
+        segment.numberOfExhaustedBitmaps = numberOfExhaustedBitmaps;
+        const shouldStop = callback(segment);
+        if (shouldStop) {
+          break;
+        }
+        position = segmentEnd;
+      }
+
+      if (isSegmentExtended) {
+        // Most of the bitmap states are likely to move past a long chunk of the absorbing bit,
+        // so they are moved at once and the heap is rebuilt.
+        heap.updateAll(moveState);
+      } else {
+        while (heap.size && heap.peek().end <= segmentEnd) {
+          if (moveState(heap.peek())) {
+            heap.updateTop();
+          } else {
+            heap.pop();
+          }
+        }
+      }
     }
-    return resultBitmap;
+    return popTrailingZeros(resultBitmap);
   };
 };
 export default withBitmapStateMap;
@@ -27,5 +27,183 @@ import bitwiseOR from "./bitwiseOR";
 import bitwiseAND from "./bitwiseAND";
 import bitwiseNOT from "./bitwiseNOT";
 import bitwiseXOR from "./bitwiseXOR";
+import bitwiseANDNOT from "./bitwiseANDNOT";
+import bitwiseThreshold from "./bitwiseThreshold";
+import bitwiseCount from "./bitwiseCount";
+import withUniverse from "./withUniverse";
+import withRunBuffer from "./withRunBuffer";
+import RunBuffer from "./RunBuffer";
+import bigBitwiseNOT from "./bigint/bigBitwiseNOT";
+import toBigIntBitmap from "./bigint/toBigIntBitmap";
+import fromBigIntBitmap from "./bigint/fromBigIntBitmap";
+import bigPositions from "./bigint/bigPositions";
+import bigFromPositions from "./bigint/bigFromPositions";
+import bigCardinality from "./bigint/bigCardinality";
+import fromBitString from "./fromBitString";
+import fromBooleans from "./fromBooleans";
+import fromPositions from "./fromPositions";
+import fromIntervals from "./fromIntervals";
+import positions from "./positions";
+import toPositions from "./toPositions";
+import toIntervals from "./toIntervals";
+import toBitString from "./toBitString";
+import toBooleans from "./toBooleans";
+import cardinality from "./cardinality";
+import rank from "./rank";
+import select from "./select";
+import getBit from "./getBit";
+import setBit from "./setBit";
+import clearBit from "./clearBit";
+import flipBit from "./flipBit";
+import setRange from "./setRange";
+import clearRange from "./clearRange";
+import flipRange from "./flipRange";
+import isValidBitmap from "./isValidBitmap";
+import assertValidBitmap from "./assertValidBitmap";
+import normalize from "./normalize";
+import InvalidBitmapError from "./errors/InvalidBitmapError";
+import { setStrictMode, isStrictMode } from "./strictMode";
+import runs from "./iter/runs";
+import orIter from "./iter/orIter";
+import andIter from "./iter/andIter";
+import notIter from "./iter/notIter";
+import xorIter from "./iter/xorIter";
+import andNotIter from "./iter/andNotIter";
+import collect from "./iter/collect";
+import take from "./iter/take";
+import limit from "./iter/limit";
+import parseExpression from "./query/parseExpression";
+import evaluate from "./query/evaluate";
+import optimizeExpression from "./query/optimizeExpression";
+import explain from "./query/explain";
+import serialize from "./serialize";
+import deserialize from "./deserialize";
+import toBase64 from "./toBase64";
+import toBase64Url from "./toBase64Url";
+import fromBase64 from "./fromBase64";
+import DeserializationError from "./errors/DeserializationError";
+import DenseBitset from "./DenseBitset";
+import RunLengthBitmap from "./RunLengthBitmap";
+import toDenseBitset from "./toDenseBitset";
+import fromDenseBitset from "./fromDenseBitset";
+import toWAH from "./codecs/toWAH";
+import fromWAH from "./codecs/fromWAH";
+import toEWAH from "./codecs/toEWAH";
+import fromEWAH from "./codecs/fromEWAH";
+import toConcise from "./codecs/toConcise";
+import fromConcise from "./codecs/fromConcise";
+import toRoaringPortable from "./codecs/toRoaringPortable";
+import fromRoaringPortable from "./codecs/fromRoaringPortable";
+import slice from "./slice";
+import shiftLeft from "./shiftLeft";
+import shiftRight from "./shiftRight";
+import concat from "./concat";
+import equals from "./equals";
+import intersects from "./intersects";
+import isSubset from "./isSubset";
+import isDisjoint from "./isDisjoint";
+import andCardinality from "./andCardinality";
+import orCardinality from "./orCardinality";
+import xorCardinality from "./xorCardinality";
+import jaccard from "./jaccard";
+import BitmapIndex from "./bitmapIndex/BitmapIndex";
+import RangeEncodedIndex from "./bitmapIndex/RangeEncodedIndex";
+import BitSlicedIndex from "./bitmapIndex/BitSlicedIndex";
+import reorderRows from "./bitmapIndex/reorderRows";
+import reorderRecords from "./bitmapIndex/reorderRecords";
+import ExpressionSyntaxError from "./errors/ExpressionSyntaxError";
+import UnknownIdentifierError from "./errors/UnknownIdentifierError";
 
-export { bitwiseOR, bitwiseAND, bitwiseNOT, bitwiseXOR };
+export {
+  bitwiseOR,
+  bitwiseAND,
+  bitwiseNOT,
+  bitwiseXOR,
+  bitwiseANDNOT,
+  bitwiseThreshold,
+  bitwiseCount,
+  withUniverse,
+  withRunBuffer,
+  RunBuffer,
+  bigBitwiseNOT,
+  toBigIntBitmap,
+  fromBigIntBitmap,
+  bigPositions,
+  bigFromPositions,
+  bigCardinality,
+  fromBitString,
+  fromBooleans,
+  fromPositions,
+  fromIntervals,
+  positions,
+  toPositions,
+  toIntervals,
+  toBitString,
+  toBooleans,
+  cardinality,
+  rank,
+  select,
+  getBit,
+  setBit,
+  clearBit,
+  flipBit,
+  setRange,
+  clearRange,
+  flipRange,
+  isValidBitmap,
+  assertValidBitmap,
+  normalize,
+  InvalidBitmapError,
+  setStrictMode,
+  isStrictMode,
+  runs,
+  orIter,
+  andIter,
+  notIter,
+  xorIter,
+  andNotIter,
+  collect,
+  take,
+  limit,
+  parseExpression,
+  evaluate,
+  optimizeExpression,
+  explain,
+  ExpressionSyntaxError,
+  UnknownIdentifierError,
+  serialize,
+  deserialize,
+  toBase64,
+  toBase64Url,
+  fromBase64,
+  DeserializationError,
+  DenseBitset,
+  RunLengthBitmap,
+  toDenseBitset,
+  fromDenseBitset,
+  toWAH,
+  fromWAH,
+  toEWAH,
+  fromEWAH,
+  toConcise,
+  fromConcise,
+  toRoaringPortable,
+  fromRoaringPortable,
+  BitmapIndex,
+  RangeEncodedIndex,
+  BitSlicedIndex,
+  reorderRows,
+  reorderRecords,
+  slice,
+  shiftLeft,
+  shiftRight,
+  concat,
+  equals,
+  intersects,
+  isSubset,
+  isDisjoint,
+  andCardinality,
+  orCardinality,
+  xorCardinality,
+  jaccard,
+};
@@ -1,5 +1,98 @@
 import cases from "jest-in-case";
-import { bitwiseOR, bitwiseAND, bitwiseXOR, bitwiseNOT } from "./index";
+import {
+  bitwiseOR,
+  bitwiseAND,
+  bitwiseXOR,
+  bitwiseNOT,
+  bitwiseANDNOT,
+  bitwiseThreshold,
+  bitwiseCount,
+  withUniverse,
+  withRunBuffer,
+  RunBuffer,
+  bigBitwiseNOT,
+  toBigIntBitmap,
+  fromBigIntBitmap,
+  bigPositions,
+  bigFromPositions,
+  bigCardinality,
+  fromBitString,
+  fromBooleans,
+  fromPositions,
+  fromIntervals,
+  positions,
+  toPositions,
+  toIntervals,
+  toBitString,
+  toBooleans,
+  cardinality,
+  rank,
+  select,
+  getBit,
+  setBit,
+  clearBit,
+  flipBit,
+  setRange,
+  clearRange,
+  flipRange,
+  isValidBitmap,
+  assertValidBitmap,
+  normalize,
+  InvalidBitmapError,
+  setStrictMode,
+  isStrictMode,
+  runs,
+  orIter,
+  andIter,
+  notIter,
+  xorIter,
+  andNotIter,
+  collect,
+  take,
+  limit,
+  parseExpression,
+  evaluate,
+  optimizeExpression,
+  explain,
+  ExpressionSyntaxError,
+  UnknownIdentifierError,
+  serialize,
+  deserialize,
+  toBase64,
+  toBase64Url,
+  fromBase64,
+  DeserializationError,
+  DenseBitset,
+  RunLengthBitmap,
+  toDenseBitset,
+  fromDenseBitset,
+  toWAH,
+  fromWAH,
+  toEWAH,
+  fromEWAH,
+  toConcise,
+  fromConcise,
+  toRoaringPortable,
+  fromRoaringPortable,
+  BitmapIndex,
+  RangeEncodedIndex,
+  BitSlicedIndex,
+  reorderRows,
+  reorderRecords,
+  slice,
+  shiftLeft,
+  shiftRight,
+  concat,
+  equals,
+  intersects,
+  isSubset,
+  isDisjoint,
+  andCardinality,
+  orCardinality,
+  xorCardinality,
+  jaccard,
+} from "./index";
+import { MAX_SAFE_INT } from "./constants";
 
 /**
  * @type {Array<{
@@ -454,6 +547,684 @@ const bitwiseNOTTestCases = [
   },
 ];
 
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitString: string,
+ *   positions: number[],
+ *   intervals: Array<[number, number]>,
+ *   expectedBitmap: number[]
+ * }>}
+ */
+const encoderTestCases = [
+  {
+    name: "Empty bitmap.",
+    bitString: "",
+    positions: [],
+    intervals: [],
+    expectedBitmap: [],
+  },
+  {
+    name: "Only zeros.",
+    bitString: "0000",
+    positions: [],
+    intervals: [[2, 2]],
+    expectedBitmap: [],
+  },
+  {
+    name: "Leading ones.",
+    bitString: "1111",
+    positions: [3, 0, 2, 1],
+    intervals: [
+      [2, 4],
+      [0, 2],
+    ],
+    expectedBitmap: [0, 4],
+  },
+  {
+    name: "Trailing zeros are stripped.",
+    bitString: "0111000",
+    positions: [1, 2, 3, 2],
+    intervals: [
+      [1, 3],
+      [2, 4],
+    ],
+    expectedBitmap: [1, 3],
+  },
+  {
+    name: "Alternating runs.",
+    bitString: "11100111101001",
+    positions: [0, 1, 2, 5, 6, 7, 8, 10, 13],
+    intervals: [
+      [0, 3],
+      [5, 9],
+      [10, 11],
+      [13, 14],
+    ],
+    expectedBitmap: [0, 3, 2, 4, 1, 1, 2, 1],
+  },
+  {
+    name: "Dots of the ASCII diagrams are zeros.",
+    bitString: "0011..",
+    positions: [3, 2],
+    intervals: [[2, 4]],
+    expectedBitmap: [2, 2],
+  },
+];
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: number[]
+ * }>}
+ */
+const roundTripTestCases = testCases
+  .flatMap(({ name, expectedOR, expectedAND, expectedXOR }) => [
+    { name: `${name} (OR)`, bitmap: expectedOR },
+    { name: `${name} (AND)`, bitmap: expectedAND },
+    { name: `${name} (XOR)`, bitmap: expectedXOR },
+  ])
+  // Only the bitmaps which can be materialized in a reasonable amount of memory.
+  .filter(
+    ({ bitmap }) =>
+      bitmap.reduce((numberOfBits, bits) => numberOfBits + bits, 0) <= 1_000_000
+  );
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: number[],
+ *   start: number,
+ *   end: number,
+ *   expectedSet: number[],
+ *   expectedClear: number[],
+ *   expectedFlip: number[],
+ *   detail: string
+ * }>}
+ */
+const rangeTestCases = [
+  {
+    name: "Range within a run of zeros splits it.",
+    bitmap: [0, 2, 6, 2],
+    start: 3,
+    end: 5,
+    expectedSet: [0, 2, 1, 2, 3, 2],
+    expectedClear: [0, 2, 6, 2],
+    expectedFlip: [0, 2, 1, 2, 3, 2],
+    detail: `
+1100000011 [0, 2, 6, 2]
+---[-)----
+1100110011 [0, 2, 1, 2, 3, 2] <- SET
+1100000011 [0, 2, 6, 2] <------- CLEAR
+1100110011 [0, 2, 1, 2, 3, 2] <- FLIP
+`,
+  },
+  {
+    name: "Range filling a gap merges the neighbouring runs.",
+    bitmap: [0, 2, 4, 2],
+    start: 2,
+    end: 6,
+    expectedSet: [0, 8],
+    expectedClear: [0, 2, 4, 2],
+    expectedFlip: [0, 8],
+    detail: `
+11000011 [0, 2, 4, 2]
+--[--)--
+11111111 [0, 8] <------- SET
+11000011 [0, 2, 4, 2] <- CLEAR
+11111111 [0, 8] <------- FLIP
+`,
+  },
+  {
+    name: "Range across runs.",
+    bitmap: [0, 3, 2, 3],
+    start: 1,
+    end: 6,
+    expectedSet: [0, 8],
+    expectedClear: [0, 1, 5, 2],
+    expectedFlip: [0, 1, 2, 2, 1, 2],
+    detail: `
+11100111 [0, 3, 2, 3]
+-[---)--
+11111111 [0, 8] <------------- SET
+10000011 [0, 1, 5, 2] <------- CLEAR
+10011011 [0, 1, 2, 2, 1, 2] <- FLIP
+`,
+  },
+  {
+    name: "Range beyond the end of the bitmap.",
+    bitmap: [1, 2],
+    start: 5,
+    end: 7,
+    expectedSet: [1, 2, 2, 2],
+    expectedClear: [1, 2],
+    expectedFlip: [1, 2, 2, 2],
+    detail: `
+011.... [1, 2]
+-----[)
+0110011 [1, 2, 2, 2] <- SET
+011.... [1, 2] <------- CLEAR
+0110011 [1, 2, 2, 2] <- FLIP
+`,
+  },
+  {
+    name: "Range clearing the trailing ones strips the trailing zeros.",
+    bitmap: [0, 2, 2, 3],
+    start: 4,
+    end: 10,
+    expectedSet: [0, 2, 2, 6],
+    expectedClear: [0, 2],
+    expectedFlip: [0, 2, 5, 3],
+    detail: `
+1100111... [0, 2, 2, 3]
+----[-----)
+1100111111 [0, 2, 2, 6] <- SET
+11........ [0, 2] <------- CLEAR
+1100000111 [0, 2, 5, 3] <- FLIP
+`,
+  },
+  {
+    name: "Empty range.",
+    bitmap: [0, 2, 2, 3],
+    start: 3,
+    end: 3,
+    expectedSet: [0, 2, 2, 3],
+    expectedClear: [0, 2, 2, 3],
+    expectedFlip: [0, 2, 2, 3],
+    detail: `
+1100111 [0, 2, 2, 3]
+---)---
+1100111 [0, 2, 2, 3] <- SET, CLEAR, FLIP
+`,
+  },
+  {
+    name: "Empty bitmap.",
+    bitmap: [],
+    start: 0,
+    end: 3,
+    expectedSet: [0, 3],
+    expectedClear: [],
+    expectedFlip: [0, 3],
+    detail: `
+... []
+[-)
+111 [0, 3] <- SET
+... [] <----- CLEAR
+111 [0, 3] <- FLIP
+`,
+  },
+];
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmaps: Array<number[]>,
+ *   expectedANDNOT: number[],
+ *   detail: string
+ * }>}
+ */
+const bitwiseANDNOTTestCases = [
+  {
+    name: "Subtracting two bitmaps.",
+    bitmaps: [
+      [0, 3, 2, 4, 1, 1, 2, 1],
+      [1, 1, 3, 2],
+      [8, 1, 4, 1],
+    ],
+    expectedANDNOT: [0, 1, 1, 1, 4, 1, 2, 1],
+    detail: `
+11100111101001 [0, 3, 2, 4, 1, 1, 2, 1]
+0100011....... [1, 1, 3, 2]
+00000000100001 [8, 1, 4, 1]
+--------------
+10100001001... [0, 1, 1, 1, 4, 1, 2, 1] <- ANDNOT
+`,
+  },
+  {
+    name: "Subtracting a superset.",
+    bitmaps: [
+      [2, 2],
+      [0, 8],
+    ],
+    expectedANDNOT: [],
+    detail: `
+0011.... [2, 2]
+11111111 [0, 8]
+--------
+........ [] <- ANDNOT
+`,
+  },
+  {
+    name: "Subtracting an overlapping bitmap leaves trailing ones.",
+    bitmaps: [
+      [0, 6],
+      [0, 2],
+    ],
+    expectedANDNOT: [2, 4],
+    detail: `
+111111 [0, 6]
+11.... [0, 2]
+------
+001111 [2, 4] <- ANDNOT
+`,
+  },
+  {
+    name: "Nothing to subtract.",
+    bitmaps: [[1, 2, 3]],
+    expectedANDNOT: [1, 2],
+    detail: `
+011000 [1, 2, 3]
+------
+011... [1, 2] <- ANDNOT
+`,
+  },
+  {
+    name: "Subtracting empty bitmaps.",
+    bitmaps: [[1, 2], [], [10]],
+    expectedANDNOT: [1, 2],
+    detail: `
+011 [1, 2]
+... []
+000 [10]
+---
+011 [1, 2] <- ANDNOT
+`,
+  },
+  {
+    name: "Subtracting from an empty bitmap.",
+    bitmaps: [[], [0, 2]],
+    expectedANDNOT: [],
+    detail: `
+.. []
+11 [0, 2]
+--
+.. [] <- ANDNOT
+`,
+  },
+  {
+    name: "Subtracting from a bitmap with zeros.",
+    bitmaps: [[12], [0, 2]],
+    expectedANDNOT: [],
+  },
+];
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: *,
+ *   expectedIndex: number|undefined,
+ *   expectedMessage: RegExp
+ * }>}
+ */
+const invalidBitmapTestCases = [
+  {
+    name: "Not an array.",
+    bitmap: "0110",
+    expectedIndex: undefined,
+    expectedMessage: /expected an array, got string/,
+  },
+  {
+    name: "Negative run.",
+    bitmap: [1, 2, -1],
+    expectedIndex: 2,
+    expectedMessage: /the run at index 2 is negative \(-1\)/,
+  },
+  {
+    name: "NaN run.",
+    bitmap: [1, NaN],
+    expectedIndex: 1,
+    expectedMessage: /the run at index 1 is not a number \(NaN\)/,
+  },
+  {
+    name: "Non-number run.",
+    bitmap: [1, "2"],
+    expectedIndex: 1,
+    expectedMessage: /the run at index 1 is not a number \(2\)/,
+  },
+  {
+    name: "Non-integer run.",
+    bitmap: [0, 1.5],
+    expectedIndex: 1,
+    expectedMessage: /the run at index 1 is not an integer \(1.5\)/,
+  },
+  {
+    name: "Zero-length run in the middle.",
+    bitmap: [2, 0, 3, 1],
+    expectedIndex: 1,
+    expectedMessage: /the run at index 1 is empty/,
+  },
+  {
+    name: "Single zero-length run.",
+    bitmap: [0],
+    expectedIndex: 0,
+    expectedMessage: /the run at index 0 is empty/,
+  },
+  {
+    name: "Too many bits.",
+    bitmap: [9_007_199_254_740_991, 1],
+    expectedIndex: 1,
+    expectedMessage: /exceed MAX_SAFE_INT/,
+  },
+];
+
+/**
+ * @type {Object<string, number[]>}
+ */
+const bitmapsByName = {
+  color_red: fromBitString("1100000011"),
+  color_blue: fromBitString("0011000000"),
+  color_green: fromBitString("0000110000"),
+  discontinued: fromBitString("0100100001"),
+  on_sale: fromBitString("1010101010"),
+  archived: [],
+};
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   expression: string,
+ *   expectedBitString: string
+ * }>}
+ */
+const expressionTestCases = [
+  {
+    name: "Identifier.",
+    expression: "color_red",
+    expectedBitString: "1100000011",
+  },
+  {
+    name: "OR and AND NOT with parentheses.",
+    expression: "(color_red OR color_blue) AND NOT discontinued",
+    expectedBitString: "1011000010",
+  },
+  {
+    name: "AND binds tighter than OR.",
+    expression: "color_red OR color_blue AND on_sale",
+    expectedBitString: "1110000011",
+  },
+  {
+    name: "AND binds tighter than XOR, XOR binds tighter than OR.",
+    expression: "color_green OR on_sale XOR color_red AND discontinued",
+    expectedBitString: "1110111011",
+  },
+  {
+    name: "Symbolic operators.",
+    expression: "(color_red | color_green) & !(discontinued ^ on_sale)",
+    expectedBitString: "0000110000",
+  },
+  {
+    name: "Case-insensitive keywords, double negation and chains.",
+    expression: "not NOT color_red and on_sale Or color_blue or color_green",
+    expectedBitString: "1011110010",
+  },
+  {
+    name: "Shared subexpressions.",
+    expression:
+      "(color_red OR on_sale) AND NOT discontinued OR (on_sale OR color_red) AND color_blue",
+    expectedBitString: "1010001010",
+  },
+  {
+    name: "Empty AND input.",
+    expression: "color_red AND NOT on_sale AND archived",
+    expectedBitString: "",
+  },
+  {
+    name: "XOR of the same bitmap cancels out.",
+    expression: "color_red XOR on_sale XOR color_red",
+    expectedBitString: "1010101010",
+  },
+];
+
+/**
+ * Creates a buffer of 64-bit words from their hexadecimal representations.
+ *
+ * @param {string[]} words The words, e.g. `"0xc000000000000002"`.
+ * @return {BigUint64Array} The buffer.
+ */
+const words64 = words => BigUint64Array.from(words.map(word => BigInt(word)));
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: number[],
+ *   wah32: Uint32Array,
+ *   wah64: BigUint64Array,
+ *   ewah32: Uint32Array,
+ *   ewah64: BigUint64Array,
+ *   concise32: Uint32Array,
+ *   concise64: BigUint64Array,
+ *   detail: string
+ * }>}
+ */
+const wordAlignedTestCases = [
+  {
+    name: "Empty bitmap.",
+    bitmap: [],
+    wah32: new Uint32Array([]),
+    wah64: words64([]),
+    ewah32: new Uint32Array([]),
+    ewah64: words64([]),
+    concise32: new Uint32Array([]),
+    concise64: words64([]),
+    detail: `
+      No words at all.
+    `,
+  },
+  {
+    name: "Single literal.",
+    bitmap: [0, 3],
+    wah32: new Uint32Array([0x00000007]),
+    wah64: words64(["0x7"]),
+    ewah32: new Uint32Array([0x00020000, 0x00000007]),
+    ewah64: words64(["0x200000000", "0x7"]),
+    concise32: new Uint32Array([0x80000007]),
+    concise64: words64(["0x8000000000000007"]),
+    detail: `
+      111
+
+      WAH:     0|000...0111
+      EWAH:    marker (1 literal word), 000...0111
+      Concise: 1|000...0111
+    `,
+  },
+  {
+    name: "Fills of ones.",
+    bitmap: [0, 155],
+    wah32: new Uint32Array([0xc0000005]),
+    wah64: words64(["0xc000000000000002", "0x1fffffff"]),
+    ewah32: new Uint32Array([0x00020009, 0x07ffffff]),
+    ewah64: words64(["0x200000005", "0x7ffffff"]),
+    concise32: new Uint32Array([0x40000004]),
+    concise64: words64(["0x4000000000000001", "0x800000001fffffff"]),
+    detail: `
+      155 ones = 5 groups of 31 bits
+               = 2 groups of 63 bits + 29 bits
+               = 4 groups of 32 bits + 27 bits
+               = 2 groups of 64 bits + 27 bits
+
+      WAH 32:     1|1|5
+      WAH 64:     1|1|2, 0|29 ones
+      EWAH 32:    marker (running bit 1, running length 4, 1 literal word), 27 ones
+      EWAH 64:    marker (running bit 1, running length 2, 1 literal word), 27 ones
+      Concise 32: 0|1|00000|5 - 1
+      Concise 64: 0|1|000000|2 - 1, 1|29 ones
+    `,
+  },
+  {
+    name: "Literals and fills of zeros and ones.",
+    bitmap: [0, 3, 90, 40],
+    wah32: new Uint32Array([0x00000007, 0x80000002, 0xc0000001, 0x000001ff]),
+    wah64: words64(["0x7", "0x7fffffffc0000000", "0x7f"]),
+    ewah32: new Uint32Array([
+      0x00020000, 0x00000007, 0x00020002, 0xe0000000, 0x00020003, 0x0000001f,
+    ]),
+    ewah64: words64(["0x600000000", "0x7", "0xffffffffe0000000", "0x1f"]),
+    concise32: new Uint32Array([
+      0x80000007, 0x00000001, 0x40000000, 0x800001ff,
+    ]),
+    concise64: words64([
+      "0x8000000000000007",
+      "0xffffffffc0000000",
+      "0x800000000000007f",
+    ]),
+    detail: `
+      111 + 90 zeros + 40 ones (bits 93 to 132)
+
+      WAH 32:  [0, 31) literal 111, [31, 93) 2 groups of zeros, [93, 124) 1 group of ones, [124, 155) literal of 9 ones
+      WAH 64:  [0, 63) literal 111, [63, 126) literal of 30 zeros then 33 ones, [126, 189) literal of 7 ones
+      EWAH 32: [0, 32) literal 111, [32, 64) 1 group of zeros, [64, 96) literal with the last 3 bits set,
+               [96, 128) 1 group of ones, [128, 160) literal of 5 ones
+    `,
+  },
+  {
+    name: "Concise flipped bits.",
+    bitmap: [5, 1, 87, 40, 100, 1],
+    wah32: new Uint32Array([
+      0x00000020, 0x80000002, 0xc0000001, 0x000001ff, 0x80000002, 0x00010000,
+    ]),
+    wah64: words64(["0x20", "0x7fffffffc0000000", "0x7f", "0x100000000000"]),
+    ewah32: new Uint32Array([
+      0x00020000, 0x00000020, 0x00020002, 0xe0000000, 0x00020003, 0x0000001f,
+      0x00020004, 0x00000200,
+    ]),
+    ewah64: words64([
+      "0x800000000",
+      "0x20",
+      "0xffffffffe0000000",
+      "0x1f",
+      "0x20000000000",
+    ]),
+    concise32: new Uint32Array([
+      0x0c000002, 0x40000000, 0x800001ff, 0x00000001, 0x80010000,
+    ]),
+    concise64: words64([
+      "0x8000000000000020",
+      "0xffffffffc0000000",
+      "0x800000000000007f",
+      "0x8000100000000000",
+    ]),
+    detail: `
+      00000100...0 (87 zeros) + 40 ones (bits 93 to 132) + 100 zeros + 1 (bit 233)
+
+      Concise 32: [0, 93) 3 groups of zeros, the 6th bit of the first one being flipped (0|0|00110|3 - 1),
+                  [93, 124) 1 group of ones, [124, 155) literal of 9 ones,
+                  [155, 217) 2 groups of zeros (not merged, as the literal before them has more than one bit set),
+                  [217, 248) literal with its 17th bit set
+    `,
+  },
+];
+
+/**
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: number[],
+ *   bytes: number[],
+ *   detail: string
+ * }>}
+ */
+const roaringTestCases = [
+  {
+    name: "Empty bitmap.",
+    bitmap: [],
+    bytes: [0x3a, 0x30, 0, 0, 0, 0, 0, 0],
+    detail: `
+      cookie 12346 (no run containers) | 0 containers
+    `,
+  },
+  {
+    name: "Array containers.",
+    bitmap: [1, 3, 65_537, 1],
+    bytes: [
+      0x3a, 0x30, 0, 0, 2, 0, 0, 0, 0, 0, 2, 0, 1, 0, 0, 0, 24, 0, 0, 0, 30, 0,
+      0, 0, 1, 0, 2, 0, 3, 0, 5, 0,
+    ],
+    detail: `
+      positions 1, 2, 3 and 65541 (65536 + 5)
+
+      cookie 12346 | 2 containers
+      key 0, cardinality 3 | key 1, cardinality 1
+      offsets 24 | 30
+      array container 1, 2, 3 | array container 5
+    `,
+  },
+  {
+    name: "Run container.",
+    bitmap: [0, 100],
+    bytes: [0x3b, 0x30, 0, 0, 0b1, 0, 0, 99, 0, 1, 0, 0, 0, 99, 0],
+    detail: `
+      positions 0 to 99
+
+      cookie 12347 (with run containers), 1 container | run container flags 00000001
+      key 0, cardinality 100
+      (no offsets, less than 4 containers)
+      run container with 1 run: start 0, length 100
+    `,
+  },
+  {
+    name: "Run containers spanning several containers, with offsets.",
+    bitmap: [65_535, 131_074, 65_534, 1],
+    bytes: [
+      0x3b, 0x30, 3, 0, 0b0110, 0, 0, 0, 0, 1, 0, 255, 255, 2, 0, 255, 255, 3,
+      0, 1, 0, 37, 0, 0, 0, 39, 0, 0, 0, 45, 0, 0, 0, 51, 0, 0, 0, 255, 255, 1,
+      0, 0, 0, 255, 255, 1, 0, 0, 0, 255, 255, 0, 0, 255, 255,
+    ],
+    detail: `
+      positions 65535 to 196608 (131074 ones) and 262143
+
+      cookie 12347, 4 containers | run container flags 00000110
+      key 0, cardinality 1 | key 1, cardinality 65536 | key 2, cardinality 65536 | key 3, cardinality 2
+      offsets 37 | 39 | 45 | 51
+      array container 65535 | run container [0, 65535] | run container [0, 65535] | array container 0, 65535
+    `,
+  },
+];
+
+/**
+ * Every bitmap of the fixtures above, as inputs or as expected results.
+ *
+ * @type {Array<{
+ *   name: string,
+ *   bitmap: number[]
+ * }>}
+ */
+const fixtureBitmapTestCases = [
+  ...testCases.flatMap(
+    ({ name, bitmaps, expectedOR, expectedAND, expectedXOR }) => [
+      ...bitmaps.map((bitmap, i) => ({ name: `${name} (#${i})`, bitmap })),
+      { name: `${name} (OR)`, bitmap: expectedOR },
+      { name: `${name} (AND)`, bitmap: expectedAND },
+      { name: `${name} (XOR)`, bitmap: expectedXOR },
+    ]
+  ),
+  ...bitwiseNOTTestCases.flatMap(({ name, bitmap, expectedNOT }) => [
+    { name: `${name} (NOT input)`, bitmap },
+    { name: `${name} (NOT)`, bitmap: expectedNOT },
+  ]),
+  ...encoderTestCases.map(({ name, expectedBitmap }) => ({
+    name: `${name} (encoded)`,
+    bitmap: expectedBitmap,
+  })),
+  ...rangeTestCases.flatMap(
+    ({ name, bitmap, expectedSet, expectedClear, expectedFlip }) => [
+      { name: `${name} (range input)`, bitmap },
+      { name: `${name} (set)`, bitmap: expectedSet },
+      { name: `${name} (clear)`, bitmap: expectedClear },
+      { name: `${name} (flip)`, bitmap: expectedFlip },
+    ]
+  ),
+  ...bitwiseANDNOTTestCases.flatMap(({ name, bitmaps, expectedANDNOT }) => [
+    ...bitmaps.map((bitmap, i) => ({
+      name: `${name} (ANDNOT #${i})`,
+      bitmap,
+    })),
+    { name: `${name} (ANDNOT)`, bitmap: expectedANDNOT },
+  ]),
+  ...Object.entries(bitmapsByName).map(([name, bitmap]) => ({
+    name: `Named bitmap ${name}.`,
+    bitmap,
+  })),
+];
+
 describe("run-length-bitmap", () => {
   describe("bitwiseOR", () => {
     cases(
@@ -466,6 +1237,51 @@ describe("run-length-bitmap", () => {
     );
   });
 
+  describe("bitwiseOR and bitwiseAND over many bitmaps", () => {
+    it("computes the same bits as a bit by bit OR and AND", () => {
+      const numberOfBits = 200;
+      const bitmaps = Array.from({ length: 64 }, (_, j) =>
+        fromBooleans(
+          Array.from(
+            { length: numberOfBits },
+            (_, i) => (i * 7 + j * 13) % (j + 2) !== 0
+          )
+        )
+      );
+      const bitByBit = reducer =>
+        fromBooleans(
+          Array.from({ length: numberOfBits }, (_, i) =>
+            bitmaps.map(bitmap => getBit(bitmap, i)).reduce(reducer)
+          )
+        );
+      expect(bitwiseOR(...bitmaps)).toEqual(bitByBit((a, b) => a || b));
+      expect(bitwiseAND(...bitmaps)).toEqual(bitByBit((a, b) => a && b));
+    });
+
+    it("computes the same bits when skipping long runs of zeros and ones", () => {
+      const bitmaps = Array.from({ length: 48 }, (_, j) =>
+        Array.from(
+          { length: 12 + (j % 5) },
+          (_, i) => ((i * 31 + j * 17) % 11) * (i % 2 ? 3 : 9)
+        )
+      );
+      const numberOfBits = Math.max(
+        ...bitmaps.map(bitmap => bitmap.reduce((sum, bits) => sum + bits, 0))
+      );
+      const bitByBit = reducer =>
+        fromBooleans(
+          Array.from({ length: numberOfBits }, (_, i) =>
+            bitmaps.map(bitmap => getBit(bitmap, i)).reduce(reducer)
+          )
+        );
+      expect(bitwiseOR(...bitmaps)).toEqual(bitByBit((a, b) => a || b));
+      expect(bitwiseAND(...bitmaps)).toEqual(bitByBit((a, b) => a && b));
+      const halves = bitmaps.slice(0, 2).concat([[0, 1000]]);
+      expect(bitwiseAND(...halves)).toEqual(bitwiseAND(...halves.slice(0, 2)));
+      expect(bitwiseOR(...halves)).toEqual([0, 1000]);
+    });
+  });
+
   describe("bitwiseAND", () => {
     cases(
       "it computes a bitwise AND of the given run-length encoded bitmaps",
@@ -486,6 +1302,18 @@ describe("run-length-bitmap", () => {
       },
       testCases
     );
+
+    it("computes the parity of the bits of many bitmaps in a single pass", () => {
+      const bitmaps = Array.from({ length: 12 }, (_, j) =>
+        fromBooleans(
+          Array.from({ length: 40 }, (_, i) => (i * (j + 1)) % 3 === 0)
+        )
+      );
+      const expectedBooleans = Array.from({ length: 40 }, (_, i) =>
+        bitmaps.reduce((parity, bitmap) => parity !== getBit(bitmap, i), false)
+      );
+      expect(bitwiseXOR(...bitmaps)).toEqual(fromBooleans(expectedBooleans));
+    });
   });
 
   describe("bitwiseNOT", () => {
@@ -497,5 +1325,3035 @@ describe("run-length-bitmap", () => {
       },
       bitwiseNOTTestCases
     );
+
+    it("computes a bitwise NOT within a bounded universe", () => {
+      expect(bitwiseNOT([2, 2], 6)).toEqual([0, 2, 2, 2]);
+      expect(bitwiseNOT([2, 2], 4)).toEqual([0, 2]);
+      expect(bitwiseNOT([2, 2, 3, 5], 3)).toEqual([0, 2]);
+      expect(bitwiseNOT([0, 8], 6)).toEqual([]);
+      expect(bitwiseNOT([], 5)).toEqual([0, 5]);
+      expect(bitwiseNOT([], 0)).toEqual([]);
+    });
+
+    it("throws on an invalid universe size", () => {
+      expect(() => bitwiseNOT([], -1)).toThrow(RangeError);
+      expect(() => bitwiseNOT([], 1.5)).toThrow(RangeError);
+      expect(() => bitwiseNOT([], 9_007_199_254_740_992)).toThrow(RangeError);
+    });
+  });
+
+  describe("withUniverse", () => {
+    cases(
+      "it clips the results of the operators to the universe",
+      ({ bitmaps, expectedOR, expectedAND, expectedXOR }) => {
+        const universeSize = 10;
+        const universe = withUniverse(universeSize);
+        const clip = bitmap => fromBitString(toBitString(bitmap, universeSize));
+        expect(universe.bitwiseOR(...bitmaps)).toEqual(clip(expectedOR));
+        expect(universe.bitwiseAND(...bitmaps)).toEqual(clip(expectedAND));
+        expect(universe.bitwiseXOR(...bitmaps)).toEqual(clip(expectedXOR));
+        if (bitmaps.length) {
+          expect(universe.bitwiseANDNOT(...bitmaps)).toEqual(
+            clip(bitwiseANDNOT(...bitmaps))
+          );
+        }
+        expect(universe.bitwiseThreshold(1, ...bitmaps)).toEqual(
+          clip(expectedOR)
+        );
+        expect(universe.bitwiseCount(...bitmaps)).toEqual(
+          bitwiseCount(...bitmaps.map(clip))
+        );
+        expect(collect(universe.orIter(...bitmaps))).toEqual(clip(expectedOR));
+        expect(collect(universe.andIter(...bitmaps))).toEqual(
+          clip(expectedAND)
+        );
+        expect(collect(universe.xorIter(...bitmaps))).toEqual(
+          clip(expectedXOR)
+        );
+        if (bitmaps.length) {
+          expect(collect(universe.andNotIter(...bitmaps))).toEqual(
+            clip(bitwiseANDNOT(...bitmaps))
+          );
+          expect(collect(universe.notIter(bitmaps[0]))).toEqual(
+            universe.bitwiseNOT(bitmaps[0])
+          );
+        }
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => bitmap.length <= 1_000)
+      )
+    );
+
+    it("stops the bitwise NOT at the size of the universe", () => {
+      const { bitwiseNOT, bitwiseAND, universeSize } = withUniverse(10_000_000);
+      expect(universeSize).toBe(10_000_000);
+      expect(bitwiseNOT([])).toEqual([0, 10_000_000]);
+      expect(bitwiseNOT([5, 5])).toEqual([0, 5, 5, 10_000_000 - 10]);
+      expect(cardinality(bitwiseAND(bitwiseNOT([5, 5]), [0, 20_000_000]))).toBe(
+        10_000_000 - 5
+      );
+    });
+
+    it("clips the counts and the lazy iterators to the universe", () => {
+      const { bitwiseCount, notIter, orIter, andIter } = withUniverse(6);
+      expect(bitwiseCount([0, 3], [2, 8])).toEqual([
+        [1, 2],
+        [2, 1],
+        [1, 3],
+      ]);
+      expect(bitwiseCount([0, 2, 5, 1], [0, 1])).toEqual([
+        [2, 1],
+        [1, 1],
+      ]);
+      expect(collect(notIter([2, 2]))).toEqual([0, 2, 2, 2]);
+      expect(collect(orIter([8, 2], [5, 3]))).toEqual([5, 1]);
+      expect(collect(andIter(notIter([2, 2]), [1, 9]))).toEqual([1, 1, 2, 2]);
+      expect(collect(withUniverse(0).orIter([0, 3]))).toEqual([]);
+    });
+
+    it("throws on an invalid universe size", () => {
+      expect(() => withUniverse(-1)).toThrow(RangeError);
+    });
+  });
+
+  describe("bitwiseANDNOT", () => {
+    cases(
+      "it computes a bitwise AND NOT of the given run-length encoded bitmaps",
+      ({ bitmaps, expectedANDNOT }) => {
+        const result = bitwiseANDNOT(...bitmaps);
+        expect(result).toEqual(expectedANDNOT);
+      },
+      bitwiseANDNOTTestCases
+    );
+
+    cases(
+      "it computes the same bitmap as a bitwise AND with the bitwise NOT of the other bitmaps",
+      ({ bitmaps: [bitmap, ...otherBitmaps] }) => {
+        const result = bitwiseANDNOT(bitmap, ...otherBitmaps);
+        expect(result).toEqual(
+          bitwiseAND(bitmap, bitwiseNOT(bitwiseOR(...otherBitmaps)))
+        );
+      },
+      testCases.filter(({ bitmaps }) => bitmaps.length > 0)
+    );
+  });
+
+  describe("fromBitString", () => {
+    cases(
+      "it encodes a bit string as a run-length encoded bitmap",
+      ({ bitString, expectedBitmap }) => {
+        expect(fromBitString(bitString)).toEqual(expectedBitmap);
+      },
+      encoderTestCases
+    );
+
+    it("throws on an invalid character", () => {
+      expect(() => fromBitString("0120")).toThrow(/index 2/);
+    });
+  });
+
+  describe("fromBooleans", () => {
+    cases(
+      "it encodes an array of booleans as a run-length encoded bitmap",
+      ({ bitString, expectedBitmap }) => {
+        const booleans = [...bitString].map(char => char === "1");
+        expect(fromBooleans(booleans)).toEqual(expectedBitmap);
+      },
+      encoderTestCases
+    );
+  });
+
+  describe("fromPositions", () => {
+    cases(
+      "it encodes a list of positions as a run-length encoded bitmap",
+      ({ positions, expectedBitmap }) => {
+        expect(fromPositions(positions)).toEqual(expectedBitmap);
+      },
+      encoderTestCases
+    );
+
+    it("sorts and de-duplicates the positions", () => {
+      expect(fromPositions([90, 3, 4, 5, 4, 90])).toEqual([3, 3, 84, 1]);
+    });
+
+    it("throws on an invalid position", () => {
+      expect(() => fromPositions([1, -1])).toThrow(RangeError);
+      expect(() => fromPositions([1.5])).toThrow(RangeError);
+    });
+  });
+
+  describe("fromIntervals", () => {
+    cases(
+      "it encodes a list of intervals as a run-length encoded bitmap",
+      ({ intervals, expectedBitmap }) => {
+        expect(fromIntervals(intervals)).toEqual(expectedBitmap);
+      },
+      encoderTestCases
+    );
+
+    it("merges overlapping and adjacent intervals", () => {
+      expect(
+        fromIntervals([
+          [10, 12],
+          [0, 4],
+          [4, 6],
+          [1, 3],
+        ])
+      ).toEqual([0, 6, 4, 2]);
+    });
+
+    it("throws on an invalid interval", () => {
+      expect(() => fromIntervals([[4, 2]])).toThrow(RangeError);
+      expect(() => fromIntervals([[-1, 2]])).toThrow(RangeError);
+    });
+  });
+
+  describe("positions", () => {
+    it("lazily iterates over the positions of the set bits", () => {
+      expect([...positions([3, 3, 84, 1])]).toEqual([3, 4, 5, 90]);
+    });
+
+    it("iterates over a bitmap spanning up to MAX_SAFE_INT bits", () => {
+      const iterator = positions(bitwiseNOT([0, 2, 1, 1]));
+      expect(iterator.next().value).toBe(2);
+      expect(iterator.next().value).toBe(4);
+      expect(iterator.next().value).toBe(5);
+    });
+  });
+
+  describe("toPositions", () => {
+    cases(
+      "it round-trips with fromPositions",
+      ({ bitmap }) => {
+        expect(fromPositions(toPositions(bitmap))).toEqual(bitmap);
+      },
+      roundTripTestCases
+    );
+  });
+
+  describe("toIntervals", () => {
+    it("decodes the intervals of the set bits", () => {
+      expect(toIntervals([0, 6, 4, 2])).toEqual([
+        [0, 6],
+        [10, 12],
+      ]);
+      expect(toIntervals([])).toEqual([]);
+    });
+
+    cases(
+      "it round-trips with fromIntervals",
+      ({ bitmap }) => {
+        expect(fromIntervals(toIntervals(bitmap))).toEqual(bitmap);
+      },
+      roundTripTestCases
+    );
+  });
+
+  describe("toBitString", () => {
+    it("decodes a bitmap as a bit string", () => {
+      expect(toBitString([1, 3])).toBe("0111");
+      expect(toBitString([1, 3], 7)).toBe("0111000");
+      expect(toBitString([1, 3], 2)).toBe("01");
+      expect(toBitString([])).toBe("");
+    });
+
+    cases(
+      "it round-trips with fromBitString",
+      ({ bitmap }) => {
+        expect(fromBitString(toBitString(bitmap))).toEqual(bitmap);
+      },
+      roundTripTestCases
+    );
+  });
+
+  describe("toBooleans", () => {
+    it("decodes a bitmap as an array of booleans", () => {
+      expect(toBooleans([1, 3], 5)).toEqual([false, true, true, true, false]);
+      expect(toBooleans([0, 2, 1, 1], 3)).toEqual([true, true, false]);
+    });
+
+    cases(
+      "it round-trips with fromBooleans",
+      ({ bitmap }) => {
+        expect(fromBooleans(toBooleans(bitmap))).toEqual(bitmap);
+      },
+      roundTripTestCases
+    );
+  });
+
+  describe("cardinality", () => {
+    it("counts the set bits", () => {
+      expect(cardinality([])).toBe(0);
+      expect(cardinality([0, 3, 2, 4, 1, 1, 2, 1])).toBe(9);
+      expect(cardinality([10, 2])).toBe(2);
+    });
+
+    it("counts the set bits of a bitmap spanning up to MAX_SAFE_INT bits", () => {
+      expect(cardinality(bitwiseNOT([0, 2, 1, 1]))).toBe(
+        9_007_199_254_740_991 - 3
+      );
+    });
+
+    cases(
+      "it equals the number of decoded positions",
+      ({ bitmap }) => {
+        expect(cardinality(bitmap)).toBe(toPositions(bitmap).length);
+      },
+      roundTripTestCases
+    );
+  });
+
+  describe("rank", () => {
+    it("counts the set bits before a position", () => {
+      const bitmap = [0, 3, 2, 4, 1, 1, 2, 1]; // 11100111101001
+      expect(rank(bitmap, 0)).toBe(0);
+      expect(rank(bitmap, 2)).toBe(2);
+      expect(rank(bitmap, 5)).toBe(3);
+      expect(rank(bitmap, 7)).toBe(5);
+      expect(rank(bitmap, 14)).toBe(9);
+      expect(rank(bitmap, 1_000)).toBe(9);
+      expect(rank([], 10)).toBe(0);
+    });
+
+    it("ranks positions of a bitmap spanning up to MAX_SAFE_INT bits", () => {
+      const bitmap = bitwiseNOT([0, 2, 1, 1]); // 0010111...
+      expect(rank(bitmap, 9_007_199_254_740_991)).toBe(
+        9_007_199_254_740_991 - 3
+      );
+      expect(rank(bitmap, 1_000_000_000_000)).toBe(1_000_000_000_000 - 3);
+    });
+
+    cases(
+      "it throws on positions which are not integers",
+      ({ position }) => {
+        expect(() => rank([0, 5], position)).toThrow(
+          new RangeError(`Invalid position ${position}, expected an integer.`)
+        );
+      },
+      [
+        { name: "1.5", position: 1.5 },
+        { name: "NaN", position: NaN },
+        { name: "Infinity", position: Infinity },
+        { name: "a string", position: "2" },
+      ]
+    );
+  });
+
+  describe("select", () => {
+    it("selects the position of the k-th set bit", () => {
+      const bitmap = [0, 3, 2, 4, 1, 1, 2, 1]; // 11100111101001
+      expect(select(bitmap, 0)).toBe(0);
+      expect(select(bitmap, 3)).toBe(5);
+      expect(select(bitmap, 5)).toBe(7);
+      expect(select(bitmap, 8)).toBe(13);
+      expect(select(bitmap, 9)).toBe(-1);
+      expect(select(bitmap, -1)).toBe(-1);
+      expect(select([], 0)).toBe(-1);
+    });
+
+    it("selects set bits of a bitmap spanning up to MAX_SAFE_INT bits", () => {
+      const bitmap = bitwiseNOT([0, 2, 1, 1]); // 0010111...
+      expect(select(bitmap, 0)).toBe(2);
+      expect(select(bitmap, 1_000_000_000_000)).toBe(1_000_000_000_003);
+      expect(select(bitmap, 9_007_199_254_740_991 - 4)).toBe(
+        9_007_199_254_740_990
+      );
+      expect(select(bitmap, 9_007_199_254_740_991 - 3)).toBe(-1);
+    });
+
+    cases(
+      "it throws on indexes which are not integers",
+      ({ bitmap, k }) => {
+        expect(() => select(bitmap, k)).toThrow(
+          new RangeError(
+            `Invalid index ${k} of a set bit, expected an integer.`
+          )
+        );
+      },
+      [
+        { name: "1.5", bitmap: [0, 5], k: 1.5 },
+        { name: "0.5 after zeros", bitmap: [2, 5], k: 0.5 },
+        { name: "-0.5", bitmap: [0, 5], k: -0.5 },
+        { name: "NaN", bitmap: [0, 5], k: NaN },
+        { name: "a string", bitmap: [0, 5], k: "1" },
+      ]
+    );
+
+    cases(
+      "it is the inverse of rank",
+      ({ bitmap }) => {
+        for (const position of positions(bitmap)) {
+          expect(select(bitmap, rank(bitmap, position))).toBe(position);
+        }
+      },
+      roundTripTestCases.filter(({ bitmap }) => cardinality(bitmap) <= 1_000)
+    );
+  });
+
+  describe("getBit", () => {
+    it("gets a bit", () => {
+      const bitmap = [2, 2, 1, 1]; // 001101
+      expect([0, 1, 2, 3, 4, 5, 6, 100].map(i => getBit(bitmap, i))).toEqual([
+        false,
+        false,
+        true,
+        true,
+        false,
+        true,
+        false,
+        false,
+      ]);
+      expect(getBit([], 0)).toBe(false);
+      expect(getBit([0, 1], 0)).toBe(true);
+    });
+  });
+
+  describe("setRange", () => {
+    cases(
+      "it sets the bits of a range",
+      ({ bitmap, start, end, expectedSet }) => {
+        expect(setRange(bitmap, start, end)).toEqual(expectedSet);
+      },
+      rangeTestCases
+    );
+
+    it("throws on an invalid range", () => {
+      expect(() => setRange([0, 1], 3, 2)).toThrow(RangeError);
+      expect(() => setRange([0, 1], -1, 2)).toThrow(RangeError);
+    });
+  });
+
+  describe("clearRange", () => {
+    cases(
+      "it clears the bits of a range",
+      ({ bitmap, start, end, expectedClear }) => {
+        expect(clearRange(bitmap, start, end)).toEqual(expectedClear);
+      },
+      rangeTestCases
+    );
+  });
+
+  describe("flipRange", () => {
+    cases(
+      "it flips the bits of a range",
+      ({ bitmap, start, end, expectedFlip }) => {
+        expect(flipRange(bitmap, start, end)).toEqual(expectedFlip);
+      },
+      rangeTestCases
+    );
+  });
+
+  describe("setBit, clearBit, flipBit", () => {
+    it("sets, clears and flips single bits", () => {
+      expect(setBit([0, 2, 1, 2], 2)).toEqual([0, 5]);
+      expect(setBit([0, 2], 4)).toEqual([0, 2, 2, 1]);
+      expect(setBit([0, 2], 1)).toEqual([0, 2]);
+      expect(clearBit([0, 5], 4)).toEqual([0, 4]);
+      expect(clearBit([0, 5], 0)).toEqual([1, 4]);
+      expect(clearBit([0, 5], 7)).toEqual([0, 5]);
+      expect(flipBit([0, 5], 2)).toEqual([0, 2, 1, 2]);
+      expect(flipBit([0, 1], 0)).toEqual([]);
+      expect(flipBit([], 3)).toEqual([3, 1]);
+    });
+
+    it("does not mutate the given bitmap", () => {
+      const bitmap = [0, 2, 1, 2];
+      setBit(bitmap, 2);
+      expect(bitmap).toEqual([0, 2, 1, 2]);
+    });
+  });
+
+  describe("isValidBitmap", () => {
+    it("accepts valid bitmaps", () => {
+      expect(isValidBitmap([])).toBe(true);
+      expect(isValidBitmap([0, 3, 2, 1])).toBe(true);
+      expect(isValidBitmap([0, 3, 2])).toBe(true);
+      expect(isValidBitmap([1001])).toBe(true);
+      expect(isValidBitmap(bitwiseNOT([]))).toBe(true);
+    });
+
+    it("rejects trailing zeros of non-canonical bitmaps", () => {
+      expect(isValidBitmap([0, 3, 2], { canonical: true })).toBe(false);
+      expect(isValidBitmap([1001], { canonical: true })).toBe(false);
+      expect(isValidBitmap([0, 3, 2, 1], { canonical: true })).toBe(true);
+    });
+
+    cases(
+      "it rejects invalid bitmaps",
+      ({ bitmap }) => {
+        expect(isValidBitmap(bitmap)).toBe(false);
+      },
+      invalidBitmapTestCases
+    );
+
+    cases(
+      "it accepts the bitmaps returned by the operators as canonical",
+      ({ expectedOR, expectedAND, expectedXOR }) => {
+        for (const bitmap of [expectedOR, expectedAND, expectedXOR]) {
+          expect(isValidBitmap(bitmap, { canonical: true })).toBe(true);
+        }
+      },
+      testCases
+    );
+  });
+
+  describe("assertValidBitmap", () => {
+    cases(
+      "it throws an InvalidBitmapError telling which run is wrong and why",
+      ({ bitmap, expectedIndex, expectedMessage }) => {
+        let error;
+        try {
+          assertValidBitmap(bitmap);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(InvalidBitmapError);
+        expect(error.name).toBe("InvalidBitmapError");
+        expect(error.index).toBe(expectedIndex);
+        expect(error.message).toMatch(expectedMessage);
+      },
+      invalidBitmapTestCases
+    );
+
+    it("does not throw for a valid bitmap", () => {
+      expect(() => assertValidBitmap([0, 3, 2, 1])).not.toThrow();
+    });
+  });
+
+  describe("normalize", () => {
+    it("merges adjacent runs split by zero-length runs and strips trailing zeros", () => {
+      expect(normalize([2, 0, 3, 1, 0, 2, 4])).toEqual([5, 3]);
+      expect(normalize([0, 0, 2, 2])).toEqual([2, 2]);
+      expect(normalize([0, 3, 2])).toEqual([0, 3]);
+      expect(normalize([1001])).toEqual([]);
+      expect(normalize([0])).toEqual([]);
+      expect(normalize([])).toEqual([]);
+      expect(normalize([0, 3, 2, 1])).toEqual([0, 3, 2, 1]);
+    });
+
+    it("throws an InvalidBitmapError for a run which is not a non-negative integer", () => {
+      expect(() => normalize([1, -2])).toThrow(InvalidBitmapError);
+      expect(() => normalize([1, NaN])).toThrow(/index 1/);
+      expect(() => normalize(null)).toThrow(InvalidBitmapError);
+    });
+  });
+
+  describe("strict mode", () => {
+    afterEach(() => setStrictMode(false));
+
+    it("is disabled by default", () => {
+      expect(isStrictMode()).toBe(false);
+      expect(() => bitwiseOR([1, -2], [0, 1])).not.toThrow();
+    });
+
+    it("validates the input bitmaps of the operators", () => {
+      setStrictMode(true);
+      expect(isStrictMode()).toBe(true);
+      expect(() => bitwiseOR([0, 1], [2, 0, 1])).toThrow(
+        /Invalid run-length encoded bitmap at index 1: the run at index 1 is empty/
+      );
+      expect(() => bitwiseAND([0, NaN])).toThrow(InvalidBitmapError);
+      expect(() => bitwiseXOR([0, 1.5])).toThrow(InvalidBitmapError);
+      expect(() => bitwiseANDNOT([0, 2], [-1])).toThrow(InvalidBitmapError);
+      expect(() => bitwiseNOT([0, -1])).toThrow(InvalidBitmapError);
+      expect(bitwiseOR([0, 1], [2, 1, 3])).toEqual([0, 1, 1, 1]);
+    });
+  });
+
+  describe("run iterators", () => {
+    it("iterates over the runs of a bitmap", () => {
+      expect([...runs([0, 3, 2, 1])]).toEqual([
+        [1, 3],
+        [0, 2],
+        [1, 1],
+      ]);
+      expect([...runs([])]).toEqual([]);
+    });
+
+    cases(
+      "it computes the same bitmaps as the operators",
+      ({ bitmaps, expectedOR, expectedAND, expectedXOR }) => {
+        expect(collect(orIter(...bitmaps))).toEqual(expectedOR);
+        expect(collect(andIter(...bitmaps))).toEqual(expectedAND);
+        expect(collect(xorIter(...bitmaps))).toEqual(expectedXOR);
+        expect(collect(andNotIter(...bitmaps))).toEqual(
+          bitmaps.length ? bitwiseANDNOT(...bitmaps) : []
+        );
+      },
+      testCases
+    );
+
+    cases(
+      "it computes the same bitmap as bitwiseNOT",
+      ({ bitmap, expectedNOT }) => {
+        expect(collect(notIter(bitmap))).toEqual(expectedNOT);
+      },
+      bitwiseNOTTestCases
+    );
+
+    it("yields canonical runs", () => {
+      expect([...orIter([2, 2, 3], [4, 1])]).toEqual([
+        [0, 2],
+        [1, 3],
+      ]);
+    });
+
+    it("composes expression trees without intermediate bitmap arrays", () => {
+      const a = [0, 4, 4, 4]; // 111100001111
+      const b = [2, 4]; // ------ 001111
+      const c = [6, 4]; // ------ 0000001111
+      const d = [10, 2]; // ----- 000000000011
+      expect(collect(andIter(orIter(a, b), notIter(orIter(c, d))))).toEqual(
+        bitwiseAND(bitwiseOR(a, b), bitwiseNOT(bitwiseOR(c, d)))
+      );
+      expect(collect(xorIter(andNotIter(a, b), orIter(c, d)))).toEqual(
+        bitwiseXOR(bitwiseANDNOT(a, b), bitwiseOR(c, d))
+      );
+    });
+
+    it("stops early with take and limit", () => {
+      // NOT of an empty bitmap spans `MAX_SAFE_INT` bits, it could never be collected without stopping early.
+      expect(collect(take(notIter([]), 5))).toEqual([0, 5]);
+      expect(collect(take(orIter(notIter([2, 2]), [0, 1]), 6))).toEqual([
+        0, 2, 2, 2,
+      ]);
+      expect(collect(limit(xorIter(notIter([]), [0, 1, 1, 1]), 3))).toEqual([
+        1, 1, 1, 2,
+      ]);
+      expect(collect(limit([0, 3, 2, 4], 5))).toEqual([0, 3, 2, 2]);
+      expect(collect(take([0, 3], 0))).toEqual([]);
+    });
+
+    it("bounds the bitwise NOT to a universe", () => {
+      expect(collect(notIter([2, 2], 6))).toEqual([0, 2, 2, 2]);
+      expect(collect(notIter([0, 8], 6))).toEqual([]);
+      expect(collect(notIter(notIter([1, 2], 5), 5))).toEqual([1, 2]);
+    });
+
+    it("accepts typed arrays as bitmaps", () => {
+      expect(collect(orIter(new Float64Array([1, 2])))).toEqual([1, 2]);
+      expect(collect(andIter(new Uint32Array([0, 3]), [1, 4]))).toEqual([1, 2]);
+      expect([...runs(new Uint32Array([0, 2, 0, 1]))]).toEqual([
+        [1, 2],
+        [1, 1],
+      ]);
+    });
+
+    it("throws on iterables which do not yield runs", () => {
+      expect(() => collect(orIter(new Set([1, 2])))).toThrow(
+        "Invalid run 1, expected a [value, length] pair with a value of 0 or 1 and a positive integer length."
+      );
+      expect(() =>
+        collect(
+          andIter(
+            (function* () {
+              yield [0, 2];
+              yield [1, NaN];
+            })(),
+            [0, 5]
+          )
+        )
+      ).toThrow("Invalid run [1, NaN]");
+      expect(() => collect(xorIter(new Map([[2, 1]])))).toThrow(TypeError);
+      expect(() => collect(orIter([0, 1], 42))).toThrow(
+        "Expected a run-length encoded bitmap array or an iterable of runs, got number."
+      );
+      expect(() => collect(new Set([[1, 0]]))).toThrow(TypeError);
+    });
+  });
+
+  describe("parseExpression", () => {
+    it("parses an expression into an AST", () => {
+      expect(parseExpression("a AND NOT b OR c OR (d)")).toEqual({
+        type: "or",
+        operands: [
+          {
+            type: "and",
+            operands: [
+              { type: "identifier", name: "a", position: 0 },
+              {
+                type: "not",
+                operand: { type: "identifier", name: "b", position: 10 },
+              },
+            ],
+          },
+          { type: "identifier", name: "c", position: 15 },
+          { type: "identifier", name: "d", position: 21 },
+        ],
+      });
+    });
+
+    it("parses quoted identifiers", () => {
+      expect(parseExpression('"color red" & "say \\"hi\\""')).toEqual({
+        type: "and",
+        operands: [
+          { type: "identifier", name: "color red", position: 0 },
+          { type: "identifier", name: 'say "hi"', position: 14 },
+        ],
+      });
+    });
+
+    cases(
+      "it reports the location of syntax errors",
+      ({ expression, expectedMessage, expectedLocation }) => {
+        let error;
+        try {
+          parseExpression(expression);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(ExpressionSyntaxError);
+        expect(error.message).toBe(expectedMessage);
+        expect({
+          position: error.position,
+          line: error.line,
+          column: error.column,
+        }).toEqual(expectedLocation);
+      },
+      [
+        {
+          name: "Missing operand.",
+          expression: "a AND",
+          expectedMessage:
+            'Unexpected end of expression at line 1, column 6, expected an identifier, "NOT" or "(".',
+          expectedLocation: { position: 5, line: 1, column: 6 },
+        },
+        {
+          name: "Missing closing parenthesis.",
+          expression: "(a OR b",
+          expectedMessage:
+            'Unexpected end of expression at line 1, column 8, expected ")".',
+          expectedLocation: { position: 7, line: 1, column: 8 },
+        },
+        {
+          name: "Missing operator.",
+          expression: "a\n  b",
+          expectedMessage:
+            'Unexpected "b" at line 2, column 3, expected an operator or the end of the expression.',
+          expectedLocation: { position: 4, line: 2, column: 3 },
+        },
+        {
+          name: "Unexpected character.",
+          expression: "a AND #b",
+          expectedMessage: 'Unexpected character "#" at line 1, column 7.',
+          expectedLocation: { position: 6, line: 1, column: 7 },
+        },
+        {
+          name: "Unterminated quoted identifier.",
+          expression: 'a OR "b',
+          expectedMessage:
+            "Unterminated quoted identifier at line 1, column 6.",
+          expectedLocation: { position: 5, line: 1, column: 6 },
+        },
+      ]
+    );
+  });
+
+  describe("evaluate", () => {
+    cases(
+      "it evaluates an expression over named bitmaps",
+      ({ expression, expectedBitString }) => {
+        expect(evaluate(expression, bitmapsByName)).toEqual(
+          fromBitString(expectedBitString)
+        );
+      },
+      expressionTestCases
+    );
+
+    it("evaluates an AST and accepts a Map of bitmaps", () => {
+      const bitmaps = new Map(Object.entries(bitmapsByName));
+      expect(
+        evaluate(
+          {
+            type: "xor",
+            operands: [
+              { type: "identifier", name: "color_red" },
+              { type: "identifier", name: "on_sale" },
+            ],
+          },
+          bitmaps
+        )
+      ).toEqual(fromBitString("0110101001"));
+    });
+
+    it("evaluates NOT within a universe", () => {
+      expect(evaluate("NOT color_red", bitmapsByName)).toEqual(
+        bitwiseNOT(bitmapsByName.color_red)
+      );
+      expect(
+        evaluate("NOT color_red", bitmapsByName, { universeSize: 10 })
+      ).toEqual(fromBitString("0011111100"));
+    });
+
+    it("does not return a given bitmap", () => {
+      const result = evaluate("color_red", bitmapsByName);
+      expect(result).toEqual(bitmapsByName.color_red);
+      expect(result).not.toBe(bitmapsByName.color_red);
+    });
+
+    it("reports unknown identifiers", () => {
+      let error;
+      try {
+        evaluate("color_red OR color_purple", bitmapsByName);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(UnknownIdentifierError);
+      expect(error.message).toBe(
+        'Unknown identifier "color_purple" at position 13: there is no bitmap with this name.'
+      );
+      expect(error.identifier).toBe("color_purple");
+      expect(error.position).toBe(13);
+      expect(() => evaluate("toString", bitmapsByName)).toThrow(
+        UnknownIdentifierError
+      );
+    });
+
+    it("rejects invalid AST nodes", () => {
+      expect(() => evaluate({ type: "nand", operands: [] }, {})).toThrow(
+        TypeError
+      );
+    });
+  });
+
+  describe("optimizeExpression", () => {
+    cases(
+      "it evaluates an optimized expression like the original one",
+      ({ expression }) => {
+        [undefined, 8, 10, 12].forEach(universeSize => {
+          expect(evaluate(expression, bitmapsByName, { universeSize })).toEqual(
+            evaluate(expression, bitmapsByName, {
+              universeSize,
+              optimize: false,
+            })
+          );
+        });
+      },
+      expressionTestCases
+    );
+
+    it("flattens nested operations and turns AND NOT into ANDNOT", () => {
+      const plan = optimizeExpression(
+        "on_sale AND (color_red AND NOT (discontinued OR (color_blue OR color_green)))",
+        bitmapsByName
+      );
+      expect(plan.type).toBe("andNot");
+      expect(plan.operands.map(({ type }) => type)).toEqual(["and", "or"]);
+      const [and, or] = plan.operands;
+      expect(and.operands.map(({ name }) => name)).toEqual([
+        "color_red",
+        "on_sale",
+      ]);
+      expect(or.operands.map(({ name }) => name)).toEqual([
+        "discontinued",
+        "color_blue",
+        "color_green",
+      ]);
+    });
+
+    it("orders AND inputs by cardinality and run count", () => {
+      const plan = optimizeExpression(
+        "on_sale AND color_red AND discontinued AND color_blue",
+        bitmapsByName
+      );
+      expect(plan.operands.map(({ name }) => name)).toEqual([
+        "color_blue",
+        "discontinued",
+        "color_red",
+        "on_sale",
+      ]);
+    });
+
+    it("short-circuits AND when an input is empty", () => {
+      expect(
+        optimizeExpression(
+          "(color_red OR on_sale) AND archived AND NOT discontinued",
+          bitmapsByName
+        )
+      ).toMatchObject({ type: "empty", estimatedCardinality: 0 });
+      expect(
+        optimizeExpression("color_red AND NOT color_red", bitmapsByName, {
+          universeSize: 10,
+        }).type
+      ).toBe("andNot");
+      expect(
+        optimizeExpression("color_red AND NOT NOT archived", bitmapsByName).type
+      ).toBe("empty");
+      expect(
+        optimizeExpression("archived OR color_red", bitmapsByName)
+      ).toMatchObject({ type: "identifier", name: "color_red" });
+    });
+
+    it("rewrites an AND of negations as a negated OR", () => {
+      const plan = optimizeExpression(
+        "NOT color_red AND NOT discontinued",
+        bitmapsByName,
+        { universeSize: 10 }
+      );
+      expect(plan.type).toBe("not");
+      expect(plan.operand.type).toBe("or");
+      expect(
+        evaluate("NOT color_red AND NOT discontinued", bitmapsByName, {
+          universeSize: 10,
+        })
+      ).toEqual(fromBitString("0011011100"));
+    });
+
+    it("gives the same key to equivalent subexpressions", () => {
+      const plan = optimizeExpression(
+        "(color_red OR on_sale) AND color_blue OR (on_sale OR color_red) AND color_green",
+        bitmapsByName
+      );
+      const [first, second] = plan.operands;
+      expect(first.operands[1].key).toBe(second.operands[1].key);
+      expect(first.key).not.toBe(second.key);
+    });
+
+    it("explains the chosen plan", () => {
+      expect(
+        explain("(red OR blue) AND NOT discontinued AND in_stock", {
+          red: [0, 2],
+          blue: [4, 2],
+          discontinued: [1, 4],
+          in_stock: [0, 1, 4, 1],
+        })
+      ).toBe(
+        [
+          "ANDNOT (cardinality <= 2, runs <= 2)",
+          "  AND (cardinality <= 2, runs <= 2)",
+          "    in_stock (cardinality 2, runs 2)",
+          "    OR (cardinality <= 4, runs <= 2)",
+          "      red (cardinality 2, runs 1)",
+          "      blue (cardinality 2, runs 1)",
+          "  discontinued (cardinality 4, runs 1)",
+        ].join("\n")
+      );
+      expect(
+        explain(
+          '(color_red OR on_sale) AND NOT discontinued OR (on_sale OR color_red) AND "color_blue"',
+          bitmapsByName,
+          { universeSize: 10 }
+        )
+      ).toBe(
+        [
+          "OR (cardinality <= 10, runs <= 10)",
+          "  ANDNOT (cardinality <= 9, runs <= 9)",
+          "    OR #1 (cardinality <= 9, runs <= 7)",
+          "      color_red (cardinality 4, runs 2)",
+          "      on_sale (cardinality 5, runs 5)",
+          "    discontinued (cardinality 3, runs 3)",
+          "  AND (cardinality <= 2, runs <= 2)",
+          "    color_blue (cardinality 2, runs 1)",
+          "    OR #1 reused",
+        ].join("\n")
+      );
+      expect(explain("NOT NOT archived", bitmapsByName)).toBe(
+        "archived (cardinality 0, runs 0)"
+      );
+    });
+  });
+
+  describe("serialize", () => {
+    cases(
+      "it round-trips with deserialize",
+      ({ bitmap }) => {
+        const bytes = serialize(bitmap);
+        expect(bytes).toBeInstanceOf(Uint8Array);
+        expect(bytes.length).toBeLessThanOrEqual(
+          JSON.stringify(bitmap).length + 2
+        );
+        expect(deserialize(bytes)).toEqual(bitmap);
+      },
+      fixtureBitmapTestCases
+    );
+
+    cases(
+      "it round-trips with fromBase64",
+      ({ bitmap }) => {
+        const bytes = serialize(bitmap);
+        const base64 = toBase64(bitmap);
+        expect(base64).toBe(Buffer.from(bytes).toString("base64"));
+        expect(fromBase64(base64)).toEqual(bitmap);
+        const base64Url = toBase64Url(bitmap);
+        expect(base64Url).toBe(Buffer.from(bytes).toString("base64url"));
+        expect(fromBase64(base64Url)).toEqual(bitmap);
+        expect(deserialize(bytes.buffer)).toEqual(bitmap);
+      },
+      // The base64 encoding does not depend on the size of the bitmap, the fixtures with a million runs are skipped for speed.
+      fixtureBitmapTestCases.filter(({ bitmap }) => bitmap.length <= 10_000)
+    );
+
+    it("writes a version byte, a header and varint runs", () => {
+      expect([...serialize([])]).toEqual([1, 0, 0]);
+      expect([...serialize([0, 3, 200, 1])]).toEqual([
+        1, 4, 204, 1, 0, 3, 200, 1, 1,
+      ]);
+      expect([...serialize([0, 128, 16_384])]).toEqual([
+        1, 3, 128, 129, 1, 0, 128, 1, 128, 128, 1,
+      ]);
+    });
+
+    it("handles runs of up to MAX_SAFE_INT bits exactly", () => {
+      [
+        [MAX_SAFE_INT],
+        [0, MAX_SAFE_INT],
+        [2 ** 32, 2 ** 32 + 1, 2 ** 52 - 1],
+        [MAX_SAFE_INT - 1, 1],
+      ].forEach(bitmap => {
+        const bytes = serialize(bitmap);
+        expect(deserialize(bytes)).toEqual(bitmap);
+        expect(fromBase64(toBase64Url(bitmap))).toEqual(bitmap);
+      });
+      expect([...serialize([MAX_SAFE_INT])]).toEqual([
+        1, 1, 255, 255, 255, 255, 255, 255, 255, 15, 255, 255, 255, 255, 255,
+        255, 255, 15,
+      ]);
+    });
+
+    it("rejects invalid bitmaps", () => {
+      expect(() => serialize([1, -1])).toThrow(InvalidBitmapError);
+      expect(() => serialize([MAX_SAFE_INT, 1])).toThrow(InvalidBitmapError);
+      expect(() => serialize("0110")).toThrow(InvalidBitmapError);
+    });
+
+    cases(
+      "deserialize rejects invalid bytes",
+      ({ bytes, expectedOffset, expectedMessage }) => {
+        let error;
+        try {
+          deserialize(new Uint8Array(bytes));
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(DeserializationError);
+        expect(error.message).toMatch(expectedMessage);
+        expect(error.offset).toBe(expectedOffset);
+      },
+      [
+        {
+          name: "No bytes.",
+          bytes: [],
+          expectedOffset: 0,
+          expectedMessage: /end of data while reading the version/,
+        },
+        {
+          name: "Unsupported version.",
+          bytes: [2, 0, 0],
+          expectedOffset: 0,
+          expectedMessage: /Unsupported serialization format version 2/,
+        },
+        {
+          name: "Truncated header.",
+          bytes: [1, 2],
+          expectedOffset: 2,
+          expectedMessage: /end of data while reading the total number of bits/,
+        },
+        {
+          name: "Truncated runs.",
+          bytes: [1, 2, 3, 3],
+          expectedOffset: 3,
+          expectedMessage: /declares 2 runs but only 1 bytes follow it/,
+        },
+        {
+          name: "Truncated varint.",
+          bytes: [1, 2, 3, 128, 128],
+          expectedOffset: 3,
+          expectedMessage: /end of data while reading the run at index 0/,
+        },
+        {
+          name: "Varint exceeding MAX_SAFE_INT.",
+          bytes: [1, 1, 0, 255, 255, 255, 255, 255, 255, 255, 16],
+          expectedOffset: 3,
+          expectedMessage: /run at index 0 at byte 3 exceeds MAX_SAFE_INT/,
+        },
+        {
+          name: "Overlong varint.",
+          bytes: [1, 1, 0, 128, 128, 128, 128, 128, 128, 128, 128, 0],
+          expectedOffset: 3,
+          expectedMessage: /run at index 0 at byte 3 exceeds MAX_SAFE_INT/,
+        },
+        {
+          name: "More bits than declared.",
+          bytes: [1, 2, 3, 1, 3],
+          expectedOffset: 4,
+          expectedMessage:
+            /run at index 1 at byte 4 makes the total number of bits exceed/,
+        },
+        {
+          name: "Fewer bits than declared.",
+          bytes: [1, 2, 5, 1, 3],
+          expectedOffset: 5,
+          expectedMessage:
+            /The runs have 4 bits in total, but the header declares 5/,
+        },
+        {
+          name: "Trailing bytes.",
+          bytes: [1, 2, 4, 1, 3, 0],
+          expectedOffset: 5,
+          expectedMessage: /Unexpected 1 trailing bytes at byte 5/,
+        },
+        {
+          name: "Invalid bitmap.",
+          bytes: [1, 3, 4, 1, 0, 3],
+          expectedOffset: undefined,
+          expectedMessage: /not valid: the run at index 1 is empty/,
+        },
+      ]
+    );
+
+    it("rejects invalid base64 strings", () => {
+      expect(() => fromBase64("AQ*A")).toThrow(
+        new DeserializationError(
+          'Invalid base64 string: unexpected character "*" at index 2.'
+        )
+      );
+      expect(() => fromBase64("AQAAA")).toThrow(DeserializationError);
+      expect(() => fromBase64("AQA==")).toThrow(DeserializationError);
+      expect(() => fromBase64("AQEA")).toThrow(
+        /declares 1 runs but only 0 bytes follow it/
+      );
+      expect(() => fromBase64(null)).toThrow(TypeError);
+      expect(() => deserialize([1, 0, 0])).toThrow(TypeError);
+      expect(fromBase64("AQAA")).toEqual([]);
+      expect(fromBase64("AQIDAQI")).toEqual([1, 2]);
+      expect(fromBase64("AQIDAQI=")).toEqual([1, 2]);
+    });
+  });
+
+  describe("dense bitsets", () => {
+    const denseBitsetOptions = [
+      { wordSize: 32, bitOrder: "lsb" },
+      { wordSize: 32, bitOrder: "msb" },
+      { wordSize: 8, bitOrder: "lsb" },
+      { wordSize: 8, bitOrder: "msb" },
+    ];
+
+    cases(
+      "it round-trips with fromDenseBitset",
+      ({ bitmap }) => {
+        const length = bitmap.reduce(
+          (numberOfBits, bits) => numberOfBits + bits,
+          0
+        );
+        denseBitsetOptions.forEach(({ wordSize, bitOrder }) => {
+          const words = toDenseBitset(bitmap, length, { wordSize, bitOrder });
+          expect(words).toBeInstanceOf(
+            wordSize === 32 ? Uint32Array : Uint8Array
+          );
+          expect(words.length).toBe(Math.ceil(length / wordSize));
+          expect(fromDenseBitset(words, length, { bitOrder })).toEqual(bitmap);
+          expect(fromDenseBitset(words, undefined, { bitOrder })).toEqual(
+            bitmap
+          );
+        });
+      },
+      roundTripTestCases
+    );
+
+    it("lays out the bits according to the word size and the bit order", () => {
+      const bitmap = fromBitString("010111001000");
+      expect([...toDenseBitset(bitmap, 12, { wordSize: 8 })]).toEqual([
+        0b00111010, 0b00000001,
+      ]);
+      expect([
+        ...toDenseBitset(bitmap, 12, { wordSize: 8, bitOrder: "msb" }),
+      ]).toEqual([0b01011100, 0b10000000]);
+      expect([...toDenseBitset(fromBitString("1".repeat(40) + "01"))]).toEqual([
+        0xffffffff, 0b1011111111,
+      ]);
+      expect([
+        ...toDenseBitset(fromBitString("1".repeat(40) + "01"), 42, {
+          bitOrder: "msb",
+        }),
+      ]).toEqual([0xffffffff, 0xff400000]);
+      expect(
+        fromDenseBitset(new Uint32Array([0x80000001, 0xffffffff]), 64, {
+          bitOrder: "msb",
+        })
+      ).toEqual([0, 1, 30, 33]);
+      expect(fromDenseBitset(new Uint32Array([0x80000001]))).toEqual([
+        0, 1, 30, 1,
+      ]);
+    });
+
+    it("pads and truncates to the given length", () => {
+      expect([...toDenseBitset([2, 3], 3, { wordSize: 8 })]).toEqual([0b100]);
+      expect([...toDenseBitset([2, 3], 20, { wordSize: 8 })]).toEqual([
+        0b11100, 0, 0,
+      ]);
+      expect([...toDenseBitset([], 0)]).toEqual([]);
+      expect(fromDenseBitset(new Uint8Array([0xff, 0xff]), 3)).toEqual([0, 3]);
+      expect(fromDenseBitset(new Uint8Array([0xf0]), 4)).toEqual([]);
+    });
+
+    it("returns words which can be given to the operators wrapped in a DenseBitset", () => {
+      const a = [0, 3, 2, 1];
+      const b = [10, 1];
+      const words = toDenseBitset(a);
+      expect(words).toBeInstanceOf(Uint32Array);
+      expect(bitwiseOR(new DenseBitset(words, 6), b)).toEqual([
+        0, 3, 2, 1, 4, 1,
+      ]);
+      expect(fromDenseBitset(new DenseBitset(words, 6))).toEqual(a);
+      // A bare `Uint32Array` is read as runs (here, 39 zeros).
+      expect(bitwiseOR(words, b)).toEqual(b);
+    });
+
+    it("rejects invalid words, lengths and options", () => {
+      expect(() => fromDenseBitset([1, 2], 2)).toThrow(TypeError);
+      expect(() => fromDenseBitset(new Uint16Array(1))).toThrow(TypeError);
+      expect(() => fromDenseBitset(new Uint8Array(1), 9)).toThrow(
+        new RangeError(
+          "Invalid dense bitset length 9, expected an integer between 0 and the number of bits of the words (8)."
+        )
+      );
+      expect(() =>
+        fromDenseBitset(new Uint8Array(1), 8, { bitOrder: "big" })
+      ).toThrow(
+        new RangeError('Invalid bit order "big", expected one of "lsb", "msb".')
+      );
+      expect(() => toDenseBitset([1, 2], -1)).toThrow(RangeError);
+      expect(() => toDenseBitset([1, 2], 3, { wordSize: 16 })).toThrow(
+        new RangeError("Invalid word size 16, expected 32 or 8.")
+      );
+    });
+
+    cases(
+      "the functions not supporting dense bitsets reject them",
+      ({ func }) => {
+        const denseBitset = new DenseBitset(new Uint8Array([0b111]), 8);
+        let error;
+        try {
+          func(denseBitset);
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(InvalidBitmapError);
+        expect(error.message).toMatch(
+          /^Invalid run-length encoded bitmap( at index \d)?: it is a DenseBitset, which is only supported by bitwiseOR, bitwiseAND, bitwiseThreshold and bitwiseCount/
+        );
+      },
+      [
+        { name: "bitwiseXOR", func: d => bitwiseXOR(d, [5, 1]) },
+        { name: "bitwiseANDNOT", func: d => bitwiseANDNOT(d, [1, 1]) },
+        {
+          name: "bitwiseANDNOT (subtrahend)",
+          func: d => bitwiseANDNOT([0, 3], d),
+        },
+        { name: "bitwiseNOT", func: d => bitwiseNOT(d) },
+        { name: "bitwiseNOT (universe)", func: d => bitwiseNOT(d, 8) },
+        {
+          name: "withUniverse XOR",
+          func: d => withUniverse(8).bitwiseXOR(d, [1]),
+        },
+        {
+          name: "withRunBuffer XOR",
+          func: d => withRunBuffer(new RunBuffer()).bitwiseXOR(d, [0, 1]),
+        },
+        { name: "equals", func: d => equals(d, [0, 3]) },
+        { name: "intersects", func: d => intersects(d, [0, 3]) },
+        { name: "isDisjoint", func: d => isDisjoint(d, [0, 3]) },
+        { name: "isSubset", func: d => isSubset([0, 3], d) },
+        { name: "andCardinality", func: d => andCardinality(d, [0, 3]) },
+        { name: "orCardinality", func: d => orCardinality(d, [0, 3]) },
+        { name: "xorCardinality", func: d => xorCardinality(d, [0, 3]) },
+        { name: "jaccard", func: d => jaccard(d, [0, 3]) },
+        { name: "cardinality", func: d => cardinality(d) },
+        { name: "rank", func: d => rank(d, 2) },
+        { name: "select", func: d => select(d, 0) },
+        { name: "getBit", func: d => getBit(d, 0) },
+        { name: "setBit", func: d => setBit(d, 4) },
+        { name: "positions", func: d => [...positions(d)] },
+        { name: "toIntervals", func: d => toIntervals(d) },
+        { name: "toBooleans", func: d => toBooleans(d) },
+        { name: "toBitString", func: d => toBitString(d) },
+        { name: "toDenseBitset", func: d => toDenseBitset(d) },
+        { name: "serialize", func: d => serialize(d) },
+        { name: "slice", func: d => slice(d, 1, 3) },
+        { name: "shiftRight", func: d => shiftRight(d, 1) },
+        { name: "concat", func: d => concat([0, 1], 8, d) },
+        { name: "reorderRows", func: d => reorderRows([[0, 1], d]) },
+      ]
+    );
+
+    cases(
+      "bitwiseOR and bitwiseAND accept a mix of dense and run-length inputs",
+      ({ bitmaps, expectedOR, expectedAND }) => {
+        const mixedBitmaps = bitmaps.map((bitmap, i) => {
+          if (i % 2 === 0) {
+            return bitmap;
+          }
+          const { wordSize, bitOrder } =
+            denseBitsetOptions[i % denseBitsetOptions.length];
+          const length = bitmap.reduce(
+            (numberOfBits, bits) => numberOfBits + bits,
+            0
+          );
+          return new DenseBitset(
+            toDenseBitset(bitmap, length, { wordSize, bitOrder }),
+            length,
+            { bitOrder }
+          );
+        });
+        expect(bitwiseOR(...mixedBitmaps)).toEqual(expectedOR);
+        expect(bitwiseAND(...mixedBitmaps)).toEqual(expectedAND);
+        expect(withUniverse(MAX_SAFE_INT).bitwiseOR(...mixedBitmaps)).toEqual(
+          expectedOR
+        );
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(
+          bitmap =>
+            bitmap.reduce((numberOfBits, bits) => numberOfBits + bits, 0) <=
+            1_000_000
+        )
+      )
+    );
+  });
+
+  describe("word-aligned codecs", () => {
+    const codecs = [
+      { format: "WAH", encode: toWAH, decode: fromWAH },
+      { format: "EWAH", encode: toEWAH, decode: fromEWAH },
+      { format: "Concise", encode: toConcise, decode: fromConcise },
+    ];
+
+    cases(
+      "it encodes and decodes hand-built buffers",
+      testCase => {
+        const { bitmap } = testCase;
+        codecs.forEach(({ format, encode, decode }) => {
+          [32, 64].forEach(wordSize => {
+            const words = testCase[`${format.toLowerCase()}${wordSize}`];
+            expect(encode(bitmap, { wordSize })).toEqual(words);
+            expect(decode(words)).toEqual(bitmap);
+          });
+        });
+      },
+      wordAlignedTestCases
+    );
+
+    cases(
+      "it round-trips",
+      ({ bitmap }) => {
+        const canonicalBitmap = normalize(bitmap);
+        codecs.forEach(({ encode, decode }) => {
+          [32, 64].forEach(wordSize => {
+            expect(decode(encode(bitmap, { wordSize }))).toEqual(
+              canonicalBitmap
+            );
+          });
+        });
+      },
+      // Encoding a bitmap spanning up to MAX_SAFE_INT bits takes billions of EWAH 32-bit marker words,
+      // hence the bitmaps spanning too many bits are skipped (as well as the ones with a million runs, for speed).
+      fixtureBitmapTestCases.filter(
+        ({ bitmap }) =>
+          bitmap.length <= 10_000 &&
+          bitmap.reduce((numberOfBits, bits) => numberOfBits + bits, 0) <=
+            10_000_000_000
+      )
+    );
+
+    it("encodes bitmaps spanning up to MAX_SAFE_INT bits", () => {
+      const bitmap = bitwiseNOT([1, 1]);
+      expect(fromWAH(toWAH(bitmap))).toEqual(bitmap);
+      [fromWAH, fromEWAH, fromConcise].forEach((decode, i) => {
+        const encode = [toWAH, toEWAH, toConcise][i];
+        expect(decode(encode(bitmap, { wordSize: 64 }))).toEqual(bitmap);
+      });
+      expect(toWAH(bitmap, { wordSize: 64 })).toEqual(
+        words64(["0x7ffffffffffffffd", "0xc00082082082081f", "0x7fffffff"])
+      );
+    });
+
+    it("decodes literals regardless of their bits and trailing zeros", () => {
+      expect(fromWAH(new Uint32Array([0x7fffffff, 0x00000000]))).toEqual([
+        0, 31,
+      ]);
+      expect(
+        fromEWAH(new Uint32Array([0x00040000, 0x00000000, 0xffffffff]))
+      ).toEqual([32, 32]);
+      expect(fromEWAH(new Uint32Array([0x00000006]))).toEqual([]);
+      expect(fromConcise(new Uint32Array([0x80000000, 0x00000005]))).toEqual(
+        []
+      );
+      expect(fromConcise(new Uint32Array([0x42000000]))).toEqual([1, 30]);
+    });
+
+    it("lets the operators query decoded bitmaps", () => {
+      const { wah32, ewah64, concise32 } = wordAlignedTestCases[4];
+      expect(
+        bitwiseAND(fromWAH(wah32), fromEWAH(ewah64), fromConcise(concise32))
+      ).toEqual([5, 1, 87, 40, 100, 1]);
+      expect(
+        toEWAH(bitwiseOR(fromWAH(toWAH([0, 3])), fromEWAH(toEWAH([4, 1]))))
+      ).toEqual(new Uint32Array([0x00020000, 0x00000017]));
+    });
+
+    it("rejects invalid buffers, bitmaps and word sizes", () => {
+      [fromWAH, fromEWAH, fromConcise].forEach(decode => {
+        expect(() => decode([1, 2])).toThrow(TypeError);
+        expect(() => decode(new Uint8Array(4))).toThrow(TypeError);
+      });
+      [toWAH, toEWAH, toConcise].forEach(encode => {
+        expect(() => encode([1, -2])).toThrow(InvalidBitmapError);
+        expect(() => encode([1, 2], { wordSize: 16 })).toThrow(
+          new RangeError("Invalid word size 16, expected 32 or 64.")
+        );
+      });
+      expect(() => fromEWAH(new Uint32Array([0x00060000, 0x1]))).toThrow(
+        new DeserializationError(
+          "Invalid EWAH bitmap: the marker word at index 0 declares 3 literal words but only 1 words follow it."
+        )
+      );
+      let error;
+      try {
+        fromWAH(words64(["0x1", "0xffffffffffffffff"]));
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(DeserializationError);
+      expect(error.message).toBe(
+        `Invalid WAH bitmap: the word at index 1 makes the total number of bits exceed MAX_SAFE_INT (${MAX_SAFE_INT}).`
+      );
+      expect(error.offset).toBe(1);
+      // Zeros beyond MAX_SAFE_INT are trailing zeros.
+      expect(fromWAH(words64(["0x1", "0xbfffffffffffffff"]))).toEqual([0, 1]);
+    });
+  });
+
+  describe("Roaring portable format", () => {
+    cases(
+      "it reads and writes hand-built buffers",
+      ({ bitmap, bytes }) => {
+        expect([...toRoaringPortable(bitmap)]).toEqual(bytes);
+        expect(fromRoaringPortable(new Uint8Array(bytes))).toEqual(bitmap);
+        expect(fromRoaringPortable(Buffer.from(bytes))).toEqual(bitmap);
+        expect(fromRoaringPortable(new Uint8Array(bytes).buffer)).toEqual(
+          bitmap
+        );
+      },
+      roaringTestCases
+    );
+
+    cases(
+      "it round-trips",
+      ({ bitmap }) => {
+        expect(fromRoaringPortable(toRoaringPortable(bitmap))).toEqual(
+          normalize(bitmap)
+        );
+      },
+      // Roaring bitmaps hold 32-bit positions, and the bitmaps with a million runs are skipped for speed.
+      fixtureBitmapTestCases.filter(
+        ({ bitmap }) =>
+          bitmap.length <= 10_000 &&
+          bitmap.reduce((numberOfBits, bits) => numberOfBits + bits, 0) <=
+            2 ** 32
+      )
+    );
+
+    it("reads and writes bitmap containers", () => {
+      const bitmap = fromPositions(
+        Array.from({ length: 5000 }, (_, i) => 2 * i)
+      );
+      const bytes = toRoaringPortable(bitmap);
+      const expectedBytes = new Uint8Array(16 + 8192);
+      expectedBytes.set([0x3a, 0x30, 0, 0, 1, 0, 0, 0, 0, 0, 0x87, 0x13, 16]);
+      expectedBytes.fill(0x55, 16, 16 + 1250);
+      expect(bytes).toEqual(expectedBytes);
+      expect(fromRoaringPortable(bytes)).toEqual(bitmap);
+    });
+
+    it("lets results of the operators be exchanged", () => {
+      const a = fromRoaringPortable(new Uint8Array(roaringTestCases[1].bytes));
+      const b = fromRoaringPortable(new Uint8Array(roaringTestCases[2].bytes));
+      expect(fromRoaringPortable(toRoaringPortable(bitwiseAND(a, b)))).toEqual([
+        1, 3,
+      ]);
+      expect(toRoaringPortable(bitwiseOR(a, b))).toEqual(
+        toRoaringPortable([0, 100, 65_441, 1])
+      );
+    });
+
+    it("rejects positions beyond 2^32 - 1", () => {
+      expect(toRoaringPortable([2 ** 32 - 1, 1]).length).toBe(18);
+      expect(() => toRoaringPortable([2 ** 32, 1])).toThrow(
+        new RangeError(
+          "The bitmap has a one at position 4294967296, but a Roaring bitmap only holds positions up to 2^32 - 1."
+        )
+      );
+    });
+
+    cases(
+      "it rejects invalid buffers",
+      ({ bytes, expectedMessage, expectedOffset }) => {
+        let error;
+        try {
+          fromRoaringPortable(new Uint8Array(bytes));
+        } catch (e) {
+          error = e;
+        }
+        expect(error).toBeInstanceOf(DeserializationError);
+        expect(error.message).toMatch(expectedMessage);
+        expect(error.offset).toBe(expectedOffset);
+      },
+      [
+        {
+          name: "Truncated cookie.",
+          bytes: [0x3a, 0x30],
+          expectedMessage: /end of data while reading the cookie at byte 0/,
+          expectedOffset: 0,
+        },
+        {
+          name: "Unknown cookie.",
+          bytes: [0x3c, 0x30, 0, 0, 0, 0, 0, 0],
+          expectedMessage: /Unknown Roaring cookie 12348/,
+          expectedOffset: 0,
+        },
+        {
+          name: "Truncated header.",
+          bytes: [0x3a, 0x30, 0, 0, 2, 0, 0, 0, 0, 0, 2, 0],
+          expectedMessage: /reading the descriptive header at byte 8/,
+          expectedOffset: 8,
+        },
+        {
+          name: "Truncated container.",
+          bytes: [0x3b, 0x30, 0, 0, 0b1, 0, 0, 99, 0, 1, 0, 0, 0],
+          expectedMessage: /reading the run of a run container at byte 13/,
+          expectedOffset: 13,
+        },
+        {
+          name: "Unsorted containers.",
+          bytes: [
+            0x3a, 0x30, 0, 0, 2, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 24, 0, 0, 0,
+            26, 0, 0, 0, 1, 0, 1, 0,
+          ],
+          expectedMessage: /positions at byte 26 are not sorted/,
+          expectedOffset: 26,
+        },
+        {
+          name: "Run overflowing its container.",
+          bytes: [0x3b, 0x30, 0, 0, 0b1, 0, 0, 1, 0, 1, 0, 255, 255, 1, 0],
+          expectedMessage: /run at byte 11 overflows its container/,
+          expectedOffset: 11,
+        },
+        {
+          name: "Trailing bytes.",
+          bytes: [0x3a, 0x30, 0, 0, 0, 0, 0, 0, 0],
+          expectedMessage: /Unexpected 1 trailing bytes at byte 8/,
+          expectedOffset: 8,
+        },
+      ]
+    );
+  });
+
+  describe("BitmapIndex", () => {
+    const records = [
+      { color: "red", size: "S", price: 10 },
+      { color: "blue", size: "M", price: 20 },
+      { color: "red", size: "L" },
+      { color: "green", size: "M", price: null },
+      { color: "red", size: "M", price: 10 },
+      { color: "blue", price: 30 },
+    ];
+    const index = new BitmapIndex(records, ["color", "size", "price"]);
+
+    it("indexes the records", () => {
+      expect(index.numberOfRows).toBe(6);
+      expect(index.columns).toEqual(["color", "size", "price"]);
+      expect(index.values("color")).toEqual(["red", "blue", "green"]);
+      expect(index.values("price")).toEqual([10, 20, 30]);
+      expect(index.all()).toEqual([0, 6]);
+    });
+
+    it("accepts any iterable of records", () => {
+      const iterableIndex = new BitmapIndex(new Set(records), ["color"]);
+      expect(iterableIndex.eq("color", "red")).toEqual([0, 1, 1, 1, 1, 1]);
+      expect(new BitmapIndex([], ["color"]).all()).toEqual([]);
+    });
+
+    it("adds records", () => {
+      const growingIndex = new BitmapIndex(records, ["color"]);
+      expect(growingIndex.add({ color: "green" })).toBe(6);
+      expect(growingIndex.eq("color", "green")).toEqual([3, 1, 2, 1]);
+      expect(growingIndex.not(growingIndex.eq("color", "green"))).toEqual([
+        0, 3, 1, 2,
+      ]);
+    });
+
+    cases(
+      "column predicates",
+      ({ method, args, expected }) => {
+        const bitmap = index[method](...args);
+        assertValidBitmap(bitmap);
+        expect(bitmap).toEqual(expected);
+      },
+      [
+        { method: "eq", args: ["color", "red"], expected: [0, 1, 1, 1, 1, 1] },
+        { method: "eq", args: ["color", "pink"], expected: [] },
+        { method: "eq", args: ["price", "10"], expected: [] },
+        { method: "eq", args: ["price", null], expected: [2, 2] },
+        { method: "eq", args: ["size", undefined], expected: [5, 1] },
+        {
+          method: "in",
+          args: ["color", ["blue", "green", "pink"]],
+          expected: [1, 1, 1, 1, 1, 1],
+        },
+        {
+          method: "in",
+          args: ["size", new Set(["S", "L"])],
+          expected: [0, 1, 1, 1],
+        },
+        { method: "in", args: ["size", []], expected: [] },
+        { method: "in", args: ["price", [30, null]], expected: [2, 2, 1, 1] },
+        { method: "notEq", args: ["price", 10], expected: [1, 1, 3, 1] },
+        { method: "notEq", args: ["size", "M"], expected: [0, 1, 1, 1] },
+        { method: "notEq", args: ["color", "pink"], expected: [0, 6] },
+        { method: "isNull", args: ["price"], expected: [2, 2] },
+        { method: "isNull", args: ["color"], expected: [] },
+        { method: "isNotNull", args: ["price"], expected: [0, 2, 2, 2] },
+        { method: "isNotNull", args: ["size"], expected: [0, 5] },
+      ]
+    );
+
+    cases(
+      "query",
+      ({ predicate, expected }) => {
+        expect(index.query(predicate)).toEqual(expected);
+        expect(index.rowIds(predicate)).toEqual(toPositions(expected));
+      },
+      [
+        {
+          name: "Column predicate.",
+          predicate: { eq: ["size", "M"] },
+          expected: [1, 1, 1, 2],
+        },
+        {
+          name: "Single column predicates.",
+          predicate: { and: [{ isNull: "price" }, { isNotNull: "size" }] },
+          expected: [2, 2],
+        },
+        {
+          name: "Combined predicates.",
+          predicate: {
+            and: [
+              { in: ["color", ["red", "blue"]] },
+              { not: { eq: ["size", "M"] } },
+              { isNotNull: "price" },
+            ],
+          },
+          expected: [0, 1, 4, 1],
+        },
+        {
+          name: "OR of predicates.",
+          predicate: {
+            or: [{ eq: ["color", "green"] }, { notEq: ["price", 10] }],
+          },
+          expected: [1, 1, 1, 1, 1, 1],
+        },
+        {
+          name: "NOT of an OR.",
+          predicate: {
+            not: { or: [{ eq: ["color", "red"] }, { isNull: "size" }] },
+          },
+          expected: [1, 1, 1, 1],
+        },
+        {
+          name: "Bitmap predicate bounded to the rows.",
+          predicate: { and: [[0, 100], { eq: ["color", "blue"] }] },
+          expected: [1, 1, 3, 1],
+        },
+        {
+          name: "Bitmap.",
+          predicate: [4, 10],
+          expected: [4, 2],
+        },
+      ]
+    );
+
+    it("throws on unknown columns", () => {
+      expect(() => index.eq("weight", 1)).toThrow(RangeError);
+      expect(() => index.query({ isNull: "weight" })).toThrow(
+        /Unknown column "weight", the indexed columns are: "color", "size", "price"/
+      );
+    });
+
+    it("throws on invalid predicates", () => {
+      expect(() => new BitmapIndex(records, [])).toThrow(TypeError);
+      expect(() => index.query({ gt: ["price", 10] })).toThrow(
+        /Unknown predicate "gt"/
+      );
+      expect(() => index.query({ and: [] })).toThrow(
+        /expected a non-empty array of predicates/
+      );
+      expect(() =>
+        index.query({ eq: ["color", "red"], isNull: "size" })
+      ).toThrow(TypeError);
+      expect(() => index.query(null)).toThrow(TypeError);
+    });
+  });
+
+  describe("numeric indexes", () => {
+    const prices = [5, 250, null, 10, 700, -3, 250, undefined, 10, 0];
+    const records = prices.map(price => ({ price }));
+    const numericIndexes = [
+      new RangeEncodedIndex(records, "price"),
+      new BitSlicedIndex(records, "price"),
+    ];
+    const matchingRows = predicate =>
+      fromPositions(
+        prices
+          .map((price, rowId) =>
+            price != null && predicate(price) ? rowId : -1
+          )
+          .filter(rowId => rowId >= 0)
+      );
+    const bounds = [
+      -Infinity,
+      -4,
+      -3,
+      -2.5,
+      0,
+      4.5,
+      5,
+      10,
+      11,
+      250,
+      700,
+      701,
+      Infinity,
+    ];
+
+    cases(
+      "range queries",
+      ({ index }) => {
+        expect(index.numberOfRows).toBe(10);
+        expect(index.isNotNull()).toEqual(matchingRows(() => true));
+        bounds.forEach(bound => {
+          expect(index.lt(bound)).toEqual(matchingRows(price => price < bound));
+          expect(index.lte(bound)).toEqual(
+            matchingRows(price => price <= bound)
+          );
+          expect(index.gt(bound)).toEqual(matchingRows(price => price > bound));
+          expect(index.gte(bound)).toEqual(
+            matchingRows(price => price >= bound)
+          );
+          bounds.forEach(high => {
+            const bitmap = index.between(bound, high);
+            assertValidBitmap(bitmap);
+            expect(bitmap).toEqual(
+              matchingRows(price => price >= bound && price <= high)
+            );
+          });
+        });
+      },
+      numericIndexes.map(index => ({ name: index.constructor.name, index }))
+    );
+
+    cases(
+      "range queries without values",
+      ({ index }) => {
+        expect(index.isNotNull()).toEqual([]);
+        expect(index.lte(Infinity)).toEqual([]);
+        expect(index.gt(-Infinity)).toEqual([]);
+        expect(index.between(0, 10)).toEqual([]);
+      },
+      [RangeEncodedIndex, BitSlicedIndex].flatMap(NumericIndex => [
+        {
+          name: `${NumericIndex.name} without rows.`,
+          index: new NumericIndex([], "price"),
+        },
+        {
+          name: `${NumericIndex.name} with null values.`,
+          index: new NumericIndex([{ price: null }, {}], "price"),
+        },
+      ])
+    );
+
+    it("keeps the returned bitmaps independent of the index", () => {
+      numericIndexes.forEach(index => {
+        index.lte(10).push(1);
+        index.isNotNull().push(1);
+        expect(index.lte(10)).toEqual([0, 1, 2, 1, 1, 1, 2, 2]);
+        expect(index.isNotNull()).toEqual([0, 2, 1, 4, 1, 2]);
+      });
+    });
+
+    it("uses the minimum number of bit slices", () => {
+      expect(numericIndexes[1].numberOfSlices).toBe(10); // 703 = 0b1010111111
+      expect(new BitSlicedIndex([{ a: 7 }, { a: 7 }], "a").numberOfSlices).toBe(
+        0
+      );
+      expect(new BitSlicedIndex([{ a: 7 }, { a: 8 }], "a").numberOfSlices).toBe(
+        1
+      );
+      const largeIndex = new BitSlicedIndex(
+        [{ a: -MAX_SAFE_INT + 1 }, { a: 0 }, { a: 1 }],
+        "a"
+      );
+      expect(largeIndex.numberOfSlices).toBe(53);
+      expect(largeIndex.lt(1)).toEqual([0, 2]);
+      expect(largeIndex.gte(-MAX_SAFE_INT + 2)).toEqual([1, 2]);
+    });
+
+    it("computes aggregates from the bit slices", () => {
+      const index = numericIndexes[1];
+      expect(index.count()).toBe(8);
+      expect(index.sum()).toBe(1222);
+      expect(index.avg()).toBe(152.75);
+      const filter = index.between(10, 500);
+      expect(index.count(filter)).toBe(4);
+      expect(index.sum(filter)).toBe(520);
+      expect(index.avg(filter)).toBe(130);
+      expect(index.sum(index.lt(0))).toBe(-3);
+      expect(index.sum([0, 100])).toBe(1222);
+      expect(index.count([2, 1, 4, 1])).toBe(0);
+      expect(index.sum([2, 1, 4, 1])).toBe(0);
+      expect(index.avg([2, 1, 4, 1])).toBeNull();
+      expect(index.avg([])).toBeNull();
+      expect(new BitSlicedIndex([], "a").sum()).toBe(0);
+    });
+
+    it("throws on invalid values and bounds", () => {
+      expect(() => new RangeEncodedIndex([{ a: 1 }, { a: "2" }], "a")).toThrow(
+        /Invalid value 2 of the column "a" at row 1, expected a finite number or null/
+      );
+      expect(() => new BitSlicedIndex([{ a: NaN }], "a")).toThrow(TypeError);
+      expect(() => new BitSlicedIndex([{ a: 1.5 }], "a")).toThrow(
+        /a bit-sliced index only supports integers/
+      );
+      expect(
+        () => new BitSlicedIndex([{ a: -1 }, { a: MAX_SAFE_INT }], "a")
+      ).toThrow(RangeError);
+      numericIndexes.forEach(index => {
+        expect(() => index.lt(NaN)).toThrow(TypeError);
+        expect(() => index.between(0, "10")).toThrow(
+          /Invalid bound 10, expected a number which is not NaN/
+        );
+      });
+    });
+  });
+
+  describe("row reordering", () => {
+    const assertPermutation = ({ permutation, inversePermutation }, n) => {
+      expect([...permutation].sort((a, b) => a - b)).toEqual(
+        Array.from({ length: n }, (_, i) => i)
+      );
+      permutation.forEach((oldRowId, newRowId) =>
+        expect(inversePermutation[oldRowId]).toBe(newRowId)
+      );
+    };
+
+    cases(
+      "reorderRows",
+      ({ bitmaps, options, expected }) => {
+        const result = reorderRows(bitmaps, options);
+        expect(result).toEqual(expected);
+        assertPermutation(result, expected.permutation.length);
+        result.bitmaps.forEach((bitmap, i) => {
+          assertValidBitmap(bitmap);
+          expect(toPositions(bitmap)).toEqual(
+            toPositions(bitmaps[i])
+              .map(rowId => result.inversePermutation[rowId])
+              .sort((a, b) => a - b)
+          );
+        });
+      },
+      [
+        {
+          name: "Lexicographic order.",
+          bitmaps: [
+            [0, 1, 1, 1],
+            [0, 1, 2, 1],
+          ],
+          expected: {
+            bitmaps: [
+              [2, 2],
+              [1, 1, 1, 1],
+            ],
+            permutation: [1, 3, 2, 0],
+            inversePermutation: [3, 0, 2, 1],
+            runsBefore: 6,
+            runsAfter: 6,
+          },
+        },
+        {
+          name: "Gray-code order.",
+          bitmaps: [
+            [0, 1, 1, 1],
+            [0, 1, 2, 1],
+          ],
+          options: { order: "gray" },
+          expected: {
+            bitmaps: [
+              [2, 2],
+              [1, 2],
+            ],
+            permutation: [1, 3, 0, 2],
+            inversePermutation: [2, 0, 3, 1],
+            runsBefore: 6,
+            runsAfter: 4,
+          },
+        },
+        {
+          name: "Columns ranked by decreasing cardinality.",
+          bitmaps: [
+            [0, 1, 1, 1],
+            [1, 1, 1, 1],
+            [0, 3],
+          ],
+          expected: {
+            bitmaps: [
+              [2, 2],
+              [0, 2],
+              [1, 3],
+            ],
+            permutation: [3, 1, 0, 2],
+            inversePermutation: [2, 1, 3, 0],
+            runsBefore: 8,
+            runsAfter: 5,
+          },
+        },
+        {
+          name: "Rows without bits and stable ties.",
+          bitmaps: [[2, 1, 1, 1]],
+          options: { numberOfRows: 7 },
+          expected: {
+            bitmaps: [[5, 2]],
+            permutation: [0, 1, 3, 5, 6, 2, 4],
+            inversePermutation: [0, 1, 5, 2, 6, 3, 4],
+            runsBefore: 4,
+            runsAfter: 2,
+          },
+        },
+        {
+          name: "No bitmaps.",
+          bitmaps: [],
+          expected: {
+            bitmaps: [],
+            permutation: [],
+            inversePermutation: [],
+            runsBefore: 0,
+            runsAfter: 0,
+          },
+        },
+      ]
+    );
+
+    it("reorders records", () => {
+      const colors = ["red", "green", "blue"];
+      const sizes = ["S", "M", "L", "XL", null];
+      const records = Array.from({ length: 60 }, (_, i) => ({
+        color: colors[(i * 7) % 3],
+        size: sizes[(i * 3) % 5],
+        inStock: i % 2 === 0,
+      }));
+      const columns = ["color", "size", "inStock"];
+      ["lexicographic", "gray"].forEach(order => {
+        const result = reorderRecords(records, columns, { order });
+        assertPermutation(result, records.length);
+        expect(result.records).toEqual(
+          result.permutation.map(rowId => records[rowId])
+        );
+        expect(result.index.numberOfRows).toBe(60);
+        expect(result.index.rowIds({ eq: ["color", "blue"] })).toEqual(
+          new BitmapIndex(records, columns)
+            .rowIds({ eq: ["color", "blue"] })
+            .map(rowId => result.inversePermutation[rowId])
+            .sort((a, b) => a - b)
+        );
+        expect(result.runsBefore).toBe(357);
+        expect(result.runsAfter).toBeLessThan(result.runsBefore / 4);
+      });
+    });
+
+    it("throws on invalid arguments", () => {
+      expect(() => reorderRows([[0, 1]], { order: "random" })).toThrow(
+        /Invalid row order "random", expected one of "lexicographic", "gray"/
+      );
+      expect(() => reorderRows([[0, 1]], { numberOfRows: -1 })).toThrow(
+        RangeError
+      );
+      expect(() => reorderRows([[3, 1]], { numberOfRows: 3 })).toThrow(
+        /The bitmap at index 0 has a bit set at position 3, which is not lower than the number of rows 3/
+      );
+      expect(() => reorderRecords([], [])).toThrow(TypeError);
+    });
+  });
+
+  describe("comparison predicates", () => {
+    const expectComparisons = (a, b) => {
+      const and = bitwiseAND(a, b);
+      const or = bitwiseOR(a, b);
+      expect(equals(a, b)).toBe(bitwiseXOR(a, b).length === 0);
+      expect(intersects(a, b)).toBe(and.length > 0);
+      expect(isDisjoint(a, b)).toBe(and.length === 0);
+      expect(isSubset(a, b)).toBe(bitwiseANDNOT(a, b).length === 0);
+      expect(andCardinality(a, b)).toBe(cardinality(and));
+      expect(orCardinality(a, b)).toBe(cardinality(or));
+      expect(xorCardinality(a, b)).toBe(cardinality(bitwiseXOR(a, b)));
+      expect(jaccard(a, b)).toBe(
+        or.length ? cardinality(and) / cardinality(or) : 1
+      );
+    };
+
+    cases(
+      "they match the materialized results",
+      ({ bitmaps }) => {
+        expectComparisons(bitmaps[0], bitmaps[1]);
+        expectComparisons(bitmaps[1], bitmaps[0]);
+        expectComparisons(bitmaps[0], bitmaps[0]);
+      },
+      testCases.filter(
+        ({ bitmaps }) =>
+          bitmaps.length >= 2 &&
+          bitmaps.every(bitmap => bitmap.length <= 10_000)
+      )
+    );
+
+    cases(
+      "hand-built pairs",
+      ({ a, b, expected }) => {
+        expect({
+          equals: equals(a, b),
+          intersects: intersects(a, b),
+          isSubset: isSubset(a, b),
+          isDisjoint: isDisjoint(a, b),
+          andCardinality: andCardinality(a, b),
+          orCardinality: orCardinality(a, b),
+          xorCardinality: xorCardinality(a, b),
+          jaccard: jaccard(a, b),
+        }).toEqual(expected);
+        expectComparisons(a, b);
+      },
+      [
+        {
+          name: "Equal bitmaps with trailing zeros and empty chunks.",
+          a: [0, 2, 0, 1, 3],
+          b: [0, 3],
+          expected: {
+            equals: true,
+            intersects: true,
+            isSubset: true,
+            isDisjoint: false,
+            andCardinality: 3,
+            orCardinality: 3,
+            xorCardinality: 0,
+            jaccard: 1,
+          },
+        },
+        {
+          name: "Overlapping bitmaps.",
+          a: [0, 4, 2, 3],
+          b: [2, 5],
+          expected: {
+            equals: false,
+            intersects: true,
+            isSubset: false,
+            isDisjoint: false,
+            andCardinality: 3,
+            orCardinality: 9,
+            xorCardinality: 6,
+            jaccard: 1 / 3,
+          },
+        },
+        {
+          name: "Subset.",
+          a: [1, 2, 2, 1],
+          b: [1, 5],
+          expected: {
+            equals: false,
+            intersects: true,
+            isSubset: true,
+            isDisjoint: false,
+            andCardinality: 3,
+            orCardinality: 5,
+            xorCardinality: 2,
+            jaccard: 0.6,
+          },
+        },
+        {
+          name: "Superset ending later.",
+          a: [1, 5],
+          b: [1, 2],
+          expected: {
+            equals: false,
+            intersects: true,
+            isSubset: false,
+            isDisjoint: false,
+            andCardinality: 2,
+            orCardinality: 5,
+            xorCardinality: 3,
+            jaccard: 0.4,
+          },
+        },
+        {
+          name: "Disjoint bitmaps.",
+          a: [0, 2, 3, 1],
+          b: [2, 3],
+          expected: {
+            equals: false,
+            intersects: false,
+            isSubset: false,
+            isDisjoint: true,
+            andCardinality: 0,
+            orCardinality: 6,
+            xorCardinality: 6,
+            jaccard: 0,
+          },
+        },
+        {
+          name: "Empty bitmaps.",
+          a: [],
+          b: [4],
+          expected: {
+            equals: true,
+            intersects: false,
+            isSubset: true,
+            isDisjoint: true,
+            andCardinality: 0,
+            orCardinality: 0,
+            xorCardinality: 0,
+            jaccard: 1,
+          },
+        },
+        {
+          name: "Empty and non-empty bitmaps.",
+          a: [0, 1],
+          b: [],
+          expected: {
+            equals: false,
+            intersects: false,
+            isSubset: false,
+            isDisjoint: true,
+            andCardinality: 0,
+            orCardinality: 1,
+            xorCardinality: 1,
+            jaccard: 0,
+          },
+        },
+        {
+          name: "Large bitmaps.",
+          a: [0, MAX_SAFE_INT],
+          b: [MAX_SAFE_INT - 1, 1],
+          expected: {
+            equals: false,
+            intersects: true,
+            isSubset: false,
+            isDisjoint: false,
+            andCardinality: 1,
+            orCardinality: MAX_SAFE_INT,
+            xorCardinality: MAX_SAFE_INT - 1,
+            jaccard: 1 / MAX_SAFE_INT,
+          },
+        },
+      ]
+    );
+
+    it("stops walking the runs as soon as the answer is known", () => {
+      const runs = Array.from({ length: 100_000 }, (_, i) => (i % 2 ? 1 : 2));
+      const a = [0, 1, ...runs];
+      const b = [1, 1, ...runs];
+      // The proxies count the chunks read by the sweep (the strict mode, which reads all of them, being disabled).
+      let reads = 0;
+      const countReads = bitmap =>
+        new Proxy(bitmap, {
+          get: (target, property) => {
+            if (/^\d+$/.test(property)) {
+              reads++;
+            }
+            return target[property];
+          },
+        });
+      expect(equals(countReads(a), countReads(b))).toBe(false);
+      expect(isSubset(countReads(a), countReads(b))).toBe(false);
+      expect(intersects(countReads(a), countReads(a))).toBe(true);
+      expect(reads).toBeLessThan(20);
+    });
+
+    it("walks the runs once for the pairwise cardinalities", () => {
+      const a = Array.from({ length: 1000 }, (_, i) => (i % 3) + 1);
+      const b = Array.from({ length: 800 }, (_, i) => (i % 5) + 1);
+      let reads = 0;
+      const countReads = bitmap =>
+        new Proxy(bitmap, {
+          get: (target, property) => {
+            if (/^\d+$/.test(property)) {
+              reads++;
+            }
+            return target[property];
+          },
+        });
+      [orCardinality, xorCardinality, jaccard].forEach(func => {
+        reads = 0;
+        func(countReads(a), countReads(b));
+        // Each chunk is read once (and the first ones are also checked for their type, twice).
+        expect(reads).toBeLessThanOrEqual(a.length + b.length + 4);
+      });
+      expect(orCardinality(a, b)).toBe(cardinality(bitwiseOR(a, b)));
+      expect(xorCardinality(a, b)).toBe(cardinality(bitwiseXOR(a, b)));
+    });
+  });
+
+  describe("bitwiseThreshold and bitwiseCount", () => {
+    const totalBitsOf = bitmap => bitmap.reduce((sum, bits) => sum + bits, 0);
+
+    cases(
+      "k = 1 is the bitwise OR and k = n is the bitwise AND",
+      ({ bitmaps, expectedOR, expectedAND }) => {
+        expect(bitwiseThreshold(1, ...bitmaps)).toEqual(expectedOR);
+        if (bitmaps.length) {
+          expect(bitwiseThreshold(bitmaps.length, ...bitmaps)).toEqual(
+            expectedAND
+          );
+        }
+        expect(bitwiseThreshold(bitmaps.length + 1, ...bitmaps)).toEqual([]);
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => bitmap.length <= 10_000)
+      )
+    );
+
+    cases(
+      "they match the counts of the bits",
+      ({ bitmaps }) => {
+        const length = Math.max(0, ...bitmaps.map(totalBitsOf));
+        const countByPosition = new Array(length).fill(0);
+        bitmaps.forEach(bitmap =>
+          toBooleans(bitmap, length).forEach((isSet, position) => {
+            countByPosition[position] += isSet ? 1 : 0;
+          })
+        );
+        const counts = bitwiseCount(...bitmaps);
+        expect(
+          counts.flatMap(([count, runLength]) =>
+            new Array(runLength).fill(count)
+          )
+        ).toEqual(
+          countByPosition.slice(0, countByPosition.findLastIndex(Boolean) + 1)
+        );
+        counts.forEach(([count, runLength], i) => {
+          expect(runLength).toBeGreaterThan(0);
+          expect(count).not.toBe(i ? counts[i - 1][0] : undefined);
+        });
+        for (let k = 1; k <= bitmaps.length; k++) {
+          const bitmap = bitwiseThreshold(k, ...bitmaps);
+          assertValidBitmap(bitmap);
+          expect(bitmap).toEqual(
+            fromBooleans(countByPosition.map(count => count >= k))
+          );
+        }
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => totalBitsOf(bitmap) <= 100_000)
+      )
+    );
+
+    cases(
+      "hand-built bitmaps",
+      ({ bitmaps, expectedCounts, expectedByThreshold }) => {
+        expect(bitwiseCount(...bitmaps)).toEqual(expectedCounts);
+        expectedByThreshold.forEach((expected, i) =>
+          expect(bitwiseThreshold(i + 1, ...bitmaps)).toEqual(expected)
+        );
+      },
+      [
+        {
+          name: "Majority of three bitmaps.",
+          bitmaps: [
+            [0, 3],
+            [2, 3],
+            [0, 1, 3, 2],
+          ],
+          expectedCounts: [
+            [2, 1],
+            [1, 1],
+            [2, 1],
+            [1, 1],
+            [2, 1],
+            [1, 1],
+          ],
+          expectedByThreshold: [[0, 6], [0, 1, 1, 1, 1, 1], []],
+        },
+        {
+          name: "Trailing zeros and empty bitmaps.",
+          bitmaps: [[2, 2, 5], [], [3, 1, 0, 2, 4], [9]],
+          expectedCounts: [
+            [0, 2],
+            [1, 1],
+            [2, 1],
+            [1, 2],
+          ],
+          expectedByThreshold: [[2, 4], [3, 1], [], []],
+        },
+        {
+          name: "Large bitmaps.",
+          bitmaps: [
+            [0, MAX_SAFE_INT],
+            [1, MAX_SAFE_INT - 1],
+            [0, 1, MAX_SAFE_INT - 2, 1],
+          ],
+          expectedCounts: [
+            [2, MAX_SAFE_INT - 1],
+            [3, 1],
+          ],
+          expectedByThreshold: [
+            [0, MAX_SAFE_INT],
+            [0, MAX_SAFE_INT],
+            [MAX_SAFE_INT - 1, 1],
+          ],
+        },
+        {
+          name: "No bitmaps.",
+          bitmaps: [],
+          expectedCounts: [],
+          expectedByThreshold: [],
+        },
+      ]
+    );
+
+    it("accepts dense bitsets", () => {
+      const dense = new DenseBitset(new Uint8Array([0b00011100]), 8);
+      expect(bitwiseThreshold(2, dense, [0, 3])).toEqual([2, 1]);
+      expect(bitwiseCount(dense, [0, 3])).toEqual([
+        [1, 2],
+        [2, 1],
+        [1, 2],
+      ]);
+    });
+
+    it("throws on an invalid threshold", () => {
+      expect(() => bitwiseThreshold(0, [0, 1])).toThrow(
+        /Invalid threshold 0, expected a positive integer/
+      );
+      expect(() => bitwiseThreshold(1.5, [0, 1])).toThrow(RangeError);
+      expect(() => bitwiseThreshold([0, 1], [0, 1])).toThrow(RangeError);
+    });
+  });
+
+  describe("slicing, shifting and concatenation", () => {
+    const totalBitsOf = bitmap => bitmap.reduce((sum, bits) => sum + bits, 0);
+
+    cases(
+      "they match the bit strings",
+      ({ bitmap }) => {
+        const length = totalBitsOf(bitmap);
+        const bitString = toBitString(bitmap, length);
+        const cuts = [
+          0,
+          1,
+          length >> 2,
+          length >> 1,
+          length - 1,
+          length,
+          length + 3,
+        ].filter(cut => cut >= 0);
+        cuts.forEach(start => {
+          cuts.forEach(end => {
+            if (end >= start) {
+              const sliced = slice(bitmap, start, end);
+              assertValidBitmap(sliced);
+              expect(sliced).toEqual(
+                fromBitString(bitString.slice(start, end))
+              );
+            }
+          });
+          expect(shiftRight(bitmap, start)).toEqual(
+            fromBitString(bitString.slice(start))
+          );
+          expect(shiftLeft(bitmap, start)).toEqual(
+            fromBitString("0".repeat(start) + bitString)
+          );
+          const left = slice(bitmap, 0, start);
+          const right = slice(bitmap, start);
+          expect(concat(left, start, right)).toEqual(normalize(bitmap));
+        });
+      },
+      fixtureBitmapTestCases.filter(
+        ({ bitmap }) => totalBitsOf(bitmap) <= 10_000
+      )
+    );
+
+    cases(
+      "they round-trip",
+      ({ bitmap }) => {
+        const canonicalBitmap = normalize(bitmap);
+        const length = totalBitsOf(canonicalBitmap);
+        expect(shiftRight(shiftLeft(bitmap, 1000), 1000)).toEqual(
+          canonicalBitmap
+        );
+        [1, Math.floor(length / 2), Math.max(length - 1, 0)].forEach(cut => {
+          expect(
+            concat(slice(bitmap, 0, cut), cut, slice(bitmap, cut))
+          ).toEqual(canonicalBitmap);
+        });
+      },
+      fixtureBitmapTestCases.filter(
+        ({ bitmap }) =>
+          bitmap.length <= 10_000 &&
+          totalBitsOf(normalize(bitmap)) <= MAX_SAFE_INT - 1000
+      )
+    );
+
+    cases(
+      "hand-built bitmaps",
+      ({ actual, expected }) => {
+        expect(actual()).toEqual(expected);
+      },
+      [
+        {
+          name: "Slice of a straddling run of ones.",
+          actual: () => slice([0, 3, 2, 4, 1, 1], 2, 7),
+          expected: [0, 1, 2, 2],
+        },
+        {
+          name: "Slice within a run of ones.",
+          actual: () => slice([2, 10], 4, 6),
+          expected: [0, 2],
+        },
+        {
+          name: "Slice within a run of zeros.",
+          actual: () => slice([0, 2, 10, 1], 4, 6),
+          expected: [],
+        },
+        {
+          name: "Slice beyond the bitmap.",
+          actual: () => slice([0, 2], 5, 10),
+          expected: [],
+        },
+        {
+          name: "Empty slice.",
+          actual: () => slice([0, 2], 1, 1),
+          expected: [],
+        },
+        {
+          name: "Slice with trailing zeros.",
+          actual: () => slice([1, 2, 0, 1, 5], 1),
+          expected: [0, 3],
+        },
+        {
+          name: "Slice of a large bitmap.",
+          actual: () => slice([0, MAX_SAFE_INT], MAX_SAFE_INT - 2),
+          expected: [0, 2],
+        },
+        {
+          name: "Shift left.",
+          actual: () => shiftLeft([1, 2], 2),
+          expected: [3, 2],
+        },
+        {
+          name: "Shift left of a bitmap starting with ones.",
+          actual: () => shiftLeft([0, 2, 1, 1, 4], 3),
+          expected: [3, 2, 1, 1],
+        },
+        {
+          name: "Shift left of an empty bitmap.",
+          actual: () => shiftLeft([5], MAX_SAFE_INT),
+          expected: [],
+        },
+        {
+          name: "Shift left up to MAX_SAFE_INT.",
+          actual: () => shiftLeft([0, 1], MAX_SAFE_INT - 1),
+          expected: [MAX_SAFE_INT - 1, 1],
+        },
+        {
+          name: "Shift right.",
+          actual: () => shiftRight([1, 2, 1, 3], 2),
+          expected: [0, 1, 1, 3],
+        },
+        {
+          name: "Shift right beyond the bitmap.",
+          actual: () => shiftRight([1, 2, 1, 3], 7),
+          expected: [],
+        },
+        {
+          name: "Shift by 0.",
+          actual: () => shiftRight([1, 2, 0, 0], 0),
+          expected: [1, 2],
+        },
+        {
+          name: "Concatenation.",
+          actual: () => concat([1, 2], 4, [0, 1, 1, 1]),
+          expected: [1, 2, 1, 1, 1, 1],
+        },
+        {
+          name: "Concatenation merging the runs at the junction.",
+          actual: () => concat([1, 3], 4, [0, 2, 1, 1]),
+          expected: [1, 5, 1, 1],
+        },
+        {
+          name: "Concatenation of a first bitmap with trailing zeros.",
+          actual: () => concat([0, 1, 0, 0, 9], 3, [1, 1]),
+          expected: [0, 1, 3, 1],
+        },
+        {
+          name: "Concatenation of empty bitmaps.",
+          actual: () => concat([], 4, [3]),
+          expected: [],
+        },
+        {
+          name: "Concatenation after an empty bitmap.",
+          actual: () => concat([], 4, [0, 1]),
+          expected: [4, 1],
+        },
+        {
+          name: "Concatenation up to MAX_SAFE_INT.",
+          actual: () => concat([0, 1], MAX_SAFE_INT - 1, [0, 1]),
+          expected: [0, 1, MAX_SAFE_INT - 2, 1],
+        },
+      ]
+    );
+
+    it("throws on invalid arguments", () => {
+      expect(() => slice([0, 1], 2, 1)).toThrow(
+        /Invalid range \[2, 1\), the bounds of a range must be non-negative integers/
+      );
+      expect(() => slice([0, 1], -1)).toThrow(RangeError);
+      expect(() => shiftLeft([0, 1], -1)).toThrow(
+        /Invalid shift of -1 positions, expected a non-negative integer/
+      );
+      expect(() => shiftRight([0, 1], 0.5)).toThrow(RangeError);
+      expect(() => shiftLeft([0, 1], MAX_SAFE_INT)).toThrow(
+        /a bit set to one would be beyond MAX_SAFE_INT/
+      );
+      expect(() => concat([0, 3], 2, [0, 1])).toThrow(
+        /The first bitmap has a bit set to one at position 2, which is not lower than its length 2/
+      );
+      expect(() => concat([0, 1], -1, [0, 1])).toThrow(
+        /Invalid length -1, the length of a bitmap must be an integer/
+      );
+      expect(() => concat([0, 1], MAX_SAFE_INT, [0, 1])).toThrow(
+        /a bit set to one of the second bitmap would be beyond MAX_SAFE_INT/
+      );
+    });
+  });
+
+  describe("RunLengthBitmap", () => {
+    cases(
+      "its operators match the functions",
+      ({ bitmaps, expectedOR, expectedAND, expectedXOR }) => {
+        const [first = [], ...others] = bitmaps;
+        const bitmap = RunLengthBitmap.from(first);
+        const otherBitmaps = others.map(other => new RunLengthBitmap(other));
+        expect(bitmap.or(...otherBitmaps).toJSON()).toEqual(expectedOR);
+        expect(bitmap.and(...others).toJSON()).toEqual(
+          bitmaps.length ? expectedAND : normalize(first)
+        );
+        expect(bitmap.xor(...otherBitmaps).toJSON()).toEqual(expectedXOR);
+        expect(bitmap.andNot(...otherBitmaps).toJSON()).toEqual(
+          bitwiseANDNOT(first, ...others)
+        );
+        expect(bitmap.cardinality).toBe(cardinality(first));
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => bitmap.length <= 10_000)
+      )
+    );
+
+    it("chains the operators", () => {
+      const bitmap = RunLengthBitmap.from([10, 2])
+        .or([15, 1], [0, 4, 12, 2])
+        .andNot([0, 2]);
+      expect(bitmap).toBeInstanceOf(RunLengthBitmap);
+      expect(bitmap.toJSON()).toEqual([2, 2, 6, 2, 3, 3]);
+      expect(bitmap.not(20).toJSON()).toEqual([0, 2, 2, 6, 2, 3, 3, 2]);
+      expect(bitmap.not().not().equals(bitmap)).toBe(true);
+      expect(
+        bitmap.and(new DenseBitset(new Uint8Array([0b1100]))).toJSON()
+      ).toEqual([2, 2]);
+      expect(bitmap.xor(bitmap).cardinality).toBe(0);
+    });
+
+    it("is immutable", () => {
+      const runs = [0, 2, 3, 1, 0];
+      const bitmap = new RunLengthBitmap(runs);
+      runs.push(5);
+      expect(Object.isFrozen(bitmap)).toBe(true);
+      expect(Object.isFrozen(bitmap.runs)).toBe(true);
+      expect(() => bitmap.runs.push(1)).toThrow(TypeError);
+      expect(() => {
+        bitmap.runs = [];
+      }).toThrow(TypeError);
+      const array = bitmap.toArray();
+      array.push(3);
+      expect(bitmap.toJSON()).toEqual([0, 2, 3, 1]);
+      expect(new RunLengthBitmap().toJSON()).toEqual([]);
+    });
+
+    it("reads bits and positions", () => {
+      const bitmap = new RunLengthBitmap([3, 3, 84, 1]);
+      expect(bitmap.cardinality).toBe(4);
+      expect(bitmap.has(3)).toBe(true);
+      expect(bitmap.has(6)).toBe(false);
+      expect(bitmap.has(90)).toBe(true);
+      expect(bitmap.has(1000)).toBe(false);
+      expect([...bitmap]).toEqual([3, 4, 5, 90]);
+      expect(JSON.stringify({ bitmap })).toBe('{"bitmap":[3,3,84,1]}');
+      expect(
+        RunLengthBitmap.from(JSON.parse(JSON.stringify(bitmap))).equals(bitmap)
+      ).toBe(true);
+    });
+
+    cases(
+      "from",
+      ({ value, expected }) => {
+        const bitmap = RunLengthBitmap.from(value);
+        expect(bitmap).toBeInstanceOf(RunLengthBitmap);
+        expect(bitmap.toJSON()).toEqual(expected);
+      },
+      [
+        {
+          name: "Run-length encoded bitmap array.",
+          value: [1, 2, 0, 1, 4],
+          expected: [1, 3],
+        },
+        {
+          name: "Dense bitset.",
+          value: new DenseBitset(new Uint8Array([0b10110]), 6),
+          expected: [1, 2, 1, 1],
+        },
+        {
+          name: "Set of positions.",
+          value: new Set([5, 1, 2]),
+          expected: [1, 2, 2, 1],
+        },
+        {
+          name: "Generator of positions.",
+          value: positions([3, 3, 84, 1]),
+          expected: [3, 3, 84, 1],
+        },
+      ]
+    );
+
+    it("returns the same bitmap from a bitmap", () => {
+      const bitmap = new RunLengthBitmap([0, 1]);
+      expect(RunLengthBitmap.from(bitmap)).toBe(bitmap);
+    });
+
+    it("throws on invalid values", () => {
+      expect(() => new RunLengthBitmap([1, -2])).toThrow(InvalidBitmapError);
+      expect(() => RunLengthBitmap.from([0.5])).toThrow(InvalidBitmapError);
+      expect(() => RunLengthBitmap.from(new Set([-1]))).toThrow(RangeError);
+      expect(() => RunLengthBitmap.from(42)).toThrow(TypeError);
+      expect(() => RunLengthBitmap.from(null)).toThrow(TypeError);
+    });
+  });
+
+  describe("BigInt mode", () => {
+    const bigs = (...values) => values.map(value => BigInt(value));
+    const TWO_POW_64 = BigInt("18446744073709551616");
+    const TWO_POW_60 = BigInt("1152921504606846976");
+
+    cases(
+      "the operators match the number-based ones",
+      ({ bitmaps, expectedOR, expectedAND, expectedXOR }) => {
+        const bigBitmaps = bitmaps.map(toBigIntBitmap);
+        bigBitmaps.forEach(bitmap => assertValidBitmap(bitmap));
+        expect(bitwiseOR(...bigBitmaps)).toEqual(toBigIntBitmap(expectedOR));
+        expect(bitwiseAND(...bigBitmaps)).toEqual(toBigIntBitmap(expectedAND));
+        expect(bitwiseXOR(...bigBitmaps)).toEqual(toBigIntBitmap(expectedXOR));
+        if (bitmaps.length) {
+          expect(bitwiseANDNOT(...bigBitmaps)).toEqual(
+            toBigIntBitmap(bitwiseANDNOT(...bitmaps))
+          );
+        }
+        bitmaps.forEach((bitmap, i) => {
+          expect(fromBigIntBitmap(bigBitmaps[i])).toEqual(bitmap);
+          expect(bigCardinality(bigBitmaps[i])).toBe(
+            BigInt(cardinality(bitmap))
+          );
+        });
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => bitmap.length <= 10_000)
+      )
+    );
+
+    cases(
+      "bigBitwiseNOT matches bitwiseNOT within a universe",
+      ({ bitmap }) => {
+        const universeSize = bitmap.reduce((sum, bits) => sum + bits, 0) + 5;
+        expect(
+          bigBitwiseNOT(toBigIntBitmap(bitmap), BigInt(universeSize))
+        ).toEqual(toBigIntBitmap(bitwiseNOT(bitmap, universeSize)));
+      },
+      bitwiseNOTTestCases.filter(
+        ({ bitmap }) =>
+          bitmap.length <= 10_000 &&
+          bitmap.reduce((sum, bits) => sum + bits, 0) <= MAX_SAFE_INT - 5
+      )
+    );
+
+    it("computes exact results beyond MAX_SAFE_INT", () => {
+      const a = [TWO_POW_60, BigInt(1)];
+      const b = [TWO_POW_60 + BigInt(1), BigInt(1)];
+      expect(bitwiseOR(a, b)).toEqual([TWO_POW_60, BigInt(2)]);
+      expect(bitwiseAND(a, b)).toEqual([]);
+      expect(bitwiseXOR(a, [TWO_POW_60, BigInt(2)])).toEqual(b);
+      expect(bitwiseANDNOT([TWO_POW_60, BigInt(2)], a)).toEqual(b);
+      expect(bigBitwiseNOT([])).toEqual([BigInt(0), TWO_POW_64]);
+      expect(bigBitwiseNOT(bigs(2, 3))).toEqual(
+        bigs(0, 2, 3).concat(TWO_POW_64 - BigInt(5))
+      );
+      expect(bigBitwiseNOT(bigBitwiseNOT(a))).toEqual(a);
+      const lastPosition = TWO_POW_64 - BigInt(1);
+      const bitmap = bigFromPositions([lastPosition, BigInt(3), BigInt(3)]);
+      expect(bitmap).toEqual(
+        bigs(3, 1).concat(lastPosition - BigInt(4), BigInt(1))
+      );
+      assertValidBitmap(bitmap, { canonical: true });
+      expect([...bigPositions(bitmap)]).toEqual([BigInt(3), lastPosition]);
+      expect(bigBitwiseNOT(bitmap)).toEqual(
+        bigs(0, 3, 1).concat(lastPosition - BigInt(4))
+      );
+      expect(bigCardinality(bigBitwiseNOT(bitmap))).toBe(
+        TWO_POW_64 - BigInt(2)
+      );
+      expect(bigBitwiseNOT(bitmap, BigInt(4))).toEqual(bigs(0, 3));
+      expect(bitwiseThreshold(2, a, b, [TWO_POW_60, BigInt(2)])).toEqual([
+        TWO_POW_60,
+        BigInt(2),
+      ]);
+    });
+
+    it("validates bitmaps whose runs are bigints", () => {
+      expect(isValidBitmap(bigs(0, 1, 2))).toBe(true);
+      expect(isValidBitmap([TWO_POW_64])).toBe(true);
+      expect(() => assertValidBitmap([BigInt(0), 1])).toThrow(
+        "Invalid run-length encoded bitmap: the run at index 1 is not a bigint (1)."
+      );
+      expect(() => assertValidBitmap([TWO_POW_64, BigInt(1)])).toThrow(
+        "Invalid run-length encoded bitmap: the run at index 1 makes the total number of bits exceed 2^64."
+      );
+      expect(() => assertValidBitmap(bigs(1, -1))).toThrow(
+        "Invalid run-length encoded bitmap: the run at index 1 is negative (-1)."
+      );
+      expect(() => assertValidBitmap(bigs(1, 0))).toThrow(/is empty/);
+      expect(() => assertValidBitmap([1, BigInt(1)])).toThrow(
+        /the run at index 1 is not a number \(1\)/
+      );
+    });
+
+    it("throws on invalid arguments", () => {
+      expect(() => bigBitwiseNOT([], 5)).toThrow(
+        /Invalid universe size 5, the size of the universe of a bitmap whose runs are bigints must be a bigint/
+      );
+      expect(() => bigBitwiseNOT([], TWO_POW_64 + BigInt(1))).toThrow(
+        RangeError
+      );
+      expect(() => fromBigIntBitmap([BigInt(MAX_SAFE_INT), BigInt(1)])).toThrow(
+        /The bitmap has 9007199254740992 bits, which exceeds MAX_SAFE_INT/
+      );
+      expect(() => bigFromPositions([BigInt(-1)])).toThrow(RangeError);
+      expect(() => bigFromPositions([TWO_POW_64])).toThrow(RangeError);
+      expect(() => bigFromPositions([3])).toThrow(
+        /Invalid position 3, positions must be bigints between 0 and 2\^64 - 1/
+      );
+      expect(() => bitwiseOR(bigs(0, 1), [0, 1])).toThrow(InvalidBitmapError);
+    });
+
+    it("validates the bitmaps in strict mode", () => {
+      setStrictMode(true);
+      try {
+        expect(bitwiseOR(bigs(0, 1), bigs(2, 1))).toEqual(bigs(0, 1, 1, 1));
+        expect(bigBitwiseNOT(bigs(0, 1))).toEqual([
+          BigInt(1),
+          TWO_POW_64 - BigInt(1),
+        ]);
+        expect(() => bitwiseOR(bigs(0, 1), [0, 1, BigInt(1)])).toThrow(
+          InvalidBitmapError
+        );
+        expect(() => bigBitwiseNOT([BigInt(1), 1])).toThrow(InvalidBitmapError);
+      } finally {
+        setStrictMode(false);
+      }
+    });
+
+    it("rejects bigint bitmaps in the functions supporting only numbers", () => {
+      const bitmap = bigs(1, 3, 2, 1);
+      const message =
+        "Invalid run-length encoded bitmap: its runs are bigints, which are only supported by the bitwise operators and by the BigInt mode functions (see toBigIntBitmap).";
+      [
+        () => bitwiseNOT(bitmap),
+        () => withUniverse(10).bitwiseOR(bitmap),
+        () => [...positions(bitmap)],
+        () => toIntervals(bitmap),
+        () => cardinality(bitmap),
+        () => rank(bitmap, 2),
+        () => select(bitmap, 1),
+        () => getBit(bitmap, 2),
+        () => setBit(bitmap, 9),
+        () => normalize(bitmap),
+        () => RunLengthBitmap.from(bitmap),
+        () => collect(orIter(bitmap)),
+        () => serialize(bitmap),
+        () => toBase64(bitmap),
+        () => toDenseBitset(bitmap),
+        () => toWAH(bitmap),
+        () => toEWAH(bitmap),
+        () => toConcise(bitmap),
+        () => toRoaringPortable(bitmap),
+        () => slice(bitmap, 1, 3),
+        () => shiftLeft(bitmap, 2),
+        () => shiftRight(bitmap, 2),
+        () => reorderRows([bitmap], { numberOfRows: 8 }),
+        () => reorderRows([bitmap]),
+      ].forEach(func => {
+        expect(func).toThrow(new InvalidBitmapError(message));
+      });
+      [
+        () => concat([0, 1], 2, bitmap),
+        () => andCardinality([0, 1], bitmap),
+        () => orCardinality([0, 1], bitmap),
+        () => xorCardinality([0, 1], bitmap),
+        () => jaccard([0, 1], bitmap),
+      ].forEach(func => {
+        expect(func).toThrow(
+          "Invalid run-length encoded bitmap at index 1: its runs are bigints"
+        );
+      });
+      let error;
+      try {
+        cardinality(bitmap);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.index).toBe(0);
+      expect(error.bitmapIndex).toBeUndefined();
+    });
+
+    it("rejects a mix of number and bigint bitmaps in the operators", () => {
+      [false, true].forEach(isStrict => {
+        setStrictMode(isStrict);
+        try {
+          [
+            [() => bitwiseOR([0, 1], bigs(2, 1)), 1, "bigints", 0, "numbers"],
+            [() => bitwiseAND(bigs(0, 3), [1, 1]), 1, "numbers", 0, "bigints"],
+            [
+              () => bitwiseXOR([], bigs(0, 3), [1, 1]),
+              2,
+              "numbers",
+              1,
+              "bigints",
+            ],
+            [() => bitwiseANDNOT(bigs(0, 3), [1]), 1, "numbers", 0, "bigints"],
+            [
+              () => bitwiseThreshold(1, [0, 2], bigs(1, 1)),
+              1,
+              "bigints",
+              0,
+              "numbers",
+            ],
+            [
+              () => bitwiseCount([0, 2], bigs(1, 1)),
+              1,
+              "bigints",
+              0,
+              "numbers",
+            ],
+            [() => equals(bigs(0, 2), [0, 2]), 1, "numbers", 0, "bigints"],
+            [() => intersects([0, 2], bigs(1, 1)), 1, "bigints", 0, "numbers"],
+            [() => isSubset(bigs(1, 1), [0, 2]), 1, "numbers", 0, "bigints"],
+          ].forEach(
+            ([func, bitmapIndex, runType, otherIndex, otherRunType]) => {
+              let error;
+              try {
+                func();
+              } catch (e) {
+                error = e;
+              }
+              expect(error).toBeInstanceOf(InvalidBitmapError);
+              expect(error.bitmapIndex).toBe(bitmapIndex);
+              expect(error.message).toBe(
+                `Invalid run-length encoded bitmap at index ${bitmapIndex}: its runs are ${runType} while the runs of the bitmap at index ${otherIndex} are ${otherRunType}, the runs of the bitmaps of an operation must be all numbers or all bigints (see toBigIntBitmap).`
+              );
+            }
+          );
+        } finally {
+          setStrictMode(false);
+        }
+      });
+      // Empty bitmaps have no runs and go along with bitmaps of either type.
+      expect(bitwiseOR([], bigs(1, 2))).toEqual(bigs(1, 2));
+      expect(bitwiseAND(bigs(0, 2), [])).toEqual([]);
+      expect(bitwiseXOR([0, 2], [])).toEqual([0, 2]);
+    });
+
+    it("supports bigint bitmaps in the comparison predicates and the bit strings", () => {
+      const a = bigs(1, 3, 2, 1);
+      const b = bigs(2, 1);
+      expect(equals(a, bigs(1, 3, 2, 1))).toBe(true);
+      expect(equals(a, b)).toBe(false);
+      expect(intersects(a, b)).toBe(true);
+      expect(isSubset(b, a)).toBe(true);
+      expect(isDisjoint(a, bigs(0, 1))).toBe(true);
+      expect(toBitString(a)).toBe("0111001");
+      expect(toBooleans(b)).toEqual([false, false, true]);
+    });
+
+    it("pads number bitmaps exactly up to MAX_SAFE_INT", () => {
+      const bitmap = [MAX_SAFE_INT - 3, 1];
+      expect(bitwiseNOT(bitmap)).toEqual([0, MAX_SAFE_INT - 3, 1, 2]);
+      expect(cardinality(bitwiseNOT(bitmap)) + cardinality(bitmap)).toBe(
+        MAX_SAFE_INT
+      );
+      // The runs of an invalid bitmap exceeding `MAX_SAFE_INT` are clipped instead of losing precision.
+      expect(bitwiseNOT([2 ** 52, 2 ** 52, 1])).toEqual([0, 2 ** 52]);
+      expect(bitwiseNOT([0, 2 ** 52, 2 ** 52 - 2, 1])).toEqual([
+        2 ** 52,
+        2 ** 52 - 2,
+      ]);
+      expect(bitwiseNOT([1, MAX_SAFE_INT - 2], MAX_SAFE_INT - 1)).toEqual([
+        0, 1,
+      ]);
+    });
+  });
+
+  describe("typed-array run buffers", () => {
+    cases(
+      "the operators accept typed arrays and write to run buffers",
+      ({ bitmaps, expectedOR, expectedAND, expectedXOR }) => {
+        const typedBitmaps = bitmaps.map((bitmap, i) =>
+          i % 2 ? Float64Array.from(bitmap) : bitmap
+        );
+        expect(bitwiseOR(...typedBitmaps)).toEqual(expectedOR);
+        expect(bitwiseAND(...typedBitmaps)).toEqual(expectedAND);
+        expect(bitwiseXOR(...typedBitmaps)).toEqual(expectedXOR);
+        const {
+          bitwiseOR: bufferedOR,
+          bitwiseAND: bufferedAND,
+          buffer,
+        } = withRunBuffer(new RunBuffer({ capacity: 1 }));
+        const resultOR = bufferedOR(...typedBitmaps);
+        expect(resultOR).toBeInstanceOf(Float64Array);
+        expect(Array.from(resultOR)).toEqual(expectedOR);
+        expect(buffer.toArray()).toEqual(expectedOR);
+        expect(Array.from(bufferedAND(...typedBitmaps))).toEqual(expectedAND);
+        expect(buffer.length).toBe(expectedAND.length);
+      },
+      testCases.filter(({ bitmaps }) =>
+        bitmaps.every(bitmap => bitmap.length <= 10_000)
+      )
+    );
+
+    it("reuses the storage of the buffer", () => {
+      const buffer = new RunBuffer({ type: Uint32Array, capacity: 8 });
+      const operators = withRunBuffer(buffer);
+      expect(operators.buffer).toBe(buffer);
+      const storage = buffer.runs;
+      const a = new Uint32Array([0, 2, 4, 2]);
+      const b = new Uint32Array([1, 3]);
+      expect(operators.bitwiseOR(a, b)).toEqual(new Uint32Array([0, 4, 2, 2]));
+      expect(operators.bitwiseAND(a, b)).toEqual(new Uint32Array([1, 1]));
+      expect(operators.bitwiseXOR(a, b)).toEqual(
+        new Uint32Array([0, 1, 1, 2, 2, 2])
+      );
+      expect(operators.bitwiseANDNOT(a, b)).toEqual(
+        new Uint32Array([0, 1, 5, 2])
+      );
+      expect(operators.bitwiseNOT(a, 10)).toEqual(
+        new Uint32Array([2, 4, 2, 2])
+      );
+      expect(operators.bitwiseThreshold(2, a, b, [0, 1])).toEqual(
+        new Uint32Array([0, 2])
+      );
+      expect(operators.bitwiseOR([], [5])).toEqual(new Uint32Array([]));
+      expect(buffer.runs).toBe(storage);
+    });
+
+    it("grows the buffer", () => {
+      const { bitwiseOR, buffer } = withRunBuffer(
+        new RunBuffer({ capacity: 1 })
+      );
+      const bitmap = Array.from({ length: 1002 }, (_, i) => (i ? 1 : 0));
+      expect(Array.from(bitwiseOR(bitmap))).toEqual(bitmap);
+      expect(buffer.runs.length).toBe(1024);
+      expect(Array.from(bitwiseOR([0, 1]))).toEqual([0, 1]);
+      expect(buffer.runs.length).toBe(1024);
+    });
+
+    it("leaves the other operations unaffected", () => {
+      const { bitwiseOR: bufferedOR } = withRunBuffer();
+      expect(bufferedOR([0, 1], [2, 1])).toBeInstanceOf(Float64Array);
+      expect(bitwiseOR([0, 1], [2, 1])).toEqual([0, 1, 1, 1]);
+      expect(() => bufferedOR([0, 1], null)).toThrow();
+      expect(bitwiseOR([0, 1], [2, 1])).toEqual([0, 1, 1, 1]);
+    });
+
+    it("appends runs to a buffer", () => {
+      const buffer = new RunBuffer({ capacity: 2 });
+      buffer.append(true, 2).append(true, 1).append(false, 0).append(false, 4);
+      buffer.append(true, 1);
+      expect(buffer.toTypedArray()).toEqual(new Float64Array([0, 3, 4, 1]));
+      expect(buffer.pop()).toBe(1);
+      expect(buffer.toArray()).toEqual([0, 3, 4]);
+      expect(buffer.clear().toArray()).toEqual([]);
+      expect(buffer.pop()).toBeUndefined();
+    });
+
+    it("validates typed arrays in strict mode", () => {
+      expect(isValidBitmap(new Uint32Array([0, 3, 2]))).toBe(true);
+      expect(isValidBitmap(new Float64Array([1, 0.5]))).toBe(false);
+      expect(isValidBitmap(new Int32Array([1, 2]))).toBe(false);
+      setStrictMode(true);
+      try {
+        expect(bitwiseOR(new Float64Array([0, 1]), [2, 1])).toEqual([
+          0, 1, 1, 1,
+        ]);
+        expect(() => bitwiseOR(new Float64Array([0, -1]))).toThrow(
+          InvalidBitmapError
+        );
+      } finally {
+        setStrictMode(false);
+      }
+    });
+
+    it("wraps typed arrays of runs in run-length bitmaps", () => {
+      const { bitwiseOR: bufferedOR } = withRunBuffer(
+        new RunBuffer({ type: Uint32Array })
+      );
+      const result = bufferedOR([0, 1], [2, 2]);
+      expect(RunLengthBitmap.from(result).toArray()).toEqual([0, 1, 1, 2]);
+      expect(RunLengthBitmap.from(new Uint32Array([2, 2])).toArray()).toEqual([
+        2, 2,
+      ]);
+      expect(
+        new RunLengthBitmap(new Float64Array([1, 0, 2, 3, 0])).runs
+      ).toEqual([3, 3]);
+      expect(normalize(new Uint32Array([0, 2, 0, 1, 4]))).toEqual([0, 3]);
+      expect(
+        RunLengthBitmap.from([0, 1])
+          .or(new Float64Array([3, 1]))
+          .toArray()
+      ).toEqual([0, 1, 2, 1]);
+      expect(() => normalize(new Int32Array([1, 2]))).toThrow(
+        "Invalid run-length encoded bitmap: expected an array, a Float64Array or a Uint32Array."
+      );
+    });
+
+    it("rejects bigint runs", () => {
+      const { bitwiseOR: bufferedOR } = withRunBuffer();
+      expect(() => bufferedOR([BigInt(0), BigInt(1)])).toThrow(
+        "A run buffer cannot store bigint runs"
+      );
+      expect(Array.from(bufferedOR([0, 1]))).toEqual([0, 1]);
+    });
+
+    it("throws on invalid buffers", () => {
+      expect(() => new RunBuffer({ type: Int32Array })).toThrow(
+        "Invalid run buffer type, expected Float64Array or Uint32Array."
+      );
+      expect(() => new RunBuffer({ capacity: 0 })).toThrow(RangeError);
+      expect(() => withRunBuffer([])).toThrow(TypeError);
+      const { bitwiseOR } = withRunBuffer(new RunBuffer({ type: Uint32Array }));
+      expect(() => bitwiseOR([0, 2 ** 32])).toThrow(
+        "A run of 4294967296 bits exceeds the maximum run length of a Uint32Array run buffer (4294967295)."
+      );
+      expect(() => bitwiseOR([0, 2 ** 31], [2 ** 31, 2 ** 31])).toThrow(
+        RangeError
+      );
+      expect(Array.from(bitwiseOR([0, 2 ** 32 - 1]))).toEqual([0, 2 ** 32 - 1]);
+    });
   });
 });
@@ -0,0 +1,37 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import validateBitmaps from "./utils/validateBitmaps";
+
+/**
+ * Tests whether two run-length encoded bitmaps have at least one bit set to one in common,
+ * walking their runs only until the first common bit.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {boolean} `true` if the bitwise AND of the bitmaps is not empty, `false` otherwise.
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   intersects([0, 2, 3, 1], [5, 2]);
+ *                   ```
+ *
+ *                   Would return `true` (`110001` and `0000011`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const intersects = (a, b) => {
+  validateBitmaps([a, b]);
+  let areIntersecting = false;
+  withBitmapStateMap({ bitmaps: [a, b] })(
+    ({ numberOfBitmapsOnOnes, numberOfExhaustedBitmaps }) => {
+      if (numberOfBitmapsOnOnes === 2) {
+        areIntersecting = true;
+        return true;
+      }
+      // An exhausted bitmap is an indefinite sequence of zeros, there are no more common ones.
+      return numberOfExhaustedBitmaps > 0;
+    }
+  );
+  return areIntersecting;
+};
+export default intersects;
@@ -0,0 +1,21 @@
+import intersects from "./intersects";
+
+/**
+ * Tests whether two run-length encoded bitmaps have no bit set to one in common, see {@link intersects}.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {boolean} `true` if the bitwise AND of the bitmaps is empty, `false` otherwise.
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   isDisjoint([0, 2, 3, 1], [2, 3]);
+ *                   ```
+ *
+ *                   Would return `true` (`110001` and `00111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const isDisjoint = (a, b) => !intersects(a, b);
+export default isDisjoint;
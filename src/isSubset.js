@@ -0,0 +1,38 @@
+import withBitmapStateMap from "./hof/withBitmapStateMap";
+import validateBitmaps from "./utils/validateBitmaps";
+
+/**
+ * Tests whether the bits set to one of a run-length encoded bitmap are all set in another one,
+ * walking their runs only until a bit of the first bitmap is missing from the second one.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {boolean} `true` if `a` is a subset of `b` (i.e. `a AND NOT b` is empty), `false` otherwise.
+ *                   An empty bitmap is a subset of any bitmap.
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   isSubset([1, 2, 2, 1], [1, 5]);
+ *                   ```
+ *
+ *                   Would return `true` (`011001` and `011111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const isSubset = (a, b) => {
+  validateBitmaps([a, b]);
+  let isASubset = true;
+  withBitmapStateMap({ bitmaps: [a, b] })(
+    ({ isBitmapOnOnes, isBitmapExhausted }) => {
+      if (isBitmapOnOnes(0) && !isBitmapOnOnes(1)) {
+        isASubset = false;
+        return true;
+      }
+      // Once `a` is exhausted, it has no more ones.
+      return isBitmapExhausted(0);
+    }
+  );
+  return isASubset;
+};
+export default isSubset;
@@ -0,0 +1,28 @@
+import findInvalidRun from "./utils/findInvalidRun";
+
+/**
+ * Tests whether the given value is a valid run-length encoded bitmap.
+ *
+ * A valid bitmap is an array (or a `Float64Array` or a `Uint32Array`) of non-negative integers, where only the first run
+ * can be a zero-length run (for bitmaps starting with ones) and where the total number of bits does not exceed `MAX_SAFE_INT`
+ * (or an array of `bigint`s whose total number of bits does not exceed `2^64`, see {@link bigBitwiseNOT}).
+ * Bitmaps of `bigint`s are only supported by the bitwise operators, the comparison predicates and the BigInt mode functions,
+ * the other functions throw an {@link InvalidBitmapError} for them.
+ *
+ * @param {*} bitmap The value to test.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.canonical] Whether the bitmap must also be in the canonical form returned by the operators,
+ *                                      i.e. without trailing zeros. Defaults to `false`.
+ * @return {boolean} `true` if the bitmap is valid, `false` otherwise.
+ *
+ *                   Example:
+ *
+ *                   ```
+ *                   isValidBitmap([0, 3, 2]); // true
+ *                   isValidBitmap([0, 3, 2], { canonical: true }); // false
+ *                   isValidBitmap([2, 0, 3]); // false
+ *                   ```
+ */
+const isValidBitmap = (bitmap, options) =>
+  findInvalidRun(bitmap, options) === null;
+export default isValidBitmap;
@@ -0,0 +1,28 @@
+import sweepRuns from "./sweepRuns";
+import canonicalRuns from "./canonicalRuns";
+
+/**
+ * Lazily computes a bitwise AND of the given inputs, see {@link bitwiseAND}.
+ *
+ * @param {...(number[]|Iterable<[number, number]>)} inputs A list of run-length encoded bitmap arrays or iterables of runs
+ *                                                       (e.g. the iterables returned by the other run iterators).
+ * @return {Generator<[number, number], void, undefined>} A generator lazily yielding the `[value, length]` runs of the result,
+ *                                                        see {@link runs}. Use {@link collect} to get a bitmap array.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(andIter([0, 4], [2, 4]));
+ *                                                        ```
+ *
+ *                                                        Would return `[2, 2]`.
+ */
+const andIter = (...inputs) =>
+  canonicalRuns(
+    sweepRuns(inputs, ({ numberOfInputsOnOnes, numberOfExhaustedInputs }) =>
+      numberOfExhaustedInputs > 0 // An exhausted input is an indefinite sequence of zeros, there are no more ones.
+        ? null
+        : numberOfInputsOnOnes === inputs.length
+    )
+  );
+export default andIter;
@@ -0,0 +1,30 @@
+import sweepRuns from "./sweepRuns";
+import canonicalRuns from "./canonicalRuns";
+
+/**
+ * Lazily computes a bitwise AND NOT of the given inputs, i.e. the bits of the first input which are not set in any of the other inputs, see {@link bitwiseANDNOT}.
+ *
+ * @param {...(number[]|Iterable<[number, number]>)} inputs A list of run-length encoded bitmap arrays or iterables of runs
+ *                                                       (e.g. the iterables returned by the other run iterators).
+ * @return {Generator<[number, number], void, undefined>} A generator lazily yielding the `[value, length]` runs of the result,
+ *                                                        see {@link runs}. Use {@link collect} to get a bitmap array.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(andNotIter([0, 6], [0, 2]));
+ *                                                        ```
+ *
+ *                                                        Would return `[2, 4]`.
+ */
+const andNotIter = (...inputs) =>
+  canonicalRuns(
+    sweepRuns(
+      inputs,
+      ({ numberOfInputsOnOnes, isInputOnOnes, isInputExhausted }) =>
+        isInputExhausted(0) // Nothing left to subtract from.
+          ? null
+          : isInputOnOnes(0) && numberOfInputsOnOnes === 1
+    )
+  );
+export default andNotIter;
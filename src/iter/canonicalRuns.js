@@ -0,0 +1,30 @@
+/**
+ * Lazily normalizes an iterable of runs, merging the adjacent runs having the same value and dropping
+ * the zero-length runs and the trailing run of zeros.
+ *
+ * @param {Iterable<[number, number]>} runs An iterable of `[value, length]` runs.
+ * @return {Generator<[number, number], void, undefined>} A generator yielding the normalized runs.
+ *                                                        A run of zeros is only yielded once it is followed by a run of ones.
+ */
+function* canonicalRuns(runs) {
+  let pendingValue = -1;
+  let pendingLength = 0;
+  for (const [value, length] of runs) {
+    if (length <= 0) {
+      continue;
+    }
+    if (value === pendingValue) {
+      pendingLength += length;
+    } else {
+      if (pendingLength > 0) {
+        yield [pendingValue, pendingLength];
+      }
+      pendingValue = value;
+      pendingLength = length;
+    }
+  }
+  if (pendingValue === 1) {
+    yield [pendingValue, pendingLength];
+  }
+}
+export default canonicalRuns;
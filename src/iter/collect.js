@@ -0,0 +1,26 @@
+import appendBits from "../utils/appendBits";
+import popTrailingZeros from "../utils/popTrailingZeros";
+import runs from "./runs";
+
+/**
+ * Collects the runs of an iterable of runs into a run-length encoded bitmap array.
+ *
+ * @param {Iterable<[number, number]>} input An iterable of `[value, length]` runs (or a bitmap array).
+ * @return {number[]} A new run-length encoded bitmap array in canonical form, see {@link bitwiseOR}.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    collect([[1, 3], [0, 2], [1, 1], [0, 4]]);
+ *                    ```
+ *
+ *                    Would return `[0, 3, 2, 1]`.
+ */
+const collect = input => {
+  const resultBitmap = [];
+  for (const [value, length] of runs(input)) {
+    appendBits(resultBitmap, value === 1, length);
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default collect;
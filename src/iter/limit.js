@@ -0,0 +1,37 @@
+import runs from "./runs";
+
+/**
+ * Lazily limits the number of bits set to one of an iterable of runs, stopping the iteration of the input
+ * as soon as the limit is reached (e.g. to get the first page of the hits of a query).
+ *
+ * @param {number[]|Iterable<[number, number]>} input A run-length encoded bitmap array or an iterable of runs.
+ * @param {number} numberOfOnes The maximum number of set bits.
+ * @return {Generator<[number, number], void, undefined>} A generator yielding the runs of the input up to its `numberOfOnes`-th set bit.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(limit([0, 3, 2, 4], 5));
+ *                                                        ```
+ *
+ *                                                        Would return `[0, 3, 2, 2]`.
+ */
+function* limit(input, numberOfOnes) {
+  let remainingOnes = numberOfOnes;
+  if (remainingOnes <= 0) {
+    return;
+  }
+  for (const [value, length] of runs(input)) {
+    if (value === 1) {
+      const onesToTake = Math.min(length, remainingOnes);
+      yield [value, onesToTake];
+      remainingOnes -= onesToTake;
+      if (remainingOnes <= 0) {
+        return;
+      }
+    } else {
+      yield [value, length];
+    }
+  }
+}
+export default limit;
@@ -0,0 +1,41 @@
+import { MAX_SAFE_INT } from "../constants";
+import assertUniverseSize from "../utils/assertUniverseSize";
+import canonicalRuns from "./canonicalRuns";
+import runs from "./runs";
+
+/**
+ * Lazily computes a bitwise NOT of the given input, see {@link bitwiseNOT}.
+ *
+ * @param {number[]|Iterable<[number, number]>} input A run-length encoded bitmap array or an iterable of runs.
+ * @param {number} [universeSize] The number of bits of the universe of the input, defaults to `MAX_SAFE_INT`.
+ * @return {Generator<[number, number], void, undefined>} A generator lazily yielding the `[value, length]` runs of the result,
+ *                                                        see {@link runs}. Use {@link collect} to get a bitmap array.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(notIter([2, 2], 6));
+ *                                                        ```
+ *
+ *                                                        Would return `[0, 2, 2, 2]`.
+ *
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ */
+const notIter = (input, universeSize = MAX_SAFE_INT) => {
+  assertUniverseSize(universeSize);
+  return canonicalRuns(
+    (function* () {
+      let position = 0;
+      for (const [value, length] of runs(input)) {
+        if (position >= universeSize) {
+          return;
+        }
+        const numberOfBits = Math.min(length, universeSize - position);
+        yield [1 - value, numberOfBits]; // Zeros become ones and vice versa.
+        position += numberOfBits;
+      }
+      yield [1, universeSize - position]; // All ones, up to `universeSize`.
+    })()
+  );
+};
+export default notIter;
@@ -0,0 +1,24 @@
+import sweepRuns from "./sweepRuns";
+import canonicalRuns from "./canonicalRuns";
+
+/**
+ * Lazily computes a bitwise OR of the given inputs, see {@link bitwiseOR}.
+ *
+ * @param {...(number[]|Iterable<[number, number]>)} inputs A list of run-length encoded bitmap arrays or iterables of runs
+ *                                                       (e.g. the iterables returned by the other run iterators).
+ * @return {Generator<[number, number], void, undefined>} A generator lazily yielding the `[value, length]` runs of the result,
+ *                                                        see {@link runs}. Use {@link collect} to get a bitmap array.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(orIter([10, 2], [15, 1], [0, 4, 12, 2]));
+ *                                                        ```
+ *
+ *                                                        Would return `[0, 4, 6, 2, 3, 3]`.
+ */
+const orIter = (...inputs) =>
+  canonicalRuns(
+    sweepRuns(inputs, ({ numberOfInputsOnOnes }) => numberOfInputsOnOnes > 0)
+  );
+export default orIter;
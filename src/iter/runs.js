@@ -0,0 +1,72 @@
+import validateBitmaps from "../utils/validateBitmaps";
+import assertNumberRuns from "../utils/assertNumberRuns";
+
+/**
+ * Tests whether the given value is a `[value, length]` run.
+ *
+ * @param {*} run The value.
+ * @return {boolean} `true` if the value is an array made of `0` or `1` and of a positive integer, `false` otherwise.
+ */
+const isRun = run =>
+  Array.isArray(run) &&
+  run.length === 2 &&
+  (run[0] === 0 || run[0] === 1) &&
+  Number.isInteger(run[1]) &&
+  run[1] > 0;
+
+/**
+ * Lazily iterates over the runs of a run-length encoded bitmap.
+ *
+ * @param {number[]|Float64Array|Uint32Array|Iterable<[number, number]>} bitmap A run-length encoded bitmap array (or typed array), see {@link bitwiseOR},
+ *                                                                           or an iterable of runs.
+ * @return {Iterable<[number, number]>} An iterable of `[value, length]` runs, where `value` is `1` for a run of ones
+ *                                      and `0` for a run of zeros. Zero-length runs are skipped.
+ *
+ *                                      Example:
+ *
+ *                                      ```
+ *                                      [...runs([0, 3, 2, 1])];
+ *                                      ```
+ *
+ *                                      Would return `[[1, 3], [0, 2], [1, 1]]`.
+ *
+ * @throws {TypeError} If the bitmap is neither an array nor an iterable, or if the iterable yields a value which is not
+ *                     a `[0|1, length]` run with a positive integer length (e.g. a `Set` of positions).
+ */
+const runs = bitmap => {
+  if (Array.isArray(bitmap) || ArrayBuffer.isView(bitmap)) {
+    assertNumberRuns([bitmap]);
+    validateBitmaps([bitmap]);
+    return (function* () {
+      for (let i = 0; i < bitmap.length; i++) {
+        if (bitmap[i] > 0) {
+          yield [i % 2, bitmap[i]];
+        }
+      }
+    })();
+  }
+  if (
+    bitmap === null ||
+    typeof bitmap !== "object" ||
+    !(Symbol.iterator in bitmap)
+  ) {
+    throw new TypeError(
+      `Expected a run-length encoded bitmap array or an iterable of runs, got ${
+        bitmap === null ? "null" : typeof bitmap
+      }.`
+    );
+  }
+  return (function* () {
+    for (const run of bitmap) {
+      if (!isRun(run)) {
+        throw new TypeError(
+          `Invalid run ${
+            Array.isArray(run) ? `[${run.join(", ")}]` : String(run)
+          }, expected a [value, length] pair with a value of 0 or 1 and a positive integer length.`
+        );
+      }
+      yield run;
+    }
+  })();
+};
+export default runs;
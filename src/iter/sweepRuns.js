@@ -0,0 +1,92 @@
+import MinHeap from "../utils/MinHeap";
+import runs from "./runs";
+
+/**
+ * Lazily sweeps the run boundaries of the given inputs, in the same way as `withBitmapStateMap`
+ * sweeps the chunks of bitmap arrays.
+ *
+ * @param {Array<number[]|Iterable<[number, number]>>} inputs A list of run-length encoded bitmap arrays or iterables of runs.
+ * @param {Function} isSegmentOnes A function receiving a segment of bits, i.e. an object with the `numberOfInputsOnOnes`
+ *                                 and `numberOfExhaustedInputs` counters and the `isInputOnOnes(index)`
+ *                                 and `isInputExhausted(index)` functions, and returning whether the segment of the result is made of ones.
+ *                                 It may also return `null` to end the sweep (e.g. when there are no more ones to yield).
+ * @return {Generator<[number, number], void, undefined>} A generator yielding the `[value, length]` runs of the result,
+ *                                                        not normalized (see `canonicalRuns`).
+ */
+function* sweepRuns(inputs, isSegmentOnes) {
+  const heap = new MinHeap(
+    (inputAState, inputBState) => inputAState.end - inputBState.end
+  );
+  const inputStates = [];
+  let numberOfInputsOnOnes = 0;
+  let numberOfExhaustedInputs = 0;
+
+  /**
+   * Moves the state of an input to its next run.
+   *
+   * @param {Object} inputState The state of the input.
+   * @return {boolean} `true` if the input has a next run, `false` if it is exhausted.
+   */
+  const nextRun = inputState => {
+    if (inputState.value === 1) {
+      numberOfInputsOnOnes--;
+    }
+    const { done, value: run } = inputState.iterator.next();
+    if (done) {
+      inputState.value = 0;
+      inputState.isExhausted = true;
+      numberOfExhaustedInputs++;
+      return false;
+    }
+    inputState.value = run[0];
+    inputState.end += run[1];
+    if (inputState.value === 1) {
+      numberOfInputsOnOnes++;
+    }
+    return true;
+  };
+
+  inputs.forEach((input, index) => {
+    const inputState = {
+      index,
+      iterator: runs(input)[Symbol.iterator](),
+      value: 0,
+      end: 0,
+      isExhausted: false,
+    };
+    inputStates.push(inputState);
+    if (nextRun(inputState)) {
+      heap.push(inputState);
+    }
+  });
+
+  const segment = {
+    numberOfInputsOnOnes: 0,
+    numberOfExhaustedInputs: 0,
+    isInputOnOnes: index => inputStates[index].value === 1,
+    isInputExhausted: index => inputStates[index].isExhausted,
+  };
+
+  let position = 0;
+  while (heap.size) {
+    const segmentEnd = heap.peek().end;
+    if (segmentEnd > position) {
+      segment.numberOfInputsOnOnes = numberOfInputsOnOnes;
+      segment.numberOfExhaustedInputs = numberOfExhaustedInputs;
+      const areOnes = isSegmentOnes(segment);
+      if (areOnes === null) {
+        return;
+      }
+      yield [areOnes ? 1 : 0, segmentEnd - position];
+      position = segmentEnd;
+    }
+    while (heap.size && heap.peek().end === segmentEnd) {
+      if (nextRun(heap.peek())) {
+        heap.updateTop();
+      } else {
+        heap.pop();
+      }
+    }
+  }
+}
+export default sweepRuns;
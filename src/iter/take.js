@@ -0,0 +1,32 @@
+import runs from "./runs";
+
+/**
+ * Lazily takes the first bits of an iterable of runs, stopping the iteration of the input as soon as they are taken.
+ *
+ * @param {number[]|Iterable<[number, number]>} input A run-length encoded bitmap array or an iterable of runs.
+ * @param {number} numberOfBits The number of bits to take.
+ * @return {Generator<[number, number], void, undefined>} A generator yielding the runs of the interval `[0, numberOfBits)` of the input.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(take(notIter([]), 5));
+ *                                                        ```
+ *
+ *                                                        Would return `[0, 5]`.
+ */
+function* take(input, numberOfBits) {
+  let remainingBits = numberOfBits;
+  if (remainingBits <= 0) {
+    return;
+  }
+  for (const [value, length] of runs(input)) {
+    const bitsToTake = Math.min(length, remainingBits);
+    yield [value, bitsToTake];
+    remainingBits -= bitsToTake;
+    if (remainingBits <= 0) {
+      return;
+    }
+  }
+}
+export default take;
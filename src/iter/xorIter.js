@@ -0,0 +1,27 @@
+import sweepRuns from "./sweepRuns";
+import canonicalRuns from "./canonicalRuns";
+
+/**
+ * Lazily computes a bitwise XOR of the given inputs, see {@link bitwiseXOR}.
+ *
+ * @param {...(number[]|Iterable<[number, number]>)} inputs A list of run-length encoded bitmap arrays or iterables of runs
+ *                                                       (e.g. the iterables returned by the other run iterators).
+ * @return {Generator<[number, number], void, undefined>} A generator lazily yielding the `[value, length]` runs of the result,
+ *                                                        see {@link runs}. Use {@link collect} to get a bitmap array.
+ *
+ *                                                        Example:
+ *
+ *                                                        ```
+ *                                                        collect(xorIter([0, 1, 2, 2], [2, 2]));
+ *                                                        ```
+ *
+ *                                                        Would return `[0, 1, 1, 1, 1, 1]`.
+ */
+const xorIter = (...inputs) =>
+  canonicalRuns(
+    sweepRuns(
+      inputs,
+      ({ numberOfInputsOnOnes }) => numberOfInputsOnOnes % 2 === 1
+    )
+  );
+export default xorIter;
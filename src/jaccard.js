@@ -0,0 +1,26 @@
+import pairCardinalities from "./utils/pairCardinalities";
+
+/**
+ * Computes the Jaccard similarity of two run-length encoded bitmaps without computing their bitwise AND and OR
+ * (i.e. `|a AND b| / |a OR b|`), counting both in a single walk over their runs.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {number} The similarity, between `0` (no common bits) and `1` (same bits).
+ *                  Two empty bitmaps have a similarity of `1`, as they are equal.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  jaccard([0, 4, 2, 3], [2, 5]);
+ *                  ```
+ *
+ *                  Would return `0.3333333333333333` (`111100111` and `0011111`, 3 common bits out of 9).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const jaccard = (a, b) => {
+  const { and, or } = pairCardinalities(a, b);
+  return or ? and / or : 1;
+};
+export default jaccard;
@@ -0,0 +1,47 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import InvalidBitmapError from "./errors/InvalidBitmapError";
+import assertNumberRuns from "./utils/assertNumberRuns";
+import isRunArray from "./utils/isRunArray";
+
+/**
+ * Normalizes a run-length encoded bitmap to the canonical form returned by the operators.
+ *
+ * @param {number[]|Float64Array|Uint32Array} bitmap A run-length encoded bitmap array (or typed array, see {@link withRunBuffer}),
+ *                                                   see {@link bitwiseOR}, possibly with zero-length runs and trailing zeros.
+ * @return {number[]} A new bitmap array where the adjacent runs split by zero-length runs are merged
+ *                    and the trailing zeros are stripped.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    normalize([2, 0, 3, 1, 0, 2, 4]);
+ *                    ```
+ *
+ *                    Would return `[5, 3]` (`00000111`).
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not an array (or a typed array of runs), has `bigint` runs or has a run which is not a non-negative integer.
+ */
+const normalize = bitmap => {
+  if (!isRunArray(bitmap)) {
+    throw new InvalidBitmapError(
+      "Invalid run-length encoded bitmap: expected an array, a Float64Array or a Uint32Array."
+    );
+  }
+  assertNumberRuns([bitmap]);
+  const resultBitmap = [];
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    if (!Number.isInteger(numberOfBits) || numberOfBits < 0) {
+      throw new InvalidBitmapError(
+        `Invalid run-length encoded bitmap: the run at index ${i} is not a non-negative integer (${String(
+          numberOfBits
+        )}).`,
+        { index: i }
+      );
+    }
+    appendBits(resultBitmap, i % 2 === 1, numberOfBits);
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default normalize;
@@ -0,0 +1,22 @@
+import pairCardinalities from "./utils/pairCardinalities";
+
+/**
+ * Counts the bits set to one of the bitwise OR of two run-length encoded bitmaps without computing it,
+ * in a single walk over their runs.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {number} The number of bits set to one in at least one of the bitmaps.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  orCardinality([0, 4, 2, 3], [2, 5]);
+ *                  ```
+ *
+ *                  Would return `9` (`111100111` and `0011111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const orCardinality = (a, b) => pairCardinalities(a, b).or;
+export default orCardinality;
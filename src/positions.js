@@ -0,0 +1,36 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Lazily iterates over the positions of the bits set to one of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {Generator<number, void, undefined>} A generator yielding the zero-based positions of the set bits, in ascending order.
+ *                                              As the positions are computed on demand, the generator can also be used
+ *                                              with bitmaps which cannot be materialized (e.g. the result of {@link bitwiseNOT},
+ *                                              which spans up to `MAX_SAFE_INT` bits).
+ *
+ *                                              Example:
+ *
+ *                                              ```
+ *                                              [...positions([3, 3, 84, 1])];
+ *                                              ```
+ *
+ *                                              Would return `[3, 4, 5, 90]`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+function* positions(bitmap) {
+  assertNumberRuns([bitmap]);
+  let position = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    if (i % 2 === 1) {
+      // Ones.
+      for (let j = 0; j < numberOfBits; j++) {
+        yield position + j;
+      }
+    }
+    position += numberOfBits;
+  }
+}
+export default positions;
@@ -0,0 +1,29 @@
+import UnknownIdentifierError from "../errors/UnknownIdentifierError";
+
+/**
+ * Creates a function looking up the bitmaps referenced by the identifiers of an expression.
+ *
+ * @param {Object<string, number[]>|Map<string, number[]>} bitmapsByName The bitmaps, by name.
+ * @return {Function} A function receiving an identifier node and returning its bitmap.
+ *
+ * @throws {UnknownIdentifierError} From the returned function, if there is no bitmap with the name of the identifier.
+ */
+const bitmapLookup = bitmapsByName => node => {
+  const { name, position } = node;
+  let bitmap;
+  if (bitmapsByName instanceof Map) {
+    bitmap = bitmapsByName.get(name);
+  } else if (Object.prototype.hasOwnProperty.call(bitmapsByName, name)) {
+    bitmap = bitmapsByName[name];
+  }
+  if (typeof bitmap === "undefined") {
+    const at =
+      typeof position !== "undefined" ? ` at position ${position}` : "";
+    throw new UnknownIdentifierError(
+      `Unknown identifier "${name}"${at}: there is no bitmap with this name.`,
+      { identifier: name, position }
+    );
+  }
+  return bitmap;
+};
+export default bitmapLookup;
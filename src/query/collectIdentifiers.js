@@ -0,0 +1,27 @@
+/**
+ * Collects the identifier nodes of an AST, in the order they appear in the expression.
+ *
+ * @param {Object} node A node of the AST.
+ * @param {Object[]} [identifiers] The array to push the identifier nodes to.
+ * @return {Object[]} The identifier nodes.
+ *
+ * @throws {TypeError} If a node of the AST is not valid.
+ */
+const collectIdentifiers = (node, identifiers = []) => {
+  const type = node && node.type;
+  if (type === "identifier") {
+    identifiers.push(node);
+  } else if (type === "not") {
+    collectIdentifiers(node.operand, identifiers);
+  } else if (type === "and" || type === "or" || type === "xor") {
+    node.operands.forEach(operand => collectIdentifiers(operand, identifiers));
+  } else {
+    throw new TypeError(
+      `Invalid expression node ${JSON.stringify(
+        node
+      )}, expected a node of type "identifier", "not", "and", "or" or "xor".`
+    );
+  }
+  return identifiers;
+};
+export default collectIdentifiers;
@@ -0,0 +1,110 @@
+import bitwiseOR from "../bitwiseOR";
+import bitwiseAND from "../bitwiseAND";
+import bitwiseNOT from "../bitwiseNOT";
+import bitwiseXOR from "../bitwiseXOR";
+import bitwiseANDNOT from "../bitwiseANDNOT";
+import withUniverse from "../withUniverse";
+import parseExpression from "./parseExpression";
+import bitmapLookup from "./bitmapLookup";
+import collectIdentifiers from "./collectIdentifiers";
+import optimizeExpression from "./optimizeExpression";
+
+/**
+ * Evaluates a boolean query expression over named run-length encoded bitmaps.
+ *
+ * @param {string|Object} expression The expression, e.g. `(color_red OR color_blue) AND NOT discontinued`,
+ *                                   or an equivalent AST as returned by {@link parseExpression}.
+ * @param {Object<string, number[]>|Map<string, number[]>} bitmapsByName The run-length encoded bitmap arrays referenced
+ *                                                                       by the identifiers of the expression, by name.
+ * @param {Object} [options] Options.
+ * @param {number} [options.universeSize] The number of bits of the universe of the bitmaps (e.g. the number of rows of a table),
+ *                                        so that `NOT` does not produce bits beyond it, see {@link withUniverse}.
+ * @param {boolean} [options.optimize] Whether to rewrite the expression with {@link optimizeExpression} before evaluating it
+ *                                     (defaults to `true`). The optimized plan evaluates the equivalent subexpressions only once
+ *                                     and stops evaluating an `AND` as soon as one of its operands is empty.
+ * @return {number[]} A new bitmap array representing the result of the expression.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    evaluate("(red OR blue) AND NOT discontinued", {
+ *                      red: [0, 2],
+ *                      blue: [4, 2],
+ *                      discontinued: [1, 4],
+ *                    });
+ *                    ```
+ *
+ *                    Would return `[0, 1, 4, 1]` (`100001`).
+ *
+ * @throws {ExpressionSyntaxError} If the expression cannot be parsed.
+ * @throws {UnknownIdentifierError} If the expression references a bitmap which does not exist.
+ *                                  All the identifiers are checked before evaluating the expression.
+ * @throws {TypeError} If a node of the given AST is not valid.
+ */
+const evaluate = (
+  expression,
+  bitmapsByName,
+  { universeSize, optimize = true } = {}
+) => {
+  const ast =
+    typeof expression === "string" ? parseExpression(expression) : expression;
+  const lookup = bitmapLookup(bitmapsByName);
+  collectIdentifiers(ast).forEach(lookup);
+  const root = optimize
+    ? optimizeExpression(ast, bitmapsByName, { universeSize })
+    : ast;
+
+  const operators =
+    typeof universeSize !== "undefined"
+      ? withUniverse(universeSize)
+      : { bitwiseOR, bitwiseAND, bitwiseNOT, bitwiseXOR, bitwiseANDNOT };
+
+  const resultsByKey = new Map();
+  const evaluateOperation = node => {
+    if (node.type === "identifier") {
+      return lookup(node);
+    } else if (node.type === "empty") {
+      return [];
+    } else if (node.type === "not") {
+      return operators.bitwiseNOT(evaluateNode(node.operand));
+    } else if (node.type === "and") {
+      const operands = [];
+      for (const operand of node.operands) {
+        const bitmap = evaluateNode(operand);
+        if (!bitmap.length) {
+          // The remaining operands do not need to be evaluated.
+          return [];
+        }
+        operands.push(bitmap);
+      }
+      return operators.bitwiseAND(...operands);
+    } else if (node.type === "andNot") {
+      const [minuend, ...subtrahends] = node.operands;
+      const bitmap = evaluateNode(minuend);
+      return bitmap.length
+        ? operators.bitwiseANDNOT(bitmap, ...subtrahends.map(evaluateNode))
+        : [];
+    }
+    const operands = node.operands.map(evaluateNode);
+    if (node.type === "or") {
+      return operators.bitwiseOR(...operands);
+    }
+    return operators.bitwiseXOR(...operands);
+  };
+  const evaluateNode = node => {
+    if (typeof node.key === "undefined") {
+      return evaluateOperation(node);
+    }
+    // Equivalent subexpressions of an optimized plan share the same key and are evaluated only once.
+    if (!resultsByKey.has(node.key)) {
+      resultsByKey.set(node.key, evaluateOperation(node));
+    }
+    return resultsByKey.get(node.key);
+  };
+  const resultBitmap = evaluateNode(root);
+  // An expression made of a single identifier must not return the given bitmap itself.
+  return root.type === "identifier"
+    ? operators.bitwiseOR(resultBitmap)
+    : resultBitmap;
+};
+export default evaluate;
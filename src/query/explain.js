@@ -0,0 +1,117 @@
+import optimizeExpression from "./optimizeExpression";
+
+const LABELS = {
+  not: "NOT",
+  and: "AND",
+  or: "OR",
+  xor: "XOR",
+  andNot: "ANDNOT",
+  empty: "EMPTY",
+};
+
+/**
+ * Formats the name of an identifier, quoting it if it would not be a valid unquoted identifier of an expression.
+ *
+ * @param {string} name The name.
+ * @return {string} The formatted name.
+ */
+const formatName = name =>
+  /^[A-Za-z_][\w.:-]*$/.test(name) && !/^(AND|OR|XOR|NOT)$/i.test(name)
+    ? name
+    : JSON.stringify(name);
+
+/**
+ * Formats the estimates of a node of a plan.
+ *
+ * @param {Object} node A node of a plan, see {@link optimizeExpression}.
+ * @return {string} The formatted estimates.
+ */
+const formatEstimates = ({ estimatedCardinality, estimatedRuns, isExact }) => {
+  const comparison = isExact ? "" : "<= ";
+  return `(cardinality ${comparison}${estimatedCardinality}, runs ${comparison}${estimatedRuns})`;
+};
+
+/**
+ * Explains how a boolean query expression is evaluated, after having been optimized by {@link optimizeExpression}.
+ *
+ * @param {string|Object} expression The expression or its AST, see {@link parseExpression}.
+ * @param {Object<string, number[]>|Map<string, number[]>} bitmapsByName The bitmaps referenced by the expression, by name.
+ * @param {Object} [options] Options.
+ * @param {number} [options.universeSize] The number of bits of the universe of the bitmaps, see {@link evaluate}.
+ * @return {string} The plan, one node per line, the operands being indented below their operation and evaluated in order.
+ *                  Each line shows the cardinality and the number of runs of ones of the node (their upper bounds, prefixed by `<=`,
+ *                  if they are estimates). A subexpression appearing more than once is labeled with `#n` and evaluated only once,
+ *                  its further occurrences being marked as `reused`.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  explain("(red OR blue) AND NOT discontinued AND in_stock", {
+ *                    red: [0, 2],
+ *                    blue: [4, 2],
+ *                    discontinued: [1, 4],
+ *                    in_stock: [0, 1, 4, 1],
+ *                  });
+ *                  ```
+ *
+ *                  Would return:
+ *
+ *                  ```
+ *                  ANDNOT (cardinality <= 2, runs <= 2)
+ *                    AND (cardinality <= 2, runs <= 2)
+ *                      in_stock (cardinality 2, runs 2)
+ *                      OR (cardinality <= 4, runs <= 2)
+ *                        red (cardinality 2, runs 1)
+ *                        blue (cardinality 2, runs 1)
+ *                    discontinued (cardinality 4, runs 1)
+ *                  ```
+ *
+ * @throws {ExpressionSyntaxError} If the expression cannot be parsed.
+ * @throws {UnknownIdentifierError} If the expression references a bitmap which does not exist.
+ * @throws {TypeError} If a node of the given AST is not valid.
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ */
+const explain = (expression, bitmapsByName, options) => {
+  const root = optimizeExpression(expression, bitmapsByName, options);
+
+  const occurrencesByKey = new Map();
+  const countOccurrences = node => {
+    const occurrences = occurrencesByKey.get(node.key) || 0;
+    occurrencesByKey.set(node.key, occurrences + 1);
+    if (occurrences) {
+      return;
+    }
+    if (node.type === "not") {
+      countOccurrences(node.operand);
+    } else if (node.operands) {
+      node.operands.forEach(countOccurrences);
+    }
+  };
+  countOccurrences(root);
+
+  const lines = [];
+  const labelsByKey = new Map();
+  const explainNode = (node, depth) => {
+    const indentation = "  ".repeat(depth);
+    const label =
+      node.type === "identifier" ? formatName(node.name) : LABELS[node.type];
+    if (labelsByKey.has(node.key)) {
+      lines.push(`${indentation}${label} ${labelsByKey.get(node.key)} reused`);
+      return;
+    }
+    let reference = "";
+    if (occurrencesByKey.get(node.key) > 1 && node.type !== "identifier") {
+      reference = ` #${labelsByKey.size + 1}`;
+      labelsByKey.set(node.key, reference.trim());
+    }
+    lines.push(`${indentation}${label}${reference} ${formatEstimates(node)}`);
+    if (node.type === "not") {
+      explainNode(node.operand, depth + 1);
+    } else if (node.operands) {
+      node.operands.forEach(operand => explainNode(operand, depth + 1));
+    }
+  };
+  explainNode(root, 0);
+  return lines.join("\n");
+};
+export default explain;
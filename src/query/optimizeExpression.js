@@ -0,0 +1,284 @@
+import { MAX_SAFE_INT } from "../constants";
+import rank from "../rank";
+import assertUniverseSize from "../utils/assertUniverseSize";
+import parseExpression from "./parseExpression";
+import bitmapLookup from "./bitmapLookup";
+import collectIdentifiers from "./collectIdentifiers";
+
+/**
+ * Creates the node of the constant empty bitmap.
+ *
+ * @return {Object} The node.
+ */
+const emptyNode = () => ({
+  type: "empty",
+  key: "empty",
+  estimatedCardinality: 0,
+  estimatedRuns: 0,
+  isExact: true,
+});
+
+/**
+ * Tests whether a node certainly evaluates to an empty bitmap.
+ *
+ * @param {Object} node An optimized node.
+ * @return {boolean} `true` if the node is empty.
+ */
+const isEmptyNode = node => node.estimatedCardinality === 0;
+
+/**
+ * Removes the nodes having the same key, keeping the first one.
+ *
+ * @param {Object[]} nodes Optimized nodes.
+ * @return {Object[]} The unique nodes.
+ */
+const uniqueNodes = nodes => {
+  const keys = new Set();
+  return nodes.filter(node => {
+    if (keys.has(node.key)) {
+      return false;
+    }
+    keys.add(node.key);
+    return true;
+  });
+};
+
+/**
+ * Flattens the operands of the nested nodes of the same type (e.g. `(a OR b) OR c` becomes `OR(a, b, c)`).
+ *
+ * @param {string} type The type of the node.
+ * @param {Object[]} operands Optimized operands.
+ * @return {Object[]} The flattened operands.
+ */
+const flattenOperands = (type, operands) =>
+  operands.flatMap(operand =>
+    operand.type === type ? operand.operands : [operand]
+  );
+
+/**
+ * Lifts the operands of a difference node, so that it can be merged into an enclosing `AND` node
+ * (`a AND ANDNOT(b, c)` is `ANDNOT(AND(a, b), c)`).
+ *
+ * @param {Object} node An optimized node.
+ * @return {Object[]} The minuend of the difference followed by its negated subtrahends,
+ *                    or the node itself if it is not a difference.
+ */
+const liftDifference = node => {
+  if (node.type !== "andNot") {
+    return [node];
+  }
+  const [minuend, ...subtrahends] = node.operands;
+  return [
+    minuend,
+    ...subtrahends.map(subtrahend => ({ type: "not", operand: subtrahend })),
+  ];
+};
+
+/**
+ * Creates the key of a commutative node, which does not depend on the order of its operands,
+ * so that equivalent subexpressions share the same key.
+ *
+ * @param {string} type The type of the node.
+ * @param {Object[]} operands Optimized operands.
+ * @return {string} The key.
+ */
+const commutativeKey = (type, operands) =>
+  `${type}(${operands
+    .map(({ key }) => key)
+    .sort()
+    .join(",")})`;
+
+/**
+ * Rewrites a boolean query expression into an equivalent, cheaper to evaluate, plan.
+ *
+ * The rewrites are:
+ *
+ * - nested `AND`, `OR` and `XOR` nodes are flattened into single n-ary nodes;
+ * - `NOT NOT a` becomes `a`, and duplicated operands of `AND` and `OR` (or pairs of them for `XOR`) are removed;
+ * - `a AND b AND NOT c AND NOT d` becomes `ANDNOT(AND(a, b), c, d)` (see {@link bitwiseANDNOT}),
+ *   and `NOT c AND NOT d` becomes `NOT(OR(c, d))`;
+ * - the operands of `AND` are ordered by estimated cardinality and run count, smallest first,
+ *   so that the evaluation can stop as soon as one of them is empty;
+ * - an `AND` with an operand which is certainly empty (e.g. a bitmap equal to `[]`) becomes a constant empty node,
+ *   and empty operands of `OR` and `XOR` are removed.
+ *
+ * Each node of the plan has a `key`, equal for equivalent subexpressions (which are therefore evaluated only once by {@link evaluate}),
+ * an upper bound of its cardinality (`estimatedCardinality`) and of its number of runs of ones (`estimatedRuns`),
+ * and an `isExact` flag telling whether these estimates are exact.
+ *
+ * @param {string|Object} expression The expression or its AST, see {@link parseExpression}.
+ * @param {Object<string, number[]>|Map<string, number[]>} bitmapsByName The bitmaps referenced by the expression, by name.
+ * @param {Object} [options] Options.
+ * @param {number} [options.universeSize] The number of bits of the universe of the bitmaps, see {@link evaluate}.
+ * @return {Object} The root node of the plan, an AST which can also have nodes of type `andNot` (`{ type: "andNot", operands: Object[] }`,
+ *                  where the first operand is the one to subtract from) and `empty` (the constant empty bitmap).
+ *
+ * @throws {ExpressionSyntaxError} If the expression cannot be parsed.
+ * @throws {UnknownIdentifierError} If the expression references a bitmap which does not exist.
+ * @throws {TypeError} If a node of the given AST is not valid.
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ */
+const optimizeExpression = (
+  expression,
+  bitmapsByName,
+  { universeSize = MAX_SAFE_INT } = {}
+) => {
+  assertUniverseSize(universeSize);
+  const root =
+    typeof expression === "string" ? parseExpression(expression) : expression;
+  const lookup = bitmapLookup(bitmapsByName);
+  collectIdentifiers(root).forEach(lookup);
+
+  const sumOf = (operands, property) =>
+    Math.min(
+      operands.reduce((sum, operand) => sum + operand[property], 0),
+      universeSize
+    );
+
+  const optimizeNot = operand => {
+    if (operand.type === "not") {
+      return operand.operand;
+    }
+    return {
+      type: "not",
+      operand,
+      key: `not(${operand.key})`,
+      estimatedCardinality: operand.isExact
+        ? universeSize - Math.min(operand.estimatedCardinality, universeSize)
+        : universeSize,
+      estimatedRuns: operand.estimatedRuns + 1,
+      isExact: operand.isExact,
+    };
+  };
+
+  const optimizeOr = optimizedOperands => {
+    const operands = uniqueNodes(
+      flattenOperands("or", optimizedOperands).filter(
+        operand => !isEmptyNode(operand)
+      )
+    );
+    if (!operands.length) {
+      return emptyNode();
+    } else if (operands.length === 1) {
+      return operands[0];
+    }
+    return {
+      type: "or",
+      operands,
+      key: commutativeKey("or", operands),
+      estimatedCardinality: sumOf(operands, "estimatedCardinality"),
+      estimatedRuns: sumOf(operands, "estimatedRuns"),
+      isExact: false,
+    };
+  };
+
+  const optimizeXor = optimizedOperands => {
+    const operandsByKey = new Map();
+    flattenOperands("xor", optimizedOperands)
+      .filter(operand => !isEmptyNode(operand))
+      .forEach(operand => {
+        if (operandsByKey.has(operand.key)) {
+          operandsByKey.delete(operand.key); // `a XOR a` cancels out.
+        } else {
+          operandsByKey.set(operand.key, operand);
+        }
+      });
+    const operands = [...operandsByKey.values()];
+    if (!operands.length) {
+      return emptyNode();
+    } else if (operands.length === 1) {
+      return operands[0];
+    }
+    return {
+      type: "xor",
+      operands,
+      key: commutativeKey("xor", operands),
+      estimatedCardinality: sumOf(operands, "estimatedCardinality"),
+      estimatedRuns: sumOf(operands, "estimatedRuns"),
+      isExact: false,
+    };
+  };
+
+  const optimizeAnd = optimizedOperands => {
+    const operands = flattenOperands(
+      "and",
+      optimizedOperands.flatMap(liftDifference)
+    );
+    if (operands.some(isEmptyNode)) {
+      return emptyNode();
+    }
+    const positiveOperands = uniqueNodes(
+      operands.filter(operand => operand.type !== "not")
+    ).sort(
+      (a, b) =>
+        a.estimatedCardinality - b.estimatedCardinality ||
+        a.estimatedRuns - b.estimatedRuns
+    );
+    const negatedOperands = uniqueNodes(
+      operands
+        .filter(operand => operand.type === "not")
+        .map(({ operand }) => operand)
+    );
+    if (!positiveOperands.length) {
+      // De Morgan: `NOT c AND NOT d` is `NOT (c OR d)`.
+      return optimizeNot(optimizeOr(negatedOperands));
+    }
+    let base = positiveOperands[0];
+    if (positiveOperands.length > 1) {
+      base = {
+        type: "and",
+        operands: positiveOperands,
+        key: commutativeKey("and", positiveOperands),
+        estimatedCardinality: positiveOperands[0].estimatedCardinality,
+        estimatedRuns: Math.min(
+          sumOf(positiveOperands, "estimatedRuns"),
+          positiveOperands[0].estimatedCardinality
+        ),
+        isExact: false,
+      };
+    }
+    const subtrahends = negatedOperands.filter(
+      operand => !isEmptyNode(operand)
+    );
+    if (!subtrahends.length) {
+      return base;
+    }
+    return {
+      type: "andNot",
+      operands: [base, ...subtrahends],
+      key: `andNot(${base.key};${commutativeKey("or", subtrahends)})`,
+      estimatedCardinality: base.estimatedCardinality,
+      estimatedRuns: Math.min(
+        base.estimatedRuns + sumOf(subtrahends, "estimatedRuns"),
+        base.estimatedCardinality
+      ),
+      isExact: false,
+    };
+  };
+
+  const optimizeNode = node => {
+    if (node.type === "identifier") {
+      const bitmap = lookup(node);
+      return {
+        ...node,
+        key: `identifier(${JSON.stringify(node.name)})`,
+        // Only the bits within the universe count, so that the estimate of `NOT` stays exact.
+        estimatedCardinality: rank(bitmap, universeSize),
+        estimatedRuns: bitmap.length >> 1,
+        isExact: true,
+      };
+    } else if (node.type === "not") {
+      return optimizeNot(optimizeNode(node.operand));
+    }
+    const optimizedOperands = node.operands.map(optimizeNode);
+    if (node.type === "and") {
+      return optimizeAnd(optimizedOperands);
+    } else if (node.type === "or") {
+      return optimizeOr(optimizedOperands);
+    }
+    return optimizeXor(optimizedOperands);
+  };
+
+  return optimizeNode(root);
+};
+export default optimizeExpression;
@@ -0,0 +1,99 @@
+import ExpressionSyntaxError from "../errors/ExpressionSyntaxError";
+import tokenize, { locate } from "./tokenize";
+
+/**
+ * Parses a boolean query expression into an AST.
+ *
+ * The precedence of the operators, from the highest to the lowest, is `NOT`, `AND`, `XOR`, `OR`,
+ * and parentheses can be used to group subexpressions, e.g. `(color_red OR color_blue) AND NOT discontinued`.
+ *
+ * @param {string} source The expression.
+ * @return {Object} The root node of the AST. Each node is one of:
+ *
+ *                  - `{ type: "identifier", name: string, position: number }`, a reference to a bitmap;
+ *                  - `{ type: "not", operand: Object }`;
+ *                  - `{ type: "and" | "or" | "xor", operands: Object[] }`, where a chain of the same operator
+ *                    (e.g. `a OR b OR c`) is a single node with all its operands.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  parseExpression("a AND NOT b");
+ *                  ```
+ *
+ *                  Would return:
+ *
+ *                  ```
+ *                  {
+ *                    type: "and",
+ *                    operands: [
+ *                      { type: "identifier", name: "a", position: 0 },
+ *                      { type: "not", operand: { type: "identifier", name: "b", position: 10 } },
+ *                    ],
+ *                  }
+ *                  ```
+ *
+ * @throws {ExpressionSyntaxError} If the expression is not valid. The error has the `position`, `line`
+ *                                 and `column` where the parser stopped.
+ */
+const parseExpression = source => {
+  const tokens = tokenize(source);
+  let i = 0;
+
+  const peek = () => tokens[i];
+
+  const fail = (token, expected) => {
+    const location = locate(source, token.position);
+    const found =
+      token.type === "end" ? "end of expression" : `"${token.value}"`;
+    throw new ExpressionSyntaxError(
+      `Unexpected ${found} at line ${location.line}, column ${location.column}, expected ${expected}.`,
+      location
+    );
+  };
+
+  const parseChain = (type, parseOperand) => () => {
+    const operands = [parseOperand()];
+    while (peek().type === type) {
+      i++;
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { type, operands };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (token.type === "not") {
+      i++;
+      return { type: "not", operand: parseUnary() };
+    }
+    if (token.type === "identifier") {
+      i++;
+      return {
+        type: "identifier",
+        name: token.value,
+        position: token.position,
+      };
+    }
+    if (token.type === "(") {
+      i++;
+      const node = parseOr();
+      if (peek().type !== ")") {
+        fail(peek(), '")"');
+      }
+      i++;
+      return node;
+    }
+    return fail(token, 'an identifier, "NOT" or "("');
+  };
+  const parseAnd = parseChain("and", parseUnary);
+  const parseXor = parseChain("xor", parseAnd);
+  const parseOr = parseChain("or", parseXor);
+
+  const root = parseOr();
+  if (peek().type !== "end") {
+    fail(peek(), "an operator or the end of the expression");
+  }
+  return root;
+};
+export default parseExpression;
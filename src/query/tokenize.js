@@ -0,0 +1,113 @@
+import ExpressionSyntaxError from "../errors/ExpressionSyntaxError";
+
+/**
+ * @type {Object<string, string>}
+ */
+const KEYWORDS = {
+  AND: "and",
+  OR: "or",
+  XOR: "xor",
+  NOT: "not",
+};
+
+/**
+ * @type {Array<[string, string]>} Symbols and their token types, longest symbols first.
+ */
+const SYMBOLS = [
+  ["&&", "and"],
+  ["||", "or"],
+  ["&", "and"],
+  ["|", "or"],
+  ["^", "xor"],
+  ["!", "not"],
+  ["(", "("],
+  [")", ")"],
+];
+
+/**
+ * Computes the line and column of an offset of a string.
+ *
+ * @param {string} source The string.
+ * @param {number} position The zero-based offset.
+ * @return {{position: number, line: number, column: number}} The location (`line` and `column` are one-based).
+ */
+const locate = (source, position) => {
+  const lines = source.slice(0, position).split("\n");
+  return {
+    position,
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1,
+  };
+};
+
+/**
+ * Splits a boolean query expression into tokens.
+ *
+ * Identifiers are made of letters, digits, `_`, `.`, `:` and `-` (not starting with a digit or `-`),
+ * or are enclosed in double quotes (e.g. `"color red"`, where `\"` and `\\` are escapes).
+ * The keywords `AND`, `OR`, `XOR` and `NOT` are case-insensitive and have the symbolic aliases `&` (`&&`), `|` (`||`), `^` and `!`.
+ *
+ * @param {string} source The expression.
+ * @return {Array<{type: string, value: string, position: number}>} The tokens, the last one having the `end` type.
+ *
+ * @throws {ExpressionSyntaxError} If the expression contains an unexpected character or an unterminated quoted identifier.
+ */
+const tokenize = source => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    const symbol = SYMBOLS.find(([symbol]) => source.startsWith(symbol, i));
+    if (symbol) {
+      tokens.push({ type: symbol[1], value: symbol[0], position: i });
+      i += symbol[0].length;
+      continue;
+    }
+    if (char === '"') {
+      let value = "";
+      let j = i + 1;
+      while (j < source.length && source[j] !== '"') {
+        if (source[j] === "\\" && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        const location = locate(source, i);
+        throw new ExpressionSyntaxError(
+          `Unterminated quoted identifier at line ${location.line}, column ${location.column}.`,
+          location
+        );
+      }
+      tokens.push({ type: "identifier", value, position: i });
+      i = j + 1;
+      continue;
+    }
+    const match = /^[A-Za-z_][\w.:-]*/.exec(source.slice(i));
+    if (match) {
+      const [word] = match;
+      const keyword = KEYWORDS[word.toUpperCase()];
+      tokens.push({
+        type: keyword || "identifier",
+        value: word,
+        position: i,
+      });
+      i += word.length;
+      continue;
+    }
+    const location = locate(source, i);
+    throw new ExpressionSyntaxError(
+      `Unexpected character "${char}" at line ${location.line}, column ${location.column}.`,
+      location
+    );
+  }
+  tokens.push({ type: "end", value: "", position: source.length });
+  return tokens;
+};
+export default tokenize;
+export { locate };
@@ -0,0 +1,37 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Computes the rank of a position of a run-length encoded bitmap, i.e. the number of bits set to one before that position.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} position A zero-based position. The bit at this position is not counted.
+ * @return {number} The number of set bits in the interval `[0, position)`.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  rank([0, 3, 2, 4, 1, 1, 2, 1], 7);
+ *                  ```
+ *
+ *                  Would return `5` (`1110011|1101001`).
+ *
+ * @throws {RangeError} If the position is not an integer.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const rank = (bitmap, position) => {
+  assertNumberRuns([bitmap]);
+  if (!Number.isInteger(position)) {
+    throw new RangeError(`Invalid position ${position}, expected an integer.`);
+  }
+  let numberOfOnes = 0;
+  let start = 0;
+  for (let i = 0; i < bitmap.length && start < position; i++) {
+    const numberOfBits = bitmap[i];
+    if (i % 2 === 1) {
+      numberOfOnes += Math.min(numberOfBits, position - start);
+    }
+    start += numberOfBits;
+  }
+  return numberOfOnes;
+};
+export default rank;
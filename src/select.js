@@ -0,0 +1,46 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Selects the position of the k-th bit set to one of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} k A zero-based index of a set bit (`0` selects the first set bit, `1` the second one, and so on).
+ * @return {number} The zero-based position of the k-th set bit or `-1` if the bitmap has `k` set bits or less.
+ *                  For any set bit at position `p`, `select(bitmap, rank(bitmap, p)) === p`.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  select([0, 3, 2, 4, 1, 1, 2, 1], 5);
+ *                  ```
+ *
+ *                  Would return `7` (`1110011|1|101001`).
+ *
+ * @throws {RangeError} If `k` is not an integer.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const select = (bitmap, k) => {
+  assertNumberRuns([bitmap]);
+  if (!Number.isInteger(k)) {
+    throw new RangeError(
+      `Invalid index ${k} of a set bit, expected an integer.`
+    );
+  }
+  if (k < 0) {
+    return -1;
+  }
+  let remainingOnes = k;
+  let start = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    if (i % 2 === 1) {
+      if (remainingOnes < numberOfBits) {
+        return start + remainingOnes;
+      }
+      remainingOnes -= numberOfBits;
+    }
+    start += numberOfBits;
+  }
+  return -1;
+};
+export default select;
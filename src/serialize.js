@@ -0,0 +1,53 @@
+import { SERIALIZATION_FORMAT_VERSION } from "./constants";
+import assertValidBitmap from "./assertValidBitmap";
+import { varintLength, writeVarint } from "./utils/varint";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Serializes a run-length encoded bitmap into a compact binary representation.
+ *
+ * The bytes are made of:
+ *
+ * - a version byte (currently `1`);
+ * - a header with the number of runs of the bitmap array and the total number of bits of the bitmap;
+ * - the runs, in order.
+ *
+ * The numbers are unsigned LEB128 varints (7 bits per byte, least significant group first,
+ * the most significant bit of each byte telling whether another byte follows),
+ * so that a short run takes a single byte and a run of up to `MAX_SAFE_INT` bits is stored exactly in at most 8 bytes.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {Uint8Array} The serialized bitmap (the inverse of {@link deserialize}).
+ *
+ *                      Example:
+ *
+ *                      ```
+ *                      serialize([0, 3, 200, 1]);
+ *                      ```
+ *
+ *                      Would return `Uint8Array [1, 4, 204, 1, 0, 3, 200, 1, 1]`
+ *                      (version, 4 runs, 204 bits, then the runs, `200` taking two bytes).
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), has `bigint` runs or is a dense bitset, regardless of the strict mode.
+ */
+const serialize = bitmap => {
+  assertNumberRuns([bitmap]);
+  assertValidBitmap(bitmap);
+  let totalNumberOfBits = 0;
+  let numberOfBytes = 1 + varintLength(bitmap.length);
+  for (let i = 0; i < bitmap.length; i++) {
+    totalNumberOfBits += bitmap[i];
+    numberOfBytes += varintLength(bitmap[i]);
+  }
+  numberOfBytes += varintLength(totalNumberOfBits);
+
+  const bytes = new Uint8Array(numberOfBytes);
+  bytes[0] = SERIALIZATION_FORMAT_VERSION;
+  let offset = writeVarint(bytes, 1, bitmap.length);
+  offset = writeVarint(bytes, offset, totalNumberOfBits);
+  for (let i = 0; i < bitmap.length; i++) {
+    offset = writeVarint(bytes, offset, bitmap[i]);
+  }
+  return bytes;
+};
+export default serialize;
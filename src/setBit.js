@@ -0,0 +1,21 @@
+import setRange from "./setRange";
+
+/**
+ * Sets a bit of a run-length encoded bitmap to one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} position The zero-based position of the bit.
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    setBit([0, 2, 1, 2], 2);
+ *                    ```
+ *
+ *                    Would return `[0, 5]` (`11111`).
+ *
+ * @throws {RangeError} If the position is not a non-negative integer.
+ */
+const setBit = (bitmap, position) => setRange(bitmap, position, position + 1);
+export default setBit;
@@ -0,0 +1,24 @@
+import updateRange from "./utils/updateRange";
+
+/**
+ * Sets the bits of a range of a run-length encoded bitmap to one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} start The zero-based position of the first bit to set.
+ * @param {number} end The zero-based position following the last bit to set (i.e. the range is `[start, end)`).
+ * @return {number[]} A new bitmap array, without trailing zeros, where adjacent runs are merged.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    setRange([0, 2, 4, 2], 2, 4);
+ *                    ```
+ *
+ *                    Would return `[0, 4, 2, 2]` (`11110011`).
+ *
+ * @throws {RangeError} If the bounds of the range are not non-negative integers or if `end` precedes `start`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const setRange = (bitmap, start, end) =>
+  updateRange(bitmap, start, end, () => true);
+export default setRange;
@@ -0,0 +1,45 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import validateBitmaps from "./utils/validateBitmaps";
+import assertShiftAmount from "./utils/assertShiftAmount";
+import endOfOnes from "./utils/endOfOnes";
+import { MAX_SAFE_INT } from "./constants";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Shifts the bits of a run-length encoded bitmap towards the higher positions (as the `<<` operator on an integer
+ * whose bit `i` is the bit at position `i`), i.e. prepends zeros to the bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} n The number of positions, a non-negative integer.
+ * @return {number[]} A new bitmap array, without trailing zeros, where the bit at position `i` is the bit at position `i - n` of the given bitmap.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    shiftLeft([1, 2], 2);
+ *                    ```
+ *
+ *                    Would return `[3, 2]` (`011` becomes `00011`).
+ *
+ * @throws {RangeError} If the number of positions is not a non-negative integer or if a bit set to one
+ *                      would be shifted beyond `MAX_SAFE_INT`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset, or if the strict mode is enabled and it is not valid, see {@link setStrictMode}.
+ */
+const shiftLeft = (bitmap, n) => {
+  assertShiftAmount(n);
+  assertNumberRuns([bitmap]);
+  validateBitmaps([bitmap]);
+  if (endOfOnes(bitmap) > MAX_SAFE_INT - n) {
+    throw new RangeError(
+      `Cannot shift the bitmap by ${n} positions, a bit set to one would be beyond MAX_SAFE_INT (${MAX_SAFE_INT}).`
+    );
+  }
+  const resultBitmap = [];
+  appendBits(resultBitmap, false, n);
+  bitmap.forEach((numberOfBits, i) =>
+    appendBits(resultBitmap, i % 2 === 1, numberOfBits)
+  );
+  return popTrailingZeros(resultBitmap);
+};
+export default shiftLeft;
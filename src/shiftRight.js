@@ -0,0 +1,27 @@
+import slice from "./slice";
+import assertShiftAmount from "./utils/assertShiftAmount";
+
+/**
+ * Shifts the bits of a run-length encoded bitmap towards the lower positions (as the `>>>` operator on an integer
+ * whose bit `i` is the bit at position `i`), i.e. discards the first bits of the bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} n The number of positions, a non-negative integer.
+ * @return {number[]} A new bitmap array, without trailing zeros, where the bit at position `i` is the bit at position `i + n` of the given bitmap.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    shiftRight([1, 2, 1, 3], 2);
+ *                    ```
+ *
+ *                    Would return `[0, 1, 1, 3]` (`0110111` becomes `10111`).
+ *
+ * @throws {RangeError} If the number of positions is not a non-negative integer.
+ * @throws {InvalidBitmapError} If the bitmap is a dense bitset, or if the strict mode is enabled and it is not valid, see {@link setStrictMode}.
+ */
+const shiftRight = (bitmap, n) => {
+  assertShiftAmount(n);
+  return slice(bitmap, n);
+};
+export default shiftRight;
@@ -0,0 +1,45 @@
+import appendBits from "./utils/appendBits";
+import popTrailingZeros from "./utils/popTrailingZeros";
+import validateBitmaps from "./utils/validateBitmaps";
+import assertRange from "./utils/assertRange";
+import { MAX_SAFE_INT } from "./constants";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Extracts the bits of a range of a run-length encoded bitmap (e.g. the rows of a shard of a table).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} start The zero-based position of the first bit to extract, which becomes the position `0` of the new bitmap.
+ * @param {number} [end] The zero-based position following the last bit to extract (i.e. the range is `[start, end)`),
+ *                       by default all the bits following `start` are extracted.
+ * @return {number[]} A new bitmap array, without trailing zeros, where the runs straddling the bounds of the range are cut.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    slice([0, 3, 2, 4, 1, 1], 2, 7);
+ *                    ```
+ *
+ *                    Would return `[0, 1, 2, 2]` (`11|10011|1101`).
+ *
+ * @throws {RangeError} If the bounds of the range are not non-negative integers or if `end` precedes `start`.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset, or if the strict mode is enabled and it is not valid, see {@link setStrictMode}.
+ */
+const slice = (bitmap, start, end = MAX_SAFE_INT) => {
+  assertRange(start, end);
+  assertNumberRuns([bitmap]);
+  validateBitmaps([bitmap]);
+  const resultBitmap = [];
+  let runStart = 0;
+  for (let i = 0; i < bitmap.length && runStart < end; i++) {
+    const runEnd = runStart + bitmap[i];
+    appendBits(
+      resultBitmap,
+      i % 2 === 1,
+      Math.min(runEnd, end) - Math.max(runStart, start)
+    );
+    runStart = runEnd;
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default slice;
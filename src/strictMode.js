@@ -0,0 +1,25 @@
+/**
+ * @type {boolean}
+ */
+let strictMode = false;
+
+/**
+ * Enables or disables the strict mode. When the strict mode is enabled, the operators validate their input bitmaps
+ * and throw an `InvalidBitmapError` if one of them is not valid (see {@link isValidBitmap}).
+ * The strict mode is disabled by default.
+ *
+ * @param {boolean} enabled Whether to enable the strict mode.
+ * @return {undefined}
+ */
+const setStrictMode = enabled => {
+  strictMode = !!enabled;
+};
+
+/**
+ * Tests whether the strict mode is enabled.
+ *
+ * @return {boolean} `true` if the strict mode is enabled, `false` otherwise.
+ */
+const isStrictMode = () => strictMode;
+
+export { setStrictMode, isStrictMode };
@@ -0,0 +1,21 @@
+import serialize from "./serialize";
+import { encodeBase64 } from "./utils/base64";
+
+/**
+ * Serializes a run-length encoded bitmap into a base64 string (see {@link serialize}).
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {string} The base64 string, with padding (the inverse of {@link fromBase64}).
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  toBase64([0, 3, 200, 1]);
+ *                  ```
+ *
+ *                  Would return `"AQTMAQADyAEB"`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), regardless of the strict mode.
+ */
+const toBase64 = bitmap => encodeBase64(serialize(bitmap));
+export default toBase64;
@@ -0,0 +1,23 @@
+import serialize from "./serialize";
+import { encodeBase64 } from "./utils/base64";
+
+/**
+ * Serializes a run-length encoded bitmap into a base64url string (see {@link serialize}),
+ * which can be used as is in URLs, cookies and file names.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {string} The base64url string, i.e. base64 using `-` and `_` instead of `+` and `/` and without padding
+ *                  (the inverse of {@link fromBase64}).
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  toBase64Url([1000]);
+ *                  ```
+ *
+ *                  Would return `"AQHoB-gH"`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is not valid (see {@link isValidBitmap}), regardless of the strict mode.
+ */
+const toBase64Url = bitmap => encodeBase64(serialize(bitmap), { url: true });
+export default toBase64Url;
@@ -0,0 +1,26 @@
+import toBooleans from "./toBooleans";
+
+/**
+ * Decodes a run-length encoded bitmap into a bit string.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} [length] The length of the resulting bit string. If the bitmap is shorter, the bit string is padded with zeros,
+ *                          if it is longer, it is truncated. Defaults to the number of bits of the bitmap.
+ * @return {string} A string of `0` and `1` characters, the leftmost character being the first bit of the bitmap
+ *                  (the inverse of {@link fromBitString}).
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  toBitString([1, 3], 7);
+ *                  ```
+ *
+ *                  Would return `"0111000"`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is a dense bitset (see {@link fromDenseBitset}).
+ */
+const toBitString = (bitmap, length) =>
+  toBooleans(bitmap, length)
+    .map(bit => (bit ? "1" : "0"))
+    .join("");
+export default toBitString;
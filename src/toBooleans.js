@@ -0,0 +1,38 @@
+import assertNoDenseBitsets from "./utils/assertNoDenseBitsets";
+
+/**
+ * Decodes a run-length encoded bitmap into an array of booleans.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} [length] The length of the resulting array. If the bitmap is shorter, the array is padded with `false`,
+ *                          if it is longer, it is truncated. Defaults to the number of bits of the bitmap.
+ * @return {boolean[]} A new array of booleans, one for each bit of the bitmap (the inverse of {@link fromBooleans}).
+ *
+ *                     Example:
+ *
+ *                     ```
+ *                     toBooleans([1, 3], 5);
+ *                     ```
+ *
+ *                     Would return `[false, true, true, true, false]`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap is a dense bitset (see {@link fromDenseBitset}).
+ */
+const toBooleans = (bitmap, length) => {
+  assertNoDenseBitsets([bitmap]);
+  const booleans = [];
+  for (let i = 0; i < bitmap.length; i++) {
+    const bit = i % 2 === 1;
+    for (let j = 0; j < bitmap[i]; j++) {
+      if (typeof length !== "undefined" && booleans.length >= length) {
+        return booleans;
+      }
+      booleans.push(bit);
+    }
+  }
+  while (typeof length !== "undefined" && booleans.length < length) {
+    booleans.push(false);
+  }
+  return booleans;
+};
+export default toBooleans;
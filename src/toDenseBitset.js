@@ -0,0 +1,75 @@
+import { assertBitOrder, bitShift } from "./utils/denseBits";
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Decodes a run-length encoded bitmap into a dense bitset.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} [length] The number of bits of the bitset. If the bitmap is shorter, the bitset is padded with zeros,
+ *                          if it is longer, it is truncated. Defaults to the number of bits of the bitmap.
+ * @param {Object} [options] Options.
+ * @param {number} [options.wordSize] The number of bits of the words of the bitset, `32` (`Uint32Array`) or `8` (`Uint8Array`).
+ *                                    Defaults to `32`.
+ * @param {string} [options.bitOrder] The order of the bits within a word, `lsb` (the first bit of a word is its least significant bit)
+ *                                    or `msb` (the first bit of a word is its most significant bit). Defaults to `lsb`.
+ * @return {Uint32Array|Uint8Array} The words of the bitset, the first word holding the first bits of the bitmap
+ *                                  and the bits of the last word beyond the length being zeros (the inverse of {@link fromDenseBitset}).
+ *                                  To give them to {@link bitwiseOR} or {@link bitwiseAND} along with run-length encoded bitmaps,
+ *                                  wrap them in a {@link DenseBitset}, as the operators read a bare `Uint32Array` as runs.
+ *
+ *                                  Example:
+ *
+ *                                  ```
+ *                                  toDenseBitset([1, 1, 1, 3, 2, 1], 12, { wordSize: 8 });
+ *                                  toDenseBitset([1, 1, 1, 3, 2, 1], 12, { wordSize: 8, bitOrder: "msb" });
+ *                                  ```
+ *
+ *                                  Would respectively return `Uint8Array [0b00111010, 0b00000001]`
+ *                                  and `Uint8Array [0b01011100, 0b10000000]`.
+ *
+ * @throws {RangeError} If the length is not a non-negative integer, or if the word size or the bit order are not valid.
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const toDenseBitset = (
+  bitmap,
+  length,
+  { wordSize = 32, bitOrder = "lsb" } = {}
+) => {
+  assertNumberRuns([bitmap]);
+  if (wordSize !== 32 && wordSize !== 8) {
+    throw new RangeError(`Invalid word size ${wordSize}, expected 32 or 8.`);
+  }
+  assertBitOrder(bitOrder);
+  if (typeof length === "undefined") {
+    length = bitmap.reduce((numberOfBits, bits) => numberOfBits + bits, 0);
+  } else if (!Number.isInteger(length) || length < 0) {
+    throw new RangeError(
+      `Invalid dense bitset length ${length}, expected a non-negative integer.`
+    );
+  }
+  const words = new (wordSize === 32 ? Uint32Array : Uint8Array)(
+    Math.ceil(length / wordSize)
+  );
+  const fullWord = 2 ** wordSize - 1;
+  let start = 0;
+  for (let i = 0; i < bitmap.length && start < length; i++) {
+    const end = Math.min(start + bitmap[i], length);
+    if (i % 2 === 1) {
+      let position = start;
+      while (position < end) {
+        const wordIndex = Math.floor(position / wordSize);
+        const bitIndex = position % wordSize;
+        if (bitIndex === 0 && end - position >= wordSize) {
+          words[wordIndex] = fullWord;
+          position += wordSize;
+        } else {
+          words[wordIndex] += 2 ** bitShift(bitIndex, wordSize, bitOrder);
+          position++;
+        }
+      }
+    }
+    start = end;
+  }
+  return words;
+};
+export default toDenseBitset;
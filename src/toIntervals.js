@@ -0,0 +1,33 @@
+import assertNumberRuns from "./utils/assertNumberRuns";
+
+/**
+ * Decodes a run-length encoded bitmap into the list of intervals of its bits set to one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {Array<[number, number]>} A new array of half-open intervals `[start, end)` of zero-based positions of the set bits,
+ *                                   in ascending order (the inverse of {@link fromIntervals}).
+ *
+ *                                   Example:
+ *
+ *                                   ```
+ *                                   toIntervals([0, 6, 4, 2]);
+ *                                   ```
+ *
+ *                                   Would return `[[0, 6], [10, 12]]`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const toIntervals = bitmap => {
+  assertNumberRuns([bitmap]);
+  const intervals = [];
+  let position = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    if (i % 2 === 1 && numberOfBits > 0) {
+      intervals.push([position, position + numberOfBits]);
+    }
+    position += numberOfBits;
+  }
+  return intervals;
+};
+export default toIntervals;
@@ -0,0 +1,21 @@
+import positions from "./positions";
+
+/**
+ * Decodes a run-length encoded bitmap into the list of positions of its bits set to one.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {number[]} A new array of the zero-based positions of the set bits, in ascending order.
+ *                    Use {@link positions} to iterate over the positions of a bitmap which cannot be materialized.
+ *
+ *                    Example:
+ *
+ *                    ```
+ *                    toPositions([3, 3, 84, 1]);
+ *                    ```
+ *
+ *                    Would return `[3, 4, 5, 90]`.
+ *
+ * @throws {InvalidBitmapError} If the bitmap has `bigint` runs or is a dense bitset.
+ */
+const toPositions = bitmap => [...positions(bitmap)];
+export default toPositions;
@@ -0,0 +1,133 @@
+/**
+ * A binary min-heap.
+ */
+class MinHeap {
+  /**
+   * @param {Function} comparator A function comparing two items, returning a negative number if the first item
+   *                              has to be popped before the second one, a positive number if it has to be popped after it
+   *                              and `0` otherwise.
+   */
+  constructor(comparator) {
+    this.comparator = comparator;
+    this.items = [];
+  }
+
+  /**
+   * @return {number} The number of items of the heap.
+   */
+  get size() {
+    return this.items.length;
+  }
+
+  /**
+   * Returns the minimum item of the heap without removing it.
+   *
+   * @return {*} The minimum item or `undefined` if the heap is empty.
+   */
+  peek() {
+    return this.items[0];
+  }
+
+  /**
+   * Adds an item to the heap.
+   *
+   * @param {*} item The item.
+   * @return {undefined}
+   */
+  push(item) {
+    const { items, comparator } = this;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (comparator(items[i], items[parent]) >= 0) {
+        break;
+      }
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  /**
+   * Removes the minimum item of the heap.
+   *
+   * @return {*} The minimum item or `undefined` if the heap is empty.
+   */
+  pop() {
+    const { items } = this;
+    if (!items.length) {
+      return undefined;
+    }
+    const minItem = items[0];
+    const lastItem = items.pop();
+    if (items.length) {
+      items[0] = lastItem;
+      this.siftDown(0);
+    }
+    return minItem;
+  }
+
+  /**
+   * Restores the heap order after the minimum item has been mutated in a way which can only increase it
+   * (cheaper than popping the item and pushing it back).
+   *
+   * @return {undefined}
+   */
+  updateTop() {
+    if (this.items.length) {
+      this.siftDown(0);
+    }
+  }
+
+  /**
+   * Updates all the items of the heap at once and restores the heap order in `O(n)` time
+   * (cheaper than updating the items one by one when most of them change).
+   *
+   * @param {Function} update A function receiving an item, which can mutate it, and returning `false` if the item
+   *                          has to be removed from the heap.
+   * @return {undefined}
+   */
+  updateAll(update) {
+    const { items } = this;
+    let size = 0;
+    for (let i = 0; i < items.length; i++) {
+      if (update(items[i]) !== false) {
+        items[size++] = items[i];
+      }
+    }
+    items.length = size;
+    for (let i = (size >> 1) - 1; i >= 0; i--) {
+      this.siftDown(i);
+    }
+  }
+
+  /**
+   * Moves the item at the given index down the heap until the heap order is restored.
+   *
+   * @param {number} i The index of the item.
+   * @return {undefined}
+   */
+  siftDown(i) {
+    const { items, comparator } = this;
+    const item = items[i];
+    const size = items.length;
+    for (;;) {
+      const left = 2 * i + 1;
+      if (left >= size) {
+        break;
+      }
+      const right = left + 1;
+      const child =
+        right < size && comparator(items[right], items[left]) < 0
+          ? right
+          : left;
+      if (comparator(items[child], item) >= 0) {
+        break;
+      }
+      items[i] = items[child];
+      i = child;
+    }
+    items[i] = item;
+  }
+}
+export default MinHeap;
@@ -0,0 +1,33 @@
+/**
+ * Appends a sequence of bits to the end of a run-length encoded bitmap, merging it with the last chunk
+ * of the bitmap if the last chunk represents bits of the same kind (ones or zeros).
+ *
+ * @param {number[]|bigint[]|RunBuffer} bitmap A mutable run-length encoded bitmap array (see {@link bitwiseOR}) or a run buffer
+ *                                             (see {@link RunBuffer}).
+ * @param {boolean} areOnes Whether the bits to append are ones (`true`) or zeros (`false`).
+ * @param {number|bigint} numberOfBits The number of bits to append, of the same type as the runs of the bitmap.
+ * @return {number[]|bigint[]|RunBuffer} The given bitmap, mutated.
+ */
+const appendBits = (bitmap, areOnes, numberOfBits) => {
+  if (!Array.isArray(bitmap)) {
+    return bitmap.append(areOnes, numberOfBits);
+  }
+  if (numberOfBits <= 0) {
+    return bitmap;
+  }
+  if (!bitmap.length) {
+    if (areOnes) {
+      bitmap.push(typeof numberOfBits === "bigint" ? BigInt(0) : 0); // This allows starting with ones.
+    }
+    bitmap.push(numberOfBits);
+    return bitmap;
+  }
+  const lastBitmapIndex = bitmap.length - 1;
+  if (lastBitmapIndex % 2 === (areOnes ? 1 : 0)) {
+    bitmap[lastBitmapIndex] += numberOfBits; // Add ones (or zeros) to previous chunk.
+  } else {
+    bitmap.push(numberOfBits); // Add ones (or zeros).
+  }
+  return bitmap;
+};
+export default appendBits;
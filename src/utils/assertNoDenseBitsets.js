@@ -0,0 +1,24 @@
+import DenseBitset from "../DenseBitset";
+import InvalidBitmapError from "../errors/InvalidBitmapError";
+
+/**
+ * Asserts that the given bitmaps are not dense bitsets, for the functions which only take run-length encoded bitmaps
+ * (dense bitsets being only supported by {@link bitwiseOR}, {@link bitwiseAND}, {@link bitwiseThreshold} and {@link bitwiseCount}).
+ *
+ * @param {Array<number[]>} bitmaps A list of run-length encoded bitmap arrays.
+ * @return {undefined}
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps is a dense bitset.
+ */
+const assertNoDenseBitsets = bitmaps => {
+  bitmaps.forEach((bitmap, bitmapIndex) => {
+    if (bitmap instanceof DenseBitset) {
+      const bitmapLabel = bitmaps.length > 1 ? ` at index ${bitmapIndex}` : "";
+      throw new InvalidBitmapError(
+        `Invalid run-length encoded bitmap${bitmapLabel}: it is a DenseBitset, which is only supported by bitwiseOR, bitwiseAND, bitwiseThreshold and bitwiseCount (see fromDenseBitset).`,
+        { bitmapIndex: bitmaps.length > 1 ? bitmapIndex : void 0 }
+      );
+    }
+  });
+};
+export default assertNoDenseBitsets;
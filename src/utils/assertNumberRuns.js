@@ -0,0 +1,26 @@
+import InvalidBitmapError from "../errors/InvalidBitmapError";
+import assertNoDenseBitsets from "./assertNoDenseBitsets";
+
+/**
+ * Asserts that the given bitmaps are neither dense bitsets nor bitmaps with `bigint` runs, for the functions which only support
+ * run-length encoded bitmaps whose runs are `number`s (the runs of a bitmap being all `bigint`s if its first run is a `bigint`,
+ * see {@link isValidBitmap}).
+ *
+ * @param {Array<number[]>} bitmaps A list of run-length encoded bitmap arrays.
+ * @return {undefined}
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset.
+ */
+const assertNumberRuns = bitmaps => {
+  assertNoDenseBitsets(bitmaps);
+  bitmaps.forEach((bitmap, bitmapIndex) => {
+    if (bitmap && typeof bitmap[0] === "bigint") {
+      const bitmapLabel = bitmaps.length > 1 ? ` at index ${bitmapIndex}` : "";
+      throw new InvalidBitmapError(
+        `Invalid run-length encoded bitmap${bitmapLabel}: its runs are bigints, which are only supported by the bitwise operators and by the BigInt mode functions (see toBigIntBitmap).`,
+        { index: 0, bitmapIndex: bitmaps.length > 1 ? bitmapIndex : void 0 }
+      );
+    }
+  });
+};
+export default assertNumberRuns;
@@ -0,0 +1,22 @@
+/**
+ * Asserts that the given bounds of a range of bits are valid.
+ *
+ * @param {number} start The zero-based position of the first bit of the range.
+ * @param {number} end The zero-based position following the last bit of the range (i.e. the range is `[start, end)`).
+ * @return {undefined}
+ *
+ * @throws {RangeError} If the bounds of the range are not non-negative integers or if `end` precedes `start`.
+ */
+const assertRange = (start, end) => {
+  if (
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    end < start
+  ) {
+    throw new RangeError(
+      `Invalid range [${start}, ${end}), the bounds of a range must be non-negative integers where the end is not lower than the start.`
+    );
+  }
+};
+export default assertRange;
@@ -0,0 +1,35 @@
+import InvalidBitmapError from "../errors/InvalidBitmapError";
+
+/**
+ * Asserts that the runs of the given bitmaps are either all `number`s or all `bigint`s, for the operators sweeping
+ * several bitmaps at once (the runs of a bitmap being all `bigint`s if its first run is a `bigint`, see {@link isValidBitmap}).
+ * Empty bitmaps have no runs and can be given along with bitmaps of either type.
+ *
+ * @param {Array<number[]|bigint[]>} bitmaps A list of run-length encoded bitmap arrays.
+ * @return {boolean} Whether the runs of the bitmaps are `bigint`s.
+ *
+ * @throws {InvalidBitmapError} If some bitmaps have `number` runs and others have `bigint` runs.
+ */
+const assertSameRunType = bitmaps => {
+  let firstBitmapIndex = -1;
+  let isBigIntBitmap = false;
+  bitmaps.forEach((bitmap, bitmapIndex) => {
+    if (!bitmap || !bitmap.length) {
+      return;
+    }
+    const isBigIntRun = typeof bitmap[0] === "bigint";
+    if (firstBitmapIndex === -1) {
+      firstBitmapIndex = bitmapIndex;
+      isBigIntBitmap = isBigIntRun;
+    } else if (isBigIntRun !== isBigIntBitmap) {
+      const runType = isBigIntRun ? "bigints" : "numbers";
+      const otherRunType = isBigIntBitmap ? "bigints" : "numbers";
+      throw new InvalidBitmapError(
+        `Invalid run-length encoded bitmap at index ${bitmapIndex}: its runs are ${runType} while the runs of the bitmap at index ${firstBitmapIndex} are ${otherRunType}, the runs of the bitmaps of an operation must be all numbers or all bigints (see toBigIntBitmap).`,
+        { index: 0, bitmapIndex }
+      );
+    }
+  });
+  return isBigIntBitmap;
+};
+export default assertSameRunType;
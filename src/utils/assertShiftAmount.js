@@ -0,0 +1,16 @@
+/**
+ * Asserts that the given number of positions of a shift is valid.
+ *
+ * @param {number} n The number of positions.
+ * @return {undefined}
+ *
+ * @throws {RangeError} If the number of positions is not a non-negative integer.
+ */
+const assertShiftAmount = n => {
+  if (!Number.isInteger(n) || n < 0) {
+    throw new RangeError(
+      `Invalid shift of ${n} positions, expected a non-negative integer.`
+    );
+  }
+};
+export default assertShiftAmount;
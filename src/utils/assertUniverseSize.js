@@ -0,0 +1,22 @@
+import { MAX_SAFE_INT } from "../constants";
+
+/**
+ * Asserts that the given size of a universe of bits is valid.
+ *
+ * @param {number} universeSize The number of bits of the universe.
+ * @return {undefined}
+ *
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ */
+const assertUniverseSize = universeSize => {
+  if (
+    !Number.isInteger(universeSize) ||
+    universeSize < 0 ||
+    universeSize > MAX_SAFE_INT
+  ) {
+    throw new RangeError(
+      `Invalid universe size ${universeSize}, the size of a universe must be an integer between 0 and ${MAX_SAFE_INT}.`
+    );
+  }
+};
+export default assertUniverseSize;
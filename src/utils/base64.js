@@ -0,0 +1,111 @@
+import DeserializationError from "../errors/DeserializationError";
+
+/**
+ * @type {string}
+ */
+const BASE64_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * @type {string}
+ */
+const BASE64URL_ALPHABET =
+  "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+/**
+ * The 6-bit values of the characters of both the base64 and the base64url alphabets.
+ *
+ * @type {Object<string, number>}
+ */
+const SEXTETS_BY_CHARACTER = {};
+[BASE64_ALPHABET, BASE64URL_ALPHABET].forEach(alphabet =>
+  [...alphabet].forEach((character, i) => {
+    SEXTETS_BY_CHARACTER[character] = i;
+  })
+);
+
+/**
+ * Encodes bytes as base64 (RFC 4648).
+ *
+ * @param {Uint8Array} bytes The bytes.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.url] Whether to use the URL and filename safe alphabet (`-` and `_` instead of `+` and `/`),
+ *                                without padding. Defaults to `false`.
+ * @return {string} The base64 string.
+ */
+const encodeBase64 = (bytes, { url = false } = {}) => {
+  const alphabet = url ? BASE64URL_ALPHABET : BASE64_ALPHABET;
+  const characters = [];
+  for (let i = 0; i < bytes.length; i += 3) {
+    const numberOfBytes = Math.min(3, bytes.length - i);
+    const group =
+      (bytes[i] << 16) |
+      ((numberOfBytes > 1 ? bytes[i + 1] : 0) << 8) |
+      (numberOfBytes > 2 ? bytes[i + 2] : 0);
+    for (let j = 0; j < 4; j++) {
+      if (j <= numberOfBytes) {
+        characters.push(alphabet[(group >> (18 - j * 6)) & 63]);
+      } else if (!url) {
+        characters.push("=");
+      }
+    }
+  }
+  return characters.join("");
+};
+
+/**
+ * Decodes a base64 string, accepting both the base64 and the base64url alphabets, with or without padding.
+ *
+ * @param {string} string The base64 string.
+ * @return {Uint8Array} The bytes.
+ *
+ * @throws {TypeError} If the given value is not a string.
+ * @throws {DeserializationError} If the string is not valid base64.
+ */
+const decodeBase64 = string => {
+  if (typeof string !== "string") {
+    throw new TypeError(
+      `Expected a base64 string, got ${
+        string === null ? "null" : typeof string
+      }.`
+    );
+  }
+  const length = string.replace(/={1,2}$/, "").length;
+  if (length % 4 === 1 || (length < string.length && string.length % 4 !== 0)) {
+    throw new DeserializationError(
+      `Invalid base64 string: unexpected length ${string.length}.`,
+      { offset: length }
+    );
+  }
+  const bytes = new Uint8Array(Math.floor((length * 3) / 4));
+  let group = 0;
+  let offset = 0;
+  for (let i = 0; i < length; i++) {
+    const sextet = SEXTETS_BY_CHARACTER[string[i]];
+    if (typeof sextet === "undefined") {
+      throw new DeserializationError(
+        `Invalid base64 string: unexpected character ${JSON.stringify(
+          string[i]
+        )} at index ${i}.`,
+        { offset: i }
+      );
+    }
+    group = (group << 6) | sextet;
+    if (i % 4 === 3) {
+      bytes[offset++] = group >> 16;
+      bytes[offset++] = (group >> 8) & 255;
+      bytes[offset++] = group & 255;
+      group = 0;
+    }
+  }
+  const remainder = length % 4;
+  if (remainder === 2) {
+    bytes[offset] = group >> 4;
+  } else if (remainder === 3) {
+    bytes[offset++] = group >> 10;
+    bytes[offset] = (group >> 2) & 255;
+  }
+  return bytes;
+};
+
+export { encodeBase64, decodeBase64 };
@@ -0,0 +1,24 @@
+import appendBits from "./appendBits";
+import popTrailingZeros from "./popTrailingZeros";
+import assertNumberRuns from "./assertNumberRuns";
+
+/**
+ * Clips a run-length encoded bitmap to a universe of bits, i.e. discards all its bits at positions greater than
+ * or equal to the size of the universe.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} universeSize The number of bits of the universe.
+ * @return {number[]} A new bitmap array, without trailing zeros, having only the bits of the interval `[0, universeSize)`.
+ */
+const clipBitmap = (bitmap, universeSize) => {
+  assertNumberRuns([bitmap]);
+  const resultBitmap = [];
+  let totalNumberOfBits = 0;
+  for (let i = 0; i < bitmap.length && totalNumberOfBits < universeSize; i++) {
+    const numberOfBits = Math.min(bitmap[i], universeSize - totalNumberOfBits);
+    appendBits(resultBitmap, i % 2 === 1, numberOfBits);
+    totalNumberOfBits += numberOfBits;
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default clipBitmap;
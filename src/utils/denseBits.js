@@ -0,0 +1,59 @@
+/**
+ * The supported bit orders of the words of a dense bitset: `lsb` (the first bit of a word is its least significant bit)
+ * and `msb` (the first bit of a word is its most significant bit).
+ *
+ * @type {string[]}
+ */
+const BIT_ORDERS = ["lsb", "msb"];
+
+/**
+ * Returns the number of bits of the words of a dense bitset.
+ *
+ * @param {Uint32Array|Uint8Array} words The words of the dense bitset.
+ * @return {number} `32` or `8`.
+ *
+ * @throws {TypeError} If the words are neither a `Uint32Array` nor a `Uint8Array`.
+ */
+const wordSizeOf = words => {
+  if (words instanceof Uint32Array) {
+    return 32;
+  } else if (words instanceof Uint8Array) {
+    return 8;
+  }
+  throw new TypeError(
+    `Expected the words of the dense bitset to be a Uint32Array or a Uint8Array, got ${
+      words === null ? "null" : typeof words
+    }.`
+  );
+};
+
+/**
+ * Asserts that a bit order is supported.
+ *
+ * @param {string} bitOrder The bit order.
+ * @return {undefined}
+ *
+ * @throws {RangeError} If the bit order is neither `lsb` nor `msb`.
+ */
+const assertBitOrder = bitOrder => {
+  if (!BIT_ORDERS.includes(bitOrder)) {
+    throw new RangeError(
+      `Invalid bit order ${JSON.stringify(
+        bitOrder
+      )}, expected one of ${BIT_ORDERS.map(order => `"${order}"`).join(", ")}.`
+    );
+  }
+};
+
+/**
+ * Computes the shift of a bit within its word, i.e. the power of two of the bit within the word.
+ *
+ * @param {number} bitIndex The zero-based index of the bit within its word.
+ * @param {number} wordSize The number of bits of the word.
+ * @param {string} bitOrder The bit order, `lsb` or `msb`.
+ * @return {number} The shift.
+ */
+const bitShift = (bitIndex, wordSize, bitOrder) =>
+  bitOrder === "lsb" ? bitIndex : wordSize - 1 - bitIndex;
+
+export { wordSizeOf, assertBitOrder, bitShift };
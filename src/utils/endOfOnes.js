@@ -0,0 +1,19 @@
+/**
+ * Computes the position following the last bit set to one of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @return {number} The position following the last bit set to one, or `0` if no bit is set to one
+ *                  (i.e. the number of bits of the bitmap without trailing zeros).
+ */
+const endOfOnes = bitmap => {
+  let end = 0;
+  let position = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    position += bitmap[i];
+    if (i % 2 === 1 && bitmap[i] > 0) {
+      end = position;
+    }
+  }
+  return end;
+};
+export default endOfOnes;
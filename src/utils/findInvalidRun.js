@@ -0,0 +1,76 @@
+import { MAX_SAFE_INT, BIGINT_UNIVERSE_SIZE } from "../constants";
+import isRunArray from "./isRunArray";
+
+/**
+ * Tests whether a run of a run-length encoded bitmap is an integer of the type of the runs of the bitmap.
+ *
+ * @param {*} numberOfBits The run.
+ * @param {boolean} isBigIntBitmap Whether the runs of the bitmap are `bigint`s.
+ * @return {string|null} The reason why the run is not an integer of the type of the bitmap, or `null` if it is.
+ */
+const findTypeMismatch = (numberOfBits, isBigIntBitmap) => {
+  if (isBigIntBitmap) {
+    return typeof numberOfBits === "bigint"
+      ? null
+      : `is not a bigint (${String(numberOfBits)})`;
+  }
+  if (typeof numberOfBits !== "number" || Number.isNaN(numberOfBits)) {
+    return `is not a number (${String(numberOfBits)})`;
+  }
+  if (!Number.isInteger(numberOfBits)) {
+    return `is not an integer (${numberOfBits})`;
+  }
+  return null;
+};
+
+/**
+ * Finds the first invalid run of a run-length encoded bitmap.
+ *
+ * @param {number[]|bigint[]|Float64Array|Uint32Array} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ *                                                        If its first run is a `bigint`, all its runs must be `bigint`s
+ *                                                        and its total number of bits can be up to `2^64` (see {@link bigBitwiseNOT}).
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.canonical] Whether the bitmap must also be in canonical form, i.e. without trailing zeros.
+ *                                      Defaults to `false`.
+ * @return {{index: number|undefined, reason: string}|null} The index of the first invalid run and the reason why it is invalid
+ *                                                          (`index` is `undefined` if the bitmap is not an array),
+ *                                                          or `null` if the bitmap is valid.
+ */
+const findInvalidRun = (bitmap, { canonical = false } = {}) => {
+  if (!isRunArray(bitmap)) {
+    return {
+      index: undefined,
+      reason: `expected an array, got ${
+        bitmap === null ? "null" : typeof bitmap
+      }`,
+    };
+  }
+  const isBigIntBitmap = typeof bitmap[0] === "bigint";
+  const zero = isBigIntBitmap ? BigInt(0) : 0;
+  const maxNumberOfBits = isBigIntBitmap ? BIGINT_UNIVERSE_SIZE : MAX_SAFE_INT;
+  let totalNumberOfBits = zero;
+  for (let i = 0; i < bitmap.length; i++) {
+    const numberOfBits = bitmap[i];
+    let reason = findTypeMismatch(numberOfBits, isBigIntBitmap);
+    if (reason === null) {
+      if (numberOfBits < 0) {
+        reason = `is negative (${numberOfBits})`;
+      } else if (numberOfBits === zero && (i > 0 || bitmap.length === 1)) {
+        reason =
+          "is empty (a zero-length run is only allowed at index 0, before a run of ones)";
+      } else if (numberOfBits > maxNumberOfBits - totalNumberOfBits) {
+        reason = isBigIntBitmap
+          ? "makes the total number of bits exceed 2^64"
+          : `makes the total number of bits exceed MAX_SAFE_INT (${MAX_SAFE_INT})`;
+      } else if (canonical && i === bitmap.length - 1 && i % 2 === 0) {
+        reason = "is a trailing run of zeros";
+      }
+    }
+    if (reason) {
+      return { index: i, reason: `the run at index ${i} ${reason}` };
+    }
+    totalNumberOfBits += numberOfBits;
+  }
+  return null;
+};
+export default findInvalidRun;
@@ -0,0 +1,12 @@
+/**
+ * Tests whether the given value can hold the runs of a run-length encoded bitmap, i.e. whether it is an array,
+ * a `Float64Array` or a `Uint32Array` (see {@link RunBuffer}).
+ *
+ * @param {*} value The value.
+ * @return {boolean} `true` if the value is an array of runs, `false` otherwise.
+ */
+const isRunArray = value =>
+  Array.isArray(value) ||
+  value instanceof Float64Array ||
+  value instanceof Uint32Array;
+export default isRunArray;
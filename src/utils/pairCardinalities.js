@@ -0,0 +1,32 @@
+import withBitmapStateMap from "../hof/withBitmapStateMap";
+import validateBitmaps from "./validateBitmaps";
+import assertNumberRuns from "./assertNumberRuns";
+
+/**
+ * Counts the bits set to one of the bitwise AND, OR and XOR of two run-length encoded bitmaps
+ * in a single walk over their runs, without computing them.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {Object} An object with the `and`, `or` and `xor` numbers of bits set to one.
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const pairCardinalities = (a, b) => {
+  assertNumberRuns([a, b]);
+  validateBitmaps([a, b]);
+  const cardinalities = { and: 0, or: 0, xor: 0 };
+  withBitmapStateMap({ bitmaps: [a, b] })(
+    ({ numberOfBits, numberOfBitmapsOnOnes }) => {
+      if (numberOfBitmapsOnOnes === 2) {
+        cardinalities.and += numberOfBits;
+        cardinalities.or += numberOfBits;
+      } else if (numberOfBitmapsOnOnes === 1) {
+        cardinalities.or += numberOfBits;
+        cardinalities.xor += numberOfBits;
+      }
+    }
+  );
+  return cardinalities;
+};
+export default pairCardinalities;
@@ -0,0 +1,14 @@
+/**
+ * Pops the trailing zeros of a run-length encoded bitmap, if any.
+ *
+ * @param {number[]|RunBuffer} bitmap A mutable run-length encoded bitmap array (see {@link bitwiseOR}) or a run buffer
+ *                                    (see {@link RunBuffer}).
+ * @return {number[]|RunBuffer} The given bitmap, mutated.
+ */
+const popTrailingZeros = bitmap => {
+  if ((bitmap.length - 1) % 2 === 0) {
+    bitmap.pop(); // Pop trailing zeros.
+  }
+  return bitmap;
+};
+export default popTrailingZeros;
@@ -0,0 +1,22 @@
+import DenseBitset from "../DenseBitset";
+import fromDenseBitset from "../fromDenseBitset";
+
+/**
+ * Encodes the dense bitsets of a list of bitmaps as run-length encoded bitmaps, so that the operators can take a mix of both.
+ *
+ * @param {Array<number[]|DenseBitset>} bitmaps Run-length encoded bitmap arrays and dense bitsets.
+ * @return {Array<number[]>} The run-length encoded bitmap arrays (the given array itself if it has no dense bitsets).
+ */
+const resolveDenseBitsets = bitmaps => {
+  if (!bitmaps.some(bitmap => bitmap instanceof DenseBitset)) {
+    return bitmaps;
+  }
+  return bitmaps.map(bitmap => {
+    if (!(bitmap instanceof DenseBitset)) {
+      return bitmap;
+    }
+    const { words, length, bitOrder } = bitmap;
+    return fromDenseBitset(words, length, { bitOrder });
+  });
+};
+export default resolveDenseBitsets;
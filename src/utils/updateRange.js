@@ -0,0 +1,41 @@
+import appendBits from "./appendBits";
+import popTrailingZeros from "./popTrailingZeros";
+import assertRange from "./assertRange";
+import assertNumberRuns from "./assertNumberRuns";
+
+/**
+ * Updates the bits of an interval of a run-length encoded bitmap.
+ *
+ * @param {number[]} bitmap A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number} start The zero-based position of the first bit to update.
+ * @param {number} end The zero-based position following the last bit to update (i.e. the interval is `[start, end)`).
+ * @param {Function} updateBit A function receiving the current value of a bit (`true` for a one, `false` for a zero)
+ *                             and returning its new value.
+ * @return {number[]} A new bitmap array with the updated bits, without trailing zeros.
+ *
+ * @throws {RangeError} If the bounds of the interval are not non-negative integers or if `end` precedes `start`.
+ */
+const updateRange = (bitmap, start, end, updateBit) => {
+  assertNumberRuns([bitmap]);
+  assertRange(start, end);
+  const resultBitmap = [];
+  let runStart = 0;
+  for (let i = 0; i < bitmap.length; i++) {
+    const runEnd = runStart + bitmap[i];
+    const areOnes = i % 2 === 1;
+    const updateStart = Math.min(Math.max(start, runStart), runEnd);
+    const updateEnd = Math.max(Math.min(end, runEnd), updateStart);
+    appendBits(resultBitmap, areOnes, updateStart - runStart); // Bits before the range.
+    appendBits(resultBitmap, updateBit(areOnes), updateEnd - updateStart); // Bits within the range.
+    appendBits(resultBitmap, areOnes, runEnd - updateEnd); // Bits after the range.
+    runStart = runEnd;
+  }
+  if (end > runStart) {
+    // The range exceeds the bitmap, which is followed by an indefinite sequence of zeros.
+    const updateStart = Math.max(start, runStart);
+    appendBits(resultBitmap, false, updateStart - runStart);
+    appendBits(resultBitmap, updateBit(false), end - updateStart);
+  }
+  return popTrailingZeros(resultBitmap);
+};
+export default updateRange;
@@ -0,0 +1,19 @@
+import { isStrictMode } from "../strictMode";
+import assertValidBitmap from "../assertValidBitmap";
+
+/**
+ * Validates the input bitmaps of an operator if the strict mode is enabled.
+ *
+ * @param {Array<number[]>} bitmaps A list of run-length encoded bitmap arrays.
+ * @return {undefined}
+ *
+ * @throws {InvalidBitmapError} If the strict mode is enabled and one of the bitmaps is not valid.
+ */
+const validateBitmaps = bitmaps => {
+  if (isStrictMode()) {
+    bitmaps.forEach((bitmap, bitmapIndex) =>
+      assertValidBitmap(bitmap, { bitmapIndex })
+    );
+  }
+};
+export default validateBitmaps;
@@ -0,0 +1,87 @@
+import { MAX_SAFE_INT } from "../constants";
+import DeserializationError from "../errors/DeserializationError";
+
+/**
+ * LEB128 varints are computed arithmetically rather than with bitwise operators,
+ * as the latter truncate their operands to 32 bits and a run can be up to `MAX_SAFE_INT` bits long.
+ *
+ * @type {number}
+ */
+const CONTINUATION = 128;
+
+/**
+ * Computes the number of bytes of the unsigned LEB128 varint of an integer.
+ *
+ * @param {number} value An integer between `0` and `MAX_SAFE_INT`.
+ * @return {number} The number of bytes (between 1 and 8).
+ */
+const varintLength = value => {
+  let length = 1;
+  while (value >= CONTINUATION) {
+    value = Math.floor(value / CONTINUATION);
+    length++;
+  }
+  return length;
+};
+
+/**
+ * The number of bytes of the varint of `MAX_SAFE_INT`, i.e. the maximum number of bytes of a varint.
+ *
+ * @type {number}
+ */
+const MAX_VARINT_LENGTH = varintLength(MAX_SAFE_INT);
+
+/**
+ * Writes the unsigned LEB128 varint of an integer.
+ *
+ * @param {Uint8Array} bytes The bytes to write to.
+ * @param {number} offset The offset of the first byte to write.
+ * @param {number} value An integer between `0` and `MAX_SAFE_INT`.
+ * @return {number} The offset following the last written byte.
+ */
+const writeVarint = (bytes, offset, value) => {
+  while (value >= CONTINUATION) {
+    bytes[offset++] = (value % CONTINUATION) + CONTINUATION;
+    value = Math.floor(value / CONTINUATION);
+  }
+  bytes[offset++] = value;
+  return offset;
+};
+
+/**
+ * Reads an unsigned LEB128 varint.
+ *
+ * @param {Uint8Array} bytes The bytes to read from.
+ * @param {number} offset The offset of the first byte of the varint.
+ * @param {string} label What the varint represents, for the error messages.
+ * @return {number[]} A tuple with the value of the varint and the offset following its last byte.
+ *
+ * @throws {DeserializationError} If the varint is truncated or its value exceeds `MAX_SAFE_INT`.
+ */
+const readVarint = (bytes, offset, label) => {
+  const start = offset;
+  let value = 0;
+  let multiplier = 1;
+  for (;;) {
+    if (offset >= bytes.length) {
+      throw new DeserializationError(
+        `Unexpected end of data while reading the ${label} at byte ${start}.`,
+        { offset: start }
+      );
+    }
+    const byte = bytes[offset++];
+    value += (byte % CONTINUATION) * multiplier;
+    if (value > MAX_SAFE_INT || offset - start > MAX_VARINT_LENGTH) {
+      throw new DeserializationError(
+        `The ${label} at byte ${start} exceeds MAX_SAFE_INT (${MAX_SAFE_INT}).`,
+        { offset: start }
+      );
+    }
+    if (byte < CONTINUATION) {
+      return [value, offset];
+    }
+    multiplier *= CONTINUATION;
+  }
+};
+
+export { varintLength, writeVarint, readVarint };
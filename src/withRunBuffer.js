@@ -0,0 +1,58 @@
+import { bitwiseORInto } from "./bitwiseOR";
+import { bitwiseANDInto } from "./bitwiseAND";
+import { bitwiseNOTInto } from "./bitwiseNOT";
+import { bitwiseXORInto } from "./bitwiseXOR";
+import { bitwiseANDNOTInto } from "./bitwiseANDNOT";
+import { bitwiseThresholdInto } from "./bitwiseThreshold";
+import RunBuffer from "./RunBuffer";
+
+/**
+ * Creates the bitwise operators writing their results to a preallocated run buffer (see {@link RunBuffer}) instead of
+ * allocating a new array for each result, e.g. to combine many bitmaps in a hot loop.
+ *
+ * @param {RunBuffer} [buffer] The run buffer, which is emptied before each operation and grows as needed.
+ *                             Defaults to a new run buffer with a `Float64Array` storage.
+ * @return {{
+ *   buffer: RunBuffer,
+ *   bitwiseOR: Function,
+ *   bitwiseAND: Function,
+ *   bitwiseNOT: Function,
+ *   bitwiseXOR: Function,
+ *   bitwiseANDNOT: Function,
+ *   bitwiseThreshold: Function,
+ * }} An object with the bitwise operators bound to the buffer. They have the same signature as the unbound ones,
+ *    but their results are typed arrays sharing the storage of the buffer (see {@link RunBuffer#toTypedArray}),
+ *    which are overwritten by the next operation: they must be copied (e.g. with `Array.from`) to be kept.
+ *    The operators accept both arrays and typed arrays (`Float64Array` or `Uint32Array`) as input bitmaps,
+ *    but a result must not be given as an input to the next operation of the same buffer.
+ *
+ *    Example:
+ *
+ *    ```
+ *    const { bitwiseOR } = withRunBuffer(new RunBuffer({ type: Uint32Array }));
+ *    bitwiseOR([10, 2], new Uint32Array([15, 1])); // Uint32Array [10, 2, 3, 1]
+ *    ```
+ *
+ * @throws {TypeError} If the buffer is not a run buffer.
+ */
+const withRunBuffer = (buffer = new RunBuffer()) => {
+  if (!(buffer instanceof RunBuffer)) {
+    throw new TypeError("Expected a RunBuffer.");
+  }
+  const writeToBuffer = operatorInto => {
+    return (...args) => {
+      operatorInto(buffer.clear(), ...args);
+      return buffer.toTypedArray();
+    };
+  };
+  return {
+    buffer,
+    bitwiseOR: writeToBuffer(bitwiseORInto),
+    bitwiseAND: writeToBuffer(bitwiseANDInto),
+    bitwiseNOT: writeToBuffer(bitwiseNOTInto),
+    bitwiseXOR: writeToBuffer(bitwiseXORInto),
+    bitwiseANDNOT: writeToBuffer(bitwiseANDNOTInto),
+    bitwiseThreshold: writeToBuffer(bitwiseThresholdInto),
+  };
+};
+export default withRunBuffer;
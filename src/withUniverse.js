@@ -0,0 +1,102 @@
+import bitwiseOR from "./bitwiseOR";
+import bitwiseAND from "./bitwiseAND";
+import bitwiseNOT from "./bitwiseNOT";
+import bitwiseXOR from "./bitwiseXOR";
+import bitwiseANDNOT from "./bitwiseANDNOT";
+import bitwiseThreshold from "./bitwiseThreshold";
+import bitwiseCount from "./bitwiseCount";
+import orIter from "./iter/orIter";
+import andIter from "./iter/andIter";
+import notIter from "./iter/notIter";
+import xorIter from "./iter/xorIter";
+import andNotIter from "./iter/andNotIter";
+import take from "./iter/take";
+import canonicalRuns from "./iter/canonicalRuns";
+import clipBitmap from "./utils/clipBitmap";
+import assertUniverseSize from "./utils/assertUniverseSize";
+
+/**
+ * Clips run-length encoded counts (see {@link bitwiseCount}) to a universe of bits.
+ *
+ * @param {Array<[number, number]>} counts The run-length encoded counts.
+ * @param {number} universeSize The number of bits of the universe.
+ * @return {Array<[number, number]>} The runs of the counts within the interval `[0, universeSize)`, the last one never having a count of `0`.
+ */
+const clipCounts = (counts, universeSize) => {
+  const clippedCounts = [];
+  let position = 0;
+  for (let i = 0; i < counts.length && position < universeSize; i++) {
+    const [count, length] = counts[i];
+    const clippedLength = Math.min(length, universeSize - position);
+    clippedCounts.push([count, clippedLength]);
+    position += clippedLength;
+  }
+  if (
+    clippedCounts.length &&
+    clippedCounts[clippedCounts.length - 1][0] === 0
+  ) {
+    clippedCounts.pop();
+  }
+  return clippedCounts;
+};
+
+/**
+ * Creates the bitwise operators for a bounded universe of bits (e.g. the rows of a table).
+ *
+ * @param {number} universeSize The number of bits of the universe.
+ * @return {{
+ *   universeSize: number,
+ *   bitwiseOR: Function,
+ *   bitwiseAND: Function,
+ *   bitwiseNOT: Function,
+ *   bitwiseXOR: Function,
+ *   bitwiseANDNOT: Function,
+ *   bitwiseThreshold: Function,
+ *   bitwiseCount: Function,
+ *   orIter: Function,
+ *   andIter: Function,
+ *   notIter: Function,
+ *   xorIter: Function,
+ *   andNotIter: Function,
+ * }} An object with the bitwise operators and the lazy run iterators (see {@link orIter}) bound to the universe.
+ *    They have the same signature as the unbounded ones, but their results are clipped to the interval `[0, universeSize)`
+ *    and `bitwiseNOT` and `notIter` only pad the complement with ones up to the size of the universe.
+ *
+ *    Example:
+ *
+ *    ```
+ *    const { bitwiseNOT, bitwiseOR, notIter, andIter } = withUniverse(6);
+ *    bitwiseNOT([2, 2]); // [0, 2, 2, 2] (110011)
+ *    bitwiseOR([4, 4], [0, 1]); // [0, 1, 3, 2] (100011)
+ *    collect(andIter(notIter([2, 2]), [1, 9])); // [1, 1, 2, 2] (010011)
+ *    ```
+ *
+ * @throws {RangeError} If the size of the universe is not an integer between `0` and `MAX_SAFE_INT`.
+ */
+const withUniverse = universeSize => {
+  assertUniverseSize(universeSize);
+  const clip = operator => {
+    return (...bitmaps) => clipBitmap(operator(...bitmaps), universeSize);
+  };
+  const clipIter = iterator => {
+    return (...inputs) =>
+      canonicalRuns(take(iterator(...inputs), universeSize));
+  };
+  return {
+    universeSize,
+    bitwiseOR: clip(bitwiseOR),
+    bitwiseAND: clip(bitwiseAND),
+    bitwiseNOT: bitmap => bitwiseNOT(bitmap, universeSize),
+    bitwiseXOR: clip(bitwiseXOR),
+    bitwiseANDNOT: clip(bitwiseANDNOT),
+    bitwiseThreshold: clip(bitwiseThreshold),
+    bitwiseCount: (...bitmaps) =>
+      clipCounts(bitwiseCount(...bitmaps), universeSize),
+    orIter: clipIter(orIter),
+    andIter: clipIter(andIter),
+    notIter: input => notIter(input, universeSize),
+    xorIter: clipIter(xorIter),
+    andNotIter: clipIter(andNotIter),
+  };
+};
+export default withUniverse;
@@ -0,0 +1,22 @@
+import pairCardinalities from "./utils/pairCardinalities";
+
+/**
+ * Counts the bits set to one of the bitwise XOR of two run-length encoded bitmaps without computing it,
+ * in a single walk over their runs.
+ *
+ * @param {number[]} a A run-length encoded bitmap array, see {@link bitwiseOR}.
+ * @param {number[]} b Another run-length encoded bitmap array.
+ * @return {number} The number of bits set to one in exactly one of the bitmaps.
+ *
+ *                  Example:
+ *
+ *                  ```
+ *                  xorCardinality([0, 4, 2, 3], [2, 5]);
+ *                  ```
+ *
+ *                  Would return `6` (`111100111` and `0011111`).
+ *
+ * @throws {InvalidBitmapError} If one of the bitmaps has `bigint` runs or is a dense bitset, or if the strict mode is enabled and one of them is not valid, see {@link setStrictMode}.
+ */
+const xorCardinality = (a, b) => pairCardinalities(a, b).xor;
+export default xorCardinality;